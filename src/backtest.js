@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Kalshi BTC Backtester
+ * Replays the runner (entry window, ladder, prediction, coin-flip, momentum and
+ * volatility filters, phase/regime gates, fee-aware Kelly sizing and account
+ * risk limits) over stored history.
+ *
+ * Usage:
+ *   node src/backtest.js                                  # Stored snapshots, candles and settled markets
+ *   node src/backtest.js --candles candles.jsonl --markets snapshots.jsonl --results results.json
+ *   node src/backtest.js ... --window 45-58 --window 50-59  # Compare entry windows
+ *   node src/backtest.js ... --minute 54 --minute 50        # One evaluation per hour at each minute
+ *   node src/backtest.js ... --interval 30 --max-entries 2  # Evaluation spacing and entries per event
+ *   node src/backtest.js ... --balance 500 --from 2026-01-01 --to 2026-02-01 --json
+ *   node src/backtest.js ... --strategy time-weighted      # Any registered strategy
+ *
+ * Inputs (JSON array or JSON Lines):
+ *   --candles  1-minute candles {time, open, high, low, close, volume}, time in ms or ISO
+ *              (optional: defaults to the local candle store, see `node src/collect.js candles`)
+ *   --markets  Market snapshots {time, price?, markets: [Kalshi market objects with yes_ask/no_ask]}
+ *              (optional: defaults to the snapshot store, see `node src/collect.js snapshots`)
+ *   --results  Settlements: {ticker: "yes"|"no"} or settled market objects with `result`
+ *              (optional: defaults to the settled market dataset, see `node src/collect.js settled`)
+ */
+
+import * as fs from "fs";
+import { runBacktest } from "./engines/backtest.js";
+import { DECISION_DEFAULTS, ENTRY_WINDOW_DEFAULTS } from "./engines/decision.js";
+import { RISK_DEFAULTS } from "./engines/risk.js";
+import { createCandleStore } from "./data/candleStore.js";
+import { createSnapshotStore } from "./data/marketSnapshots.js";
+import { datasetPaths, loadSettledMarkets } from "./data/settledMarkets.js";
+import { CONFIG } from "./config.js";
+
+function parseArgs(argv) {
+    const opts = { windows: [], json: false, verbose: false };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === "--candles") opts.candles = next();
+        else if (arg === "--markets") opts.markets = next();
+        else if (arg === "--results") opts.results = next();
+        else if (arg === "--window") opts.windows.push(next().split("-").map(Number));
+        else if (arg === "--minute") {
+            const minute = Number(next());
+            opts.windows.push([minute, minute]);
+        }
+        else if (arg === "--interval") opts.interval = Number(next());
+        else if (arg === "--max-entries") opts.maxEntries = Number(next());
+        else if (arg === "--balance") opts.balance = Number(next());
+        else if (arg === "--from") opts.from = next();
+        else if (arg === "--to") opts.to = next();
+        else if (arg === "--strategy") opts.strategy = next();
+        else if (arg === "--json") opts.json = true;
+        else if (arg === "--verbose") opts.verbose = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (opts.windows.length === 0) {
+        opts.windows = [[ENTRY_WINDOW_DEFAULTS.entryWindowStart, ENTRY_WINDOW_DEFAULTS.entryWindowEnd]];
+    }
+    return opts;
+}
+
+// JSON document or JSON Lines
+function readData(file) {
+    const text = fs.readFileSync(file, "utf8").trim();
+    if (!text) return [];
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text.split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+}
+
+// Stored candles covering the snapshots plus enough history for the indicators
+function candlesFromStore(snapshots) {
+    const times = snapshots.map(s => new Date(s.time).getTime()).filter(Number.isFinite);
+    if (times.length === 0) return [];
+    const start = Math.min(...times) - 2 * 3_600_000;
+    const end = Math.max(...times) + 60_000;
+    return createCandleStore().query({ start, end });
+}
+
+// Settled market dataset, if one has been collected
+function storedResults() {
+    const { file } = datasetPaths(CONFIG.kalshi.seriesTicker);
+    return fs.existsSync(file) ? loadSettledMarkets(file) : null;
+}
+
+function windowLabel({ start, end }) {
+    const mm = (m) => `:${String(m).padStart(2, "0")}`;
+    return start === end ? mm(start) : `${mm(start)}-${mm(end)}`;
+}
+
+function dollars(cents) {
+    return `${cents < 0 ? "-" : "+"}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+function printReport(report) {
+    const pct = (x) => (x === null ? "-" : `${(x * 100).toFixed(1)}%`);
+
+    console.log(`\n=== Entry window ${windowLabel(report.window)} ===`);
+    console.log(`Hours evaluated: ${report.hours} (${report.evaluations} evaluations)`);
+    console.log(`Trades: ${report.trades} (${report.settled} settled, ${report.unsettled} without result)`);
+    console.log(`Hit rate: ${pct(report.hitRate)} (${report.wins}W / ${report.losses}L)`);
+    console.log(`PnL after fees: ${dollars(report.pnlCents)} (fees $${(report.feesCents / 100).toFixed(2)})`);
+    console.log(`Balance: $${report.startBalance.toFixed(2)} → $${report.endBalance.toFixed(2)}`);
+    console.log(`Max drawdown: $${report.maxDrawdown.toFixed(2)} (${report.maxDrawdownPct.toFixed(1)}%)`);
+
+    const skips = Object.entries(report.skips).sort((a, b) => b[1] - a[1]);
+    if (skips.length) {
+        console.log(`Skipped: ${skips.map(([reason, n]) => `${reason} ${n}`).join(", ")}`);
+    }
+
+    const hours = Object.keys(report.byHour).map(Number).sort((a, b) => a - b);
+    if (hours.length) {
+        console.log("\nHour (UTC)  Trades  Hit rate  PnL");
+        for (const h of hours) {
+            const row = report.byHour[h];
+            console.log(`${String(h).padStart(2, "0")}:00       ${String(row.trades).padEnd(6)}  ${pct(row.hitRate).padEnd(8)}  ${dollars(row.pnlCents)}`);
+        }
+    }
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const snapshots = opts.markets
+        ? readData(opts.markets)
+        : createSnapshotStore().query({ start: opts.from ?? undefined, end: opts.to ?? undefined });
+    if (snapshots.length === 0) {
+        console.error("No market snapshots: record some with `node src/collect.js snapshots` or pass --markets <file>");
+        console.error("Usage: node src/backtest.js [--markets <file>] [--candles <file>] [--results <file>] [--window A-B ...] [--minute N ...] [--interval SEC] [--max-entries N] [--balance USD] [--from ISO] [--to ISO] [--strategy NAME] [--json] [--verbose]");
+        process.exit(1);
+    }
+    const candles = opts.candles ? readData(opts.candles) : candlesFromStore(snapshots);
+    const results = opts.results ? readData(opts.results) : storedResults();
+
+    const reports = opts.windows.map(([start, end]) => runBacktest({
+        candles,
+        snapshots,
+        results,
+        startBalance: opts.balance || 100,
+        from: opts.from,
+        to: opts.to,
+        config: {
+            ...DECISION_DEFAULTS,
+            ...RISK_DEFAULTS,
+            ...ENTRY_WINDOW_DEFAULTS,
+            entryWindowStart: start,
+            entryWindowEnd: end,
+            ...(opts.interval ? { evalIntervalSec: opts.interval } : {}),
+            ...(opts.maxEntries ? { maxEntriesPerEvent: opts.maxEntries } : {}),
+            ...(opts.strategy ? { strategy: opts.strategy } : {})
+        },
+        log: opts.verbose ? (msg) => console.log(`[${windowLabel({ start, end })}] ${msg}`) : undefined
+    }));
+
+    if (opts.json) {
+        console.log(JSON.stringify(reports, null, 2));
+        return;
+    }
+    reports.forEach(printReport);
+}
+
+main();
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Kalshi BTC Data Collector
+ * Builds local datasets for backtests and calibration. Safe to re-run (e.g. nightly from cron):
+ * progress is saved after every page and only new or changed records are written.
+ *
+ * Usage:
+ *   node src/collect.js settled                  # Closed/settled markets for KALSHI_SERIES_TICKER
+ *   node src/collect.js settled --full           # Page through everything, ignoring the last run
+ *   node src/collect.js settled --max-pages 5    # Stop early; the next run resumes from the cursor
+ *   node src/collect.js candles --days 7         # Backfill 1-minute BTC candles for the last week
+ *   node src/collect.js candles --from 2026-01-01 --to 2026-02-01
+ *   node src/collect.js snapshots                # Record the next event's quotes every minute, for backtests
+ *   node src/collect.js snapshots --interval 30 --window 40-59 --count 100
+ */
+
+import { CONFIG } from "./config.js";
+import { collectSettledMarkets } from "./data/settledMarkets.js";
+import { createCandleStore } from "./data/candleStore.js";
+import { createSnapshotStore, recordSnapshots } from "./data/marketSnapshots.js";
+import { clock } from "./utils.js";
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const opts = { command, series: CONFIG.kalshi.seriesTicker, full: false, maxPages: Infinity, dir: CONFIG.dataDir };
+    for (let i = 0; i < rest.length; i += 1) {
+        const arg = rest[i];
+        if (arg === "--series") opts.series = rest[++i];
+        else if (arg === "--full") opts.full = true;
+        else if (arg === "--max-pages") opts.maxPages = Number(rest[++i]);
+        else if (arg === "--dir") opts.dir = rest[++i];
+        else if (arg === "--from") opts.from = rest[++i];
+        else if (arg === "--to") opts.to = rest[++i];
+        else if (arg === "--days") opts.days = Number(rest[++i]);
+        else if (arg === "--interval") opts.interval = Number(rest[++i]);
+        else if (arg === "--count") opts.count = Number(rest[++i]);
+        else if (arg === "--window") opts.window = rest[++i].split("-").map(Number);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return opts;
+}
+
+async function collectSettled(opts) {
+    const summary = await collectSettledMarkets({
+        seriesTicker: opts.series,
+        dir: opts.dir,
+        full: opts.full,
+        maxPages: opts.maxPages,
+        log: (msg) => console.log(`[${clock.date().toISOString()}] ${msg}`)
+    });
+
+    console.log(`✅ ${summary.pages} pages, ${summary.fetched} markets fetched: ${summary.added} added, ${summary.updated} updated`);
+    console.log(`   ${summary.total} markets in ${summary.file}${summary.complete ? "" : " (incomplete, run again to resume)"}`);
+}
+
+async function collectCandles(opts) {
+    const store = createCandleStore({ dir: opts.dir });
+    const end = opts.to ? new Date(opts.to).getTime() : clock.now();
+    const start = opts.from ? new Date(opts.from).getTime() : end - (opts.days || 1) * 86_400_000;
+
+    const summary = await store.backfill({
+        start,
+        end,
+        log: (msg) => console.log(`[${clock.date().toISOString()}] ${msg}`)
+    });
+
+    console.log(`✅ ${summary.requests} requests, ${summary.fetched} candles fetched, ${summary.filled} empty minutes filled`);
+    console.log(`   ${summary.days} days written under ${store.root}`);
+}
+
+async function collectSnapshots(opts) {
+    const store = createSnapshotStore({ dir: opts.dir, seriesTicker: opts.series });
+    console.log(`📸 Recording ${opts.series} snapshots every ${opts.interval || 60}s${opts.window ? ` during :${opts.window[0]}-:${opts.window[1]}` : ""} into ${store.root}`);
+
+    const summary = await recordSnapshots({
+        store,
+        seriesTicker: opts.series,
+        intervalSec: opts.interval || 60,
+        count: opts.count || Infinity,
+        minutes: opts.window || null,
+        log: (msg) => console.log(`[${clock.date().toISOString()}] ${msg}`)
+    });
+
+    console.log(`✅ ${summary.recorded} snapshots recorded, ${summary.failed} failed`);
+}
+
+const COMMANDS = {
+    settled: collectSettled,
+    candles: collectCandles,
+    snapshots: collectSnapshots
+};
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const run = COMMANDS[opts.command];
+    if (!run) {
+        console.error(`Usage: node src/collect.js <${Object.keys(COMMANDS).join("|")}> [options]`);
+        process.exit(1);
+    }
+    await run(opts);
+}
+
+main().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
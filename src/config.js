@@ -19,18 +19,44 @@ function loadPrivateKey() {
   return process.env.KALSHI_PRIVATE_KEY || "";
 }
 
+// https://host/trade-api/v2 -> wss://host/trade-api/ws/v2
+function defaultKalshiWsUrl(baseUrl) {
+  const url = new URL(baseUrl);
+  url.protocol = url.protocol === "http:" ? "ws:" : "wss:";
+  url.pathname = url.pathname.replace(/\/trade-api\/v2\/?$/, "/trade-api/ws/v2");
+  return url.toString().replace(/\/$/, "");
+}
+
 export const CONFIG = {
   symbol: "BTC-USD",
 
   // Coinbase - US-based price source
   coinbase: {
     baseUrl: process.env.COINBASE_BASE_URL || "https://api.coinbase.com/v2",
-    exchangeUrl: process.env.COINBASE_EXCHANGE_URL || "https://api.exchange.coinbase.com"
+    exchangeUrl: process.env.COINBASE_EXCHANGE_URL || "https://api.exchange.coinbase.com",
+    wsUrl: process.env.COINBASE_WS_URL || "wss://ws-feed.exchange.coinbase.com",
+    useWebSocket: (process.env.COINBASE_USE_WS || "false").toLowerCase() === "true"
+  },
+
+  // Composite reference price (approximates the CF Benchmarks settlement index)
+  referencePrice: {
+    venues: (process.env.REFERENCE_VENUES || "coinbase,kraken,bitstamp,gemini").split(",").map((v) => v.trim()).filter(Boolean),
+    maxDeviationPct: parseFloat(process.env.REFERENCE_MAX_DEVIATION_PCT || "0.5"),
+    minVenues: parseInt(process.env.REFERENCE_MIN_VENUES || "1", 10), // Fall back to Coinbase spot below this
+    timeoutMs: parseInt(process.env.REFERENCE_TIMEOUT_MS || "2000", 10),
+    krakenUrl: process.env.KRAKEN_BASE_URL || "https://api.kraken.com",
+    bitstampUrl: process.env.BITSTAMP_BASE_URL || "https://www.bitstamp.net",
+    geminiUrl: process.env.GEMINI_BASE_URL || "https://api.gemini.com",
+    customUrl: process.env.REFERENCE_CUSTOM_URL || "",
+    customPricePath: process.env.REFERENCE_CUSTOM_PRICE_PATH || "price",
+    customVolumePath: process.env.REFERENCE_CUSTOM_VOLUME_PATH || ""
   },
 
   // Kalshi - US-regulated prediction market
   kalshi: {
     baseUrl: process.env.KALSHI_BASE_URL || "https://api.elections.kalshi.com/trade-api/v2",
+    wsUrl: process.env.KALSHI_WS_URL || defaultKalshiWsUrl(process.env.KALSHI_BASE_URL || "https://api.elections.kalshi.com/trade-api/v2"),
+    useWebSocket: (process.env.KALSHI_USE_WS || "false").toLowerCase() === "true",
     seriesTicker: process.env.KALSHI_SERIES_TICKER || "KXBTCD",
     apiKeyId: process.env.KALSHI_API_KEY_ID || "",
     privateKey: loadPrivateKey(),
@@ -48,7 +74,41 @@ export const CONFIG = {
   macdSignal: parseInt(process.env.MACD_SIGNAL || "9", 10),
   vwapSlopeLookbackMinutes: parseInt(process.env.VWAP_SLOPE_LOOKBACK || "5", 10),
 
+  // Regime detection
+  vwapCrossLookbackMinutes: parseInt(process.env.VWAP_CROSS_LOOKBACK || "20", 10),
+  volumeRecentMinutes: parseInt(process.env.VOLUME_RECENT_MINUTES || "5", 10),
+  volumeAvgMinutes: parseInt(process.env.VOLUME_AVG_MINUTES || "60", 10),
+  regimeConfirmations: parseInt(process.env.REGIME_CONFIRMATIONS || "3", 10), // Readings in a row before the regime switches
+
+  // Prediction strategy used by the tool, watch mode and the runner (lognormal | time-weighted | ta-score)
+  strategy: process.env.STRATEGY || "lognormal",
+
+  // Strike probability model
+  volEstimator: process.env.VOL_ESTIMATOR || "garmanKlass", // closeToClose | parkinson | garmanKlass | ewma
+  volLookbackMinutes: parseInt(process.env.VOL_LOOKBACK_MINUTES || "60", 10),
+  minSigmaPerMinute: parseFloat(process.env.MIN_SIGMA_PER_MINUTE || "0.0002"),
+  settlementWindowSeconds: parseInt(process.env.SETTLEMENT_WINDOW_SECONDS || "0", 10), // 0 = series default
+
+  // Record/replay of external HTTP calls (off | record | replay)
+  cassette: {
+    mode: (process.env.CASSETTE_MODE || "off").toLowerCase(),
+    file: process.env.CASSETTE_FILE || "./data/cassette.jsonl",
+    freezeClock: (process.env.CASSETTE_FREEZE_CLOCK || "true").toLowerCase() === "true"
+  },
+
+  // Kill switch for the auto-trader: set the env var or create the file to stop new orders
+  risk: {
+    killSwitch: ["1", "true"].includes((process.env.KILL_SWITCH || "").toLowerCase()),
+    killSwitchFile: process.env.KILL_SWITCH_FILE || "./KILL_SWITCH"
+  },
+
+  // Paper trading (runner.js --paper): virtual balance, fills against the real orderbook
+  paper: {
+    startBalance: parseFloat(process.env.PAPER_START_BALANCE || "100") // dollars
+  },
+
   // Output
   outputFormat: process.env.OUTPUT_FORMAT || "json", // "json" or "text"
-  logDir: process.env.LOG_DIR || "./logs"
+  logDir: process.env.LOG_DIR || "./logs",
+  dataDir: process.env.DATA_DIR || "./data" // Local datasets (settled markets, candles)
 };
@@ -0,0 +1,223 @@
+/**
+ * Local candle store - long, gap-free 1-minute history on disk
+ * Backfills arbitrary date ranges from Coinbase page by page and keeps one
+ * JSON Lines file per UTC day. Minutes without trades are stored as zero-volume
+ * candles carrying the previous close, so series read back are continuous.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { fetchCandlePage, MAX_CANDLES_PER_REQUEST } from "./coinbase.js";
+import { sleep, clock } from "../utils.js";
+
+const DAY_MS = 86_400_000;
+
+/**
+ * Forward-fill missing intervals with zero-volume candles at the previous close
+ * @param {Array<{time: number, close: number}>} candles - Chronological
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs]
+ * @param {number|null} [options.end] - Also fill up to (excluding) this time
+ * @param {Object|null} [options.previous] - Candle before the first one, to fill a leading gap from `start`
+ * @param {number|null} [options.start]
+ * @returns {Array} New array; input candles are not modified
+ */
+export function fillGaps(candles, { intervalMs = 60_000, start = null, end = null, previous = null } = {}) {
+    const out = [];
+    const flat = (time, close) => ({ time, open: close, high: close, low: close, close, volume: 0 });
+    let last = previous;
+
+    if (previous && start !== null) {
+        const first = candles.length ? candles[0].time : end;
+        for (let t = start; first !== null && t < first; t += intervalMs) out.push(flat(t, previous.close));
+    }
+
+    for (const candle of candles) {
+        if (last && out.length) {
+            for (let t = out[out.length - 1].time + intervalMs; t < candle.time; t += intervalMs) {
+                out.push(flat(t, last.close));
+            }
+        }
+        out.push({ ...candle });
+        last = candle;
+    }
+
+    if (end !== null && last && out.length) {
+        for (let t = out[out.length - 1].time + intervalMs; t < end; t += intervalMs) out.push(flat(t, last.close));
+    }
+    return out;
+}
+
+function dayKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function writeAtomic(file, text) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+}
+
+async function fetchPageWithRetry(params, retries = 4) {
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            return await fetchCandlePage(params);
+        } catch (err) {
+            const retryable = !err.status || err.status === 429 || err.status >= 500;
+            if (!retryable || attempt >= retries) throw err;
+            await sleep(1000 * 2 ** attempt);
+        }
+    }
+}
+
+/**
+ * Create a candle store rooted at `${dir}/candles/${productId}-${granularity}`
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to CONFIG.dataDir
+ * @param {string} [options.productId]
+ * @param {number} [options.granularity] - Candle size in seconds
+ * @returns {{backfill: Function, query: Function, days: Function, root: string}}
+ */
+export function createCandleStore({ dir = CONFIG.dataDir, productId = CONFIG.symbol, granularity = 60 } = {}) {
+    const root = path.join(dir, "candles", `${productId}-${granularity}`);
+    const intervalMs = granularity * 1000;
+    const cache = new Map();  // day -> candles, a few recently used days
+    const remember = (day, candles) => {
+        cache.delete(day);
+        cache.set(day, candles);
+        if (cache.size > 8) cache.delete(cache.keys().next().value);
+    };
+
+    const dayFile = (day) => path.join(root, `${day}.jsonl`);
+
+    const readDay = (day) => {
+        if (cache.has(day)) {
+            const candles = cache.get(day);
+            remember(day, candles);
+            return candles;
+        }
+        let candles = [];
+        try {
+            candles = fs.readFileSync(dayFile(day), "utf8")
+                .split("\n")
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        }
+        remember(day, candles);
+        return candles;
+    };
+
+    const writeDay = (day, candles) => {
+        fs.mkdirSync(root, { recursive: true });
+        writeAtomic(dayFile(day), candles.map(c => JSON.stringify(c)).join("\n") + (candles.length ? "\n" : ""));
+        remember(day, candles);
+    };
+
+    /**
+     * Days with a stored file, oldest first
+     * @returns {Array<string>} YYYY-MM-DD
+     */
+    const days = () => {
+        try {
+            return fs.readdirSync(root)
+                .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+                .map(f => f.slice(0, 10))
+                .sort();
+        } catch {
+            return [];
+        }
+    };
+
+    // Last stored candle strictly before `ms`, looking back a few days at most
+    const candleBefore = (ms) => {
+        for (let d = 0; d < 7; d += 1) {
+            const candles = readDay(dayKey(ms - d * DAY_MS)).filter(c => c.time < ms);
+            if (candles.length) return candles[candles.length - 1];
+        }
+        return null;
+    };
+
+    /**
+     * Read stored candles in [start, end)
+     * @param {Object} options
+     * @param {number|Date|string} options.start
+     * @param {number|Date|string} [options.end] - Defaults to now
+     * @returns {Array<{time: number, open: number, high: number, low: number, close: number, volume: number}>}
+     */
+    const query = ({ start, end = clock.now() }) => {
+        const startMs = new Date(start).getTime();
+        const endMs = new Date(end).getTime();
+        const out = [];
+        for (let day = Math.floor(startMs / DAY_MS) * DAY_MS; day < endMs; day += DAY_MS) {
+            for (const c of readDay(dayKey(day))) {
+                if (c.time >= startMs && c.time < endMs) out.push({ ...c });
+            }
+        }
+        return out;
+    };
+
+    /**
+     * Fetch and store every candle in [start, end), skipping pages already on disk
+     * Only closed intervals are stored; the still-forming candle is left for later.
+     * @param {Object} options
+     * @param {number|Date|string} options.start
+     * @param {number|Date|string} [options.end] - Defaults to now
+     * @param {number} [options.pageDelayMs] - Pause between requests (public limit is ~10/s)
+     * @param {Function} [options.log]
+     * @returns {Promise<{requests: number, fetched: number, filled: number, days: number}>}
+     */
+    const backfill = async ({ start, end = clock.now(), pageDelayMs = 150, log = () => {} }) => {
+        const startMs = Math.floor(new Date(start).getTime() / intervalMs) * intervalMs;
+        // Leave the forming candle and the one before it: Coinbase publishes with a short lag
+        const lastClosed = Math.floor(clock.now() / intervalMs) * intervalMs - intervalMs;
+        const endMs = Math.min(Math.ceil(new Date(end).getTime() / intervalMs) * intervalMs, lastClosed);
+        const stats = { requests: 0, fetched: 0, filled: 0, days: 0 };
+        const touched = new Set();
+        if (endMs <= startMs) return stats;
+
+        const pageMs = MAX_CANDLES_PER_REQUEST * intervalMs;
+        for (let pageStart = startMs; pageStart < endMs; pageStart += pageMs) {
+            const pageEnd = Math.min(pageStart + pageMs, endMs);
+            const expected = (pageEnd - pageStart) / intervalMs;
+            if (query({ start: pageStart, end: pageEnd }).length === expected) continue;
+
+            // Coinbase treats end as inclusive, so ask for one interval less
+            const rows = await fetchPageWithRetry({ granularity, start: pageStart, end: pageEnd - intervalMs });
+            stats.requests += 1;
+            const fetched = rows.filter(c => c.time >= pageStart && c.time < pageEnd);
+            stats.fetched += fetched.length;
+
+            // Merge over what is stored (fetched rows replace earlier zero-volume fills)
+            const merged = new Map(query({ start: pageStart, end: pageEnd }).map(c => [c.time, c]));
+            for (const c of fetched) merged.set(c.time, c);
+            const sorted = [...merged.values()].sort((a, b) => a.time - b.time);
+
+            const filled = fillGaps(sorted, { intervalMs, start: pageStart, end: pageEnd, previous: candleBefore(pageStart) });
+            stats.filled += filled.length - sorted.length;
+
+            // Write back the days this page touches
+            const byDay = new Map();
+            for (const c of filled) {
+                const day = dayKey(c.time);
+                if (!byDay.has(day)) byDay.set(day, []);
+                byDay.get(day).push(c);
+            }
+            for (const [day, rows] of byDay) {
+                const dayRows = new Map(readDay(day).map(c => [c.time, c]));
+                for (const c of rows) dayRows.set(c.time, c);
+                writeDay(day, [...dayRows.values()].sort((a, b) => a.time - b.time));
+                touched.add(day);
+            }
+
+            log(`${new Date(pageStart).toISOString()}: ${fetched.length} candles, ${filled.length - sorted.length} filled`);
+            await sleep(pageDelayMs);
+        }
+        stats.days = touched.size;
+        return stats;
+    };
+
+    return { backfill, query, days, root };
+}
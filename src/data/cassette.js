@@ -0,0 +1,165 @@
+/**
+ * Record/replay cassettes for outgoing HTTP calls
+ * Every external request (Coinbase, Kalshi, reference venues, notification
+ * webhook) goes through httpFetch(). With CASSETTE_MODE=record each request and
+ * response is appended to CASSETTE_FILE as one JSON line with timestamps; with
+ * CASSETTE_MODE=replay the recorded responses are served back with no network,
+ * and the tool's clock follows the recorded timestamps so time-dependent
+ * decisions repeat.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { clock, setClock } from "../utils.js";
+
+// Never write credentials to a cassette
+const REDACTED_HEADERS = ["kalshi-access-key", "kalshi-access-signature", "authorization"];
+
+let replay = null;  // {queues: Map<key, Array>, last: Map<key, Object>}
+let replayClock = null;   // {recordedMs, servedAt}
+
+/**
+ * Request key used to match replayed responses: method + URL with sorted query
+ * @param {string} method
+ * @param {string|URL} url
+ * @returns {string}
+ */
+export function requestKey(method, url) {
+    const u = new URL(url);
+    u.searchParams.sort();
+    return `${method.toUpperCase()} ${u.origin}${u.pathname}${u.search}`;
+}
+
+function redact(headers = {}) {
+    const out = {};
+    for (const [name, value] of Object.entries(headers)) {
+        out[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? "[redacted]" : value;
+    }
+    return out;
+}
+
+/**
+ * Load a cassette file
+ * @param {string} file
+ * @returns {Array<Object>} Interactions in recorded order
+ */
+export function loadCassette(file) {
+    return fs.readFileSync(file, "utf8")
+        .split("\n")
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * Serve responses from recorded interactions instead of the network
+ * Requests with the same key are answered in recorded order; once a key runs
+ * out its last response is repeated, so polling loops keep working.
+ * @param {Array<Object>} interactions
+ * @param {Object} [options]
+ * @param {boolean} [options.freezeClock] - Make clock.now() follow the recorded timestamps
+ */
+export function startReplay(interactions, { freezeClock = true } = {}) {
+    const queues = new Map();
+    for (const interaction of interactions) {
+        const key = requestKey(interaction.request.method, interaction.request.url);
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(interaction);
+    }
+    replay = { queues, last: new Map() };
+
+    // Recorded time plus real time elapsed since the last served response
+    if (freezeClock && interactions.length > 0 && !replayClock) {
+        replayClock = { recordedMs: Date.parse(interactions[0].time), servedAt: Date.now() };
+        setClock(() => replayClock.recordedMs + (Date.now() - replayClock.servedAt));
+    }
+}
+
+/**
+ * Stop replaying and restore the real clock
+ */
+export function stopReplay() {
+    replay = null;
+    if (replayClock) {
+        setClock(null);
+        replayClock = null;
+    }
+}
+
+function replayResponse(method, url) {
+    const key = requestKey(method, url);
+    const queue = replay.queues.get(key);
+    const interaction = queue?.length ? queue.shift() : replay.last.get(key);
+    if (!interaction) {
+        throw new Error(`Cassette has no recorded response for ${key}`);
+    }
+    replay.last.set(key, interaction);
+
+    // Advance the clock to when this response was originally received
+    if (replayClock) {
+        replayClock.recordedMs = Date.parse(interaction.time) + (interaction.durationMs || 0);
+        replayClock.servedAt = Date.now();
+    }
+
+    if (interaction.error) throw new Error(interaction.error);
+
+    const { status, headers, body } = interaction.response;
+    const empty = status === 204 || status === 304;
+    return new Response(empty ? null : body, { status, headers });
+}
+
+function recordInteraction(file, interaction) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(interaction) + "\n");
+}
+
+/**
+ * fetch() with cassette support; use it for every external HTTP call
+ * @param {string|URL} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, init = {}) {
+    const method = (init.method || "GET").toUpperCase();
+
+    if (replay) return replayResponse(method, url);
+    if (CONFIG.cassette.mode !== "record") return fetch(url, init);
+
+    const time = clock.date().toISOString();
+    const started = Date.now();
+    const request = {
+        method,
+        url: String(url),
+        headers: redact(init.headers),
+        body: typeof init.body === "string" ? init.body : null
+    };
+
+    let res;
+    let body;
+    try {
+        res = await fetch(url, init);
+        body = await res.text();
+    } catch (err) {
+        // Timeouts and network failures are part of what happened, record them too
+        recordInteraction(CONFIG.cassette.file, { time, durationMs: Date.now() - started, request, error: err.message });
+        throw err;
+    }
+
+    // The body is stored decoded, so drop headers that describe the wire encoding
+    const headers = Object.fromEntries([...res.headers.entries()]
+        .filter(([name]) => !["content-encoding", "content-length", "transfer-encoding"].includes(name)));
+    recordInteraction(CONFIG.cassette.file, {
+        time,
+        durationMs: Date.now() - started,
+        request,
+        response: { status: res.status, headers, body }
+    });
+
+    const empty = res.status === 204 || res.status === 304;
+    return new Response(empty ? null : body, { status: res.status, statusText: res.statusText, headers });
+}
+
+// CASSETTE_MODE=replay applies to every entry point that loads this module
+if (CONFIG.cassette.mode === "replay") {
+    startReplay(loadCassette(CONFIG.cassette.file), { freezeClock: CONFIG.cassette.freezeClock });
+}
@@ -4,6 +4,8 @@
  */
 
 import { CONFIG } from "../config.js";
+import { httpFetch } from "./cassette.js";
+import { clock } from "../utils.js";
 
 /**
  * Fetch current BTC-USD spot price from Coinbase
@@ -11,7 +13,7 @@ import { CONFIG } from "../config.js";
  */
 export async function fetchSpotPrice() {
     const url = `${CONFIG.coinbase.baseUrl}/prices/BTC-USD/spot`;
-    const res = await fetch(url);
+    const res = await httpFetch(url);
     if (!res.ok) {
         throw new Error(`Coinbase spot price error: ${res.status}`);
     }
@@ -19,17 +21,19 @@ export async function fetchSpotPrice() {
     return {
         price: parseFloat(data.data.amount),
         currency: data.data.currency,
-        timestamp: new Date().toISOString()
+        timestamp: clock.date().toISOString()
     };
 }
 
 /**
  * Fetch BTC-USD ticker from Coinbase Exchange (more detailed)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - e.g. AbortSignal.timeout(ms)
  * @returns {Promise<{price: number, bid: number, ask: number, volume: number, timestamp: string}>}
  */
-export async function fetchTicker() {
+export async function fetchTicker({ signal } = {}) {
     const url = `${CONFIG.coinbase.exchangeUrl}/products/BTC-USD/ticker`;
-    const res = await fetch(url);
+    const res = await httpFetch(url, { signal });
     if (!res.ok) {
         throw new Error(`Coinbase ticker error: ${res.status}`);
     }
@@ -43,37 +47,75 @@ export async function fetchTicker() {
     };
 }
 
+// Coinbase Exchange returns at most 300 candles per request
+export const MAX_CANDLES_PER_REQUEST = 300;
+
 /**
- * Fetch historical candles from Coinbase Exchange
+ * Fetch one page of historical candles from Coinbase Exchange
  * @param {Object} options
  * @param {number} options.granularity - Candle size in seconds (60, 300, 900, 3600, 21600, 86400)
- * @param {number} options.limit - Number of candles to fetch (max 300)
- * @returns {Promise<Array<{time: number, open: number, high: number, low: number, close: number, volume: number}>>}
+ * @param {number|Date} [options.start] - Range start (ms or Date); Coinbase returns the latest page if omitted
+ * @param {number|Date} [options.end] - Range end (ms or Date), at most 300 candles after start
+ * @returns {Promise<Array<{time: number, open: number, high: number, low: number, close: number, volume: number}>>} Chronological
  */
-export async function fetchCandles({ granularity = 60, limit = 240 } = {}) {
+export async function fetchCandlePage({ granularity = 60, start, end } = {}) {
     // Coinbase Exchange returns candles in reverse chronological order
     // Each candle: [timestamp, low, high, open, close, volume]
-    const url = `${CONFIG.coinbase.exchangeUrl}/products/BTC-USD/candles?granularity=${granularity}`;
-    const res = await fetch(url);
+    const url = new URL(`${CONFIG.coinbase.exchangeUrl}/products/BTC-USD/candles`);
+    url.searchParams.set("granularity", String(granularity));
+    if (start !== undefined) url.searchParams.set("start", new Date(start).toISOString());
+    if (end !== undefined) url.searchParams.set("end", new Date(end).toISOString());
+
+    const res = await httpFetch(url);
     if (!res.ok) {
-        throw new Error(`Coinbase candles error: ${res.status}`);
+        const err = new Error(`Coinbase candles error: ${res.status}`);
+        err.status = res.status;
+        throw err;
     }
     const data = await res.json();
 
-    // Transform to standard OHLCV format and reverse to chronological order
-    const candles = data
-        .slice(0, limit)
-        .reverse()
+    // Transform to standard OHLCV format in chronological order
+    return data
         .map(([time, low, high, open, close, volume]) => ({
             time: time * 1000, // Convert to milliseconds
-            open,
-            high,
-            low,
-            close,
-            volume
-        }));
+            open: Number(open),
+            high: Number(high),
+            low: Number(low),
+            close: Number(close),
+            volume: Number(volume)
+        }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Fetch the most recent historical candles from Coinbase Exchange
+ * Pages backwards when more than one request's worth is asked for.
+ * @param {Object} options
+ * @param {number} options.granularity - Candle size in seconds (60, 300, 900, 3600, 21600, 86400)
+ * @param {number} options.limit - Number of candles to fetch
+ * @returns {Promise<Array<{time: number, open: number, high: number, low: number, close: number, volume: number}>>}
+ */
+export async function fetchCandles({ granularity = 60, limit = 240 } = {}) {
+    if (limit <= MAX_CANDLES_PER_REQUEST) {
+        const candles = await fetchCandlePage({ granularity });
+        return candles.slice(-limit);
+    }
+
+    const stepMs = granularity * 1000;
+    let end = Math.floor(clock.now() / stepMs) * stepMs;
+    const pages = [];
+    let remaining = limit;
+    while (remaining > 0) {
+        const count = Math.min(remaining, MAX_CANDLES_PER_REQUEST);
+        const start = end - (count - 1) * stepMs;  // Both ends are inclusive
+        const page = await fetchCandlePage({ granularity, start, end });
+        pages.unshift(page.filter(c => c.time >= start && c.time <= end));
+        remaining -= count;
+        end = start - stepMs;
+    }
 
-    return candles;
+    const candles = pages.flat();
+    return candles.slice(-limit);
 }
 
 /**
@@ -82,7 +124,7 @@ export async function fetchCandles({ granularity = 60, limit = 240 } = {}) {
  */
 export async function fetch24hrStats() {
     const url = `${CONFIG.coinbase.exchangeUrl}/products/BTC-USD/stats`;
-    const res = await fetch(url);
+    const res = await httpFetch(url);
     if (!res.ok) {
         throw new Error(`Coinbase stats error: ${res.status}`);
     }
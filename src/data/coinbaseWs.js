@@ -0,0 +1,352 @@
+/**
+ * Coinbase Exchange WebSocket feed - streaming BTC-USD ticker and trades
+ * Public channels, no authentication required.
+ * Builds rolling 1-minute candles from the matches channel in the same
+ * {time, open, high, low, close, volume} shape as fetchCandles(). Minutes the
+ * stream missed (e.g. while reconnecting) are backfilled from REST.
+ */
+
+import { EventEmitter } from "node:events";
+import { CONFIG } from "../config.js";
+import { connectWebSocket } from "./websocket.js";
+import { fetchSpotPrice, fetchTicker, fetchCandles, fetchCandlePage, MAX_CANDLES_PER_REQUEST } from "./coinbase.js";
+import { createIndicatorSet } from "../indicators/streaming.js";
+import { sleep, clock } from "../utils.js";
+
+/**
+ * Rolling candle builder
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Candle size (default 1 minute)
+ * @param {number} [options.maxCandles] - Candles kept in memory
+ * @param {(candle: Object) => void} [options.onClose] - Called with each candle once the next one starts
+ * @param {(gap: {start: number, end: number}) => void} [options.onGap] - Called when trades skip whole candles
+ * @returns {{addTrade: Function, seed: Function, fill: Function, getGaps: Function, getCandles: Function}}
+ */
+export function createCandleBuilder({ intervalMs = 60_000, maxCandles = 300, onClose = () => {}, onGap = () => {} } = {}) {
+    const candles = [];
+    const gaps = []; // [start, end) ranges with no candles until fill() covers them
+
+    const trim = () => {
+        if (candles.length > maxCandles) candles.splice(0, candles.length - maxCandles);
+    };
+
+    /**
+     * Add a trade to the candle it falls in
+     * @param {{price: number, size: number, time: number}} trade - time in ms
+     */
+    const addTrade = ({ price, size, time }) => {
+        if (!Number.isFinite(price) || !Number.isFinite(time)) return;
+        const bucket = Math.floor(time / intervalMs) * intervalMs;
+        const last = candles[candles.length - 1];
+
+        if (last && bucket < last.time) return; // late trade for a closed candle
+
+        if (!last || bucket > last.time) {
+            if (last) {
+                onClose({ ...last });
+                // Skipped candles stay missing rather than flat: no trades seen is
+                // not the same as no trades (the socket may have been down)
+                if (bucket > last.time + intervalMs) {
+                    const gap = { start: last.time + intervalMs, end: bucket };
+                    gaps.push(gap);
+                    onGap({ ...gap });
+                }
+            }
+            candles.push({ time: bucket, open: price, high: price, low: price, close: price, volume: size || 0 });
+            trim();
+            return;
+        }
+
+        last.high = Math.max(last.high, price);
+        last.low = Math.min(last.low, price);
+        last.close = price;
+        last.volume += size || 0;
+    };
+
+    /**
+     * Seed history from fetchCandles() output (chronological)
+     * @param {Array} history
+     */
+    const seed = (history) => {
+        const firstLive = candles.length ? candles[0].time : Infinity;
+        const older = (history || []).filter(c => c.time < firstLive).map(c => ({ ...c }));
+        candles.unshift(...older);
+        trim();
+    };
+
+    /**
+     * Backfill missing candles from fetchCandlePage() output
+     * A gap is closed once the history reaches its last candle; Coinbase omits
+     * candles without trades, so whatever is still absent then had none.
+     * @param {Array} history
+     * @returns {Array} Candles added, oldest first
+     */
+    const fill = (history) => {
+        const rows = history || [];
+        const have = new Set(candles.map(c => c.time));
+        const inGap = (c) => gaps.some(g => c.time >= g.start && c.time < g.end);
+        const added = rows.filter(c => inGap(c) && !have.has(c.time)).map(c => ({ ...c }));
+        if (added.length) {
+            candles.push(...added);
+            candles.sort((a, b) => a.time - b.time);
+            trim();
+        }
+
+        const newest = rows.reduce((max, c) => Math.max(max, c.time), -Infinity);
+        const oldest = candles.length ? candles[0].time : -Infinity;
+        for (let i = gaps.length - 1; i >= 0; i -= 1) {
+            if (newest >= gaps[i].end - intervalMs || gaps[i].end <= oldest) gaps.splice(i, 1);
+        }
+        return added.sort((a, b) => a.time - b.time).map(c => ({ ...c }));
+    };
+
+    /**
+     * Ranges still missing candles
+     * @returns {Array<{start: number, end: number}>}
+     */
+    const getGaps = () => gaps.map(g => ({ ...g }));
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {boolean} [options.includeCurrent] - Include the still-forming candle
+     * @returns {Array<{time: number, open: number, high: number, low: number, close: number, volume: number}>}
+     */
+    const getCandles = ({ limit = maxCandles, includeCurrent = true } = {}) => {
+        const currentBucket = Math.floor(clock.now() / intervalMs) * intervalMs;
+        const rows = includeCurrent ? candles : candles.filter(c => c.time < currentBucket);
+        return rows.slice(-limit).map(c => ({ ...c }));
+    };
+
+    return { addTrade, seed, fill, getGaps, getCandles };
+}
+
+/**
+ * Create a Coinbase Exchange WebSocket feed
+ * Emits "ticker", "match", "candle" (each closed 1-minute candle, including backfilled
+ * ones), "gap" (candles still missing after the backfill retries), "open", "close", "stale" and "error".
+ * @param {Object} [options]
+ * @param {string} [options.url] - Defaults to CONFIG.coinbase.wsUrl
+ * @param {string} [options.productId]
+ * @param {number} [options.heartbeatTimeoutMs] - Reconnect if nothing arrives for this long
+ * @param {number} [options.maxBackoffMs]
+ * @param {Function} [options.fetchPage] - Candles for a missing range, fetchCandlePage() by default
+ * @param {number} [options.backfillRetries] - Attempts before a range is left missing
+ * @param {number} [options.backfillRetryMs] - Wait before the next attempt (REST lags the stream slightly)
+ * @returns {EventEmitter & {connect: Function, close: Function, getTicker: Function, candles: ReturnType<typeof createCandleBuilder>}}
+ */
+export function createCoinbaseFeed({
+    url = CONFIG.coinbase.wsUrl,
+    productId = CONFIG.symbol,
+    heartbeatTimeoutMs = 10_000,
+    maxBackoffMs = 30_000,
+    fetchPage = fetchCandlePage,
+    backfillRetries = 3,
+    backfillRetryMs = 5_000
+} = {}) {
+    const feed = new EventEmitter();
+    const intervalMs = 60_000;
+    const candles = createCandleBuilder({
+        intervalMs,
+        onClose: (candle) => feed.emit("candle", candle),
+        onGap: (gap) => backfill(gap)
+    });
+    let ws = null;
+    let ticker = null;
+    let lastMessageAt = 0;   // Socket liveness, kept on real time
+    let watchdog = null;
+    let closedByUser = false;
+
+    // Fetch the candles the stream missed; retried while REST catches up
+    const backfill = async (gap, attempt = 1) => {
+        const start = Math.max(gap.start, gap.end - MAX_CANDLES_PER_REQUEST * intervalMs);
+        try {
+            const page = await fetchPage({ granularity: intervalMs / 1000, start, end: gap.end - intervalMs });
+            for (const candle of candles.fill(page)) feed.emit("candle", candle);
+        } catch (err) {
+            feed.emit("error", err);
+        }
+
+        const open = candles.getGaps().some(g => g.start === gap.start && g.end === gap.end);
+        if (!open || closedByUser) return;
+        if (attempt < backfillRetries) {
+            setTimeout(() => backfill(gap, attempt + 1), backfillRetryMs).unref();
+        } else {
+            feed.emit("gap", gap);
+        }
+    };
+
+    const handleMessage = (raw) => {
+        let msg;
+        try {
+            msg = JSON.parse(raw);
+        } catch {
+            return;
+        }
+        lastMessageAt = Date.now();
+
+        if (msg.type === "ticker") {
+            ticker = {
+                price: parseFloat(msg.price),
+                bid: parseFloat(msg.best_bid),
+                ask: parseFloat(msg.best_ask),
+                volume: parseFloat(msg.volume_24h),
+                timestamp: msg.time
+            };
+            feed.emit("ticker", ticker);
+        } else if (msg.type === "match" || msg.type === "last_match") {
+            const trade = { price: parseFloat(msg.price), size: parseFloat(msg.size), time: new Date(msg.time).getTime(), side: msg.side };
+            candles.addTrade(trade);
+            feed.emit("match", trade);
+        } else if (msg.type === "error") {
+            feed.emit("error", new Error(`Coinbase WS error: ${msg.message} ${msg.reason || ""}`.trim()));
+        }
+    };
+
+    const open = async () => {
+        ws = await connectWebSocket(url);
+        lastMessageAt = Date.now();
+        ws.on("message", handleMessage);
+        ws.on("error", (err) => feed.emit("error", err));
+        ws.on("close", (info) => {
+            feed.emit("close", info);
+            if (!closedByUser) reconnectLoop();
+        });
+        ws.send(JSON.stringify({
+            type: "subscribe",
+            product_ids: [productId],
+            channels: ["ticker", "matches", "heartbeat"]
+        }));
+        feed.emit("open");
+    };
+
+    const reconnectLoop = async () => {
+        let backoff = 1000;
+        while (!closedByUser) {
+            await sleep(backoff);
+            if (closedByUser) return;
+            try {
+                await open();
+                return;
+            } catch (err) {
+                feed.emit("error", err);
+                backoff = Math.min(maxBackoffMs, backoff * 2);
+            }
+        }
+    };
+
+    feed.connect = async () => {
+        closedByUser = false;
+        await open();
+
+        // Heartbeats arrive every second; silence means a dead connection
+        watchdog = setInterval(() => {
+            if (ws && ws.readyState === "open" && Date.now() - lastMessageAt > heartbeatTimeoutMs) {
+                feed.emit("stale", { silentMs: Date.now() - lastMessageAt });
+                ws.terminate();
+            }
+        }, 1000);
+        watchdog.unref();
+        return feed;
+    };
+
+    feed.close = () => {
+        closedByUser = true;
+        clearInterval(watchdog);
+        if (ws) ws.close();
+    };
+
+    /**
+     * Latest ticker in fetchTicker() shape, or null before the first update
+     * @returns {{price: number, bid: number, ask: number, volume: number, timestamp: string}|null}
+     */
+    feed.getTicker = () => (ticker ? { ...ticker } : null);
+
+    /**
+     * True if a message arrived within the heartbeat timeout
+     * @returns {boolean}
+     */
+    feed.isLive = () => ws !== null && ws.readyState === "open" && Date.now() - lastMessageAt <= heartbeatTimeoutMs;
+
+    feed.candles = candles;
+    return feed;
+}
+
+// Candles the watch-mode TA covers: the streamed VWAP is kept to the same window
+// as the batch indicators over fetchCandles({limit: TA_CANDLES})
+export const TA_CANDLES = 240;
+
+/**
+ * Streaming price source with the same API as coinbase.js
+ * Falls back to REST whenever the stream is not live. Indicators are updated
+ * incrementally as each candle closes instead of being recomputed per poll.
+ * @param {Object} [options] - Passed to createCoinbaseFeed
+ * @param {(err: Error) => void} [options.onError] - Feed errors (reconnects are automatic); logged by default
+ * @param {number} [options.vwapWindow] - Candles the streamed VWAP covers
+ * @param {Function} [options.fetchHistory] - Seed history, fetchCandles() by default
+ * @returns {Promise<{fetchSpotPrice: Function, fetchTicker: Function, fetchCandles: Function, getIndicators: Function, feed: ReturnType<typeof createCoinbaseFeed>}>}
+ */
+export async function createStreamingPriceSource({
+    onError = (err) => console.error(`Coinbase WebSocket error: ${err.message}`),
+    vwapWindow = TA_CANDLES,
+    fetchHistory = fetchCandles,
+    ...options
+} = {}) {
+    const feed = createCoinbaseFeed(options);
+    feed.on("error", onError);
+
+    // Seed candle history so indicators have a full window from the start
+    const history = await fetchHistory({ granularity: 60, limit: 300 }).catch(() => []);
+    feed.candles.seed(history);
+
+    const createIndicators = () => createIndicatorSet({
+        rsiPeriod: CONFIG.rsiPeriod,
+        macdFast: CONFIG.macdFast,
+        macdSlow: CONFIG.macdSlow,
+        macdSignal: CONFIG.macdSignal,
+        vwapWindow
+    });
+    let indicators = createIndicators();
+
+    // Replay every closed candle in order, e.g. after a backfill lands behind the head
+    const rebuild = () => {
+        indicators = createIndicators();
+        for (const candle of feed.candles.getCandles({ includeCurrent: false })) indicators.update(candle);
+    };
+    const addClosed = (candle) => {
+        const last = indicators.values().time;
+        if (last === null || candle.time > last) indicators.update(candle);
+        // Earlier than the head: a gap candle backfilled after later ones closed.
+        // The same time is the seeded history already holding the first live close.
+        else if (candle.time < last) rebuild();
+    };
+    rebuild();
+    feed.on("candle", addClosed);
+    await feed.connect();
+
+    return {
+        feed,
+
+        /**
+         * Indicator values over the stream (VWAP over the last `vwapWindow` candles), including the forming candle
+         * @returns {{time: number|null, vwap: number|null, rsi: number|null, macd: Object|null, heikenAshi: Object|null}}
+         */
+        getIndicators() {
+            const [current] = feed.candles.getCandles({ limit: 1 });
+            return current && current.time > indicators.values().time ? indicators.peek(current) : indicators.values();
+        },
+        async fetchSpotPrice() {
+            const t = feed.isLive() ? feed.getTicker() : null;
+            if (!t) return fetchSpotPrice();
+            return { price: t.price, currency: "USD", timestamp: t.timestamp };
+        },
+        async fetchTicker() {
+            const t = feed.isLive() ? feed.getTicker() : null;
+            return t || fetchTicker();
+        },
+        async fetchCandles({ granularity = 60, limit = 240 } = {}) {
+            if (granularity !== 60 || !feed.isLive()) return fetchCandles({ granularity, limit });
+            return feed.candles.getCandles({ limit });
+        }
+    };
+}
@@ -4,23 +4,36 @@
  */
 
 import { CONFIG } from "../config.js";
+import { httpFetch } from "./cassette.js";
 import crypto from "node:crypto";
+import { clock } from "../utils.js";
+
+/**
+ * Check whether API credentials are configured
+ * @returns {boolean}
+ */
+export function hasCredentials() {
+    return Boolean(CONFIG.kalshi.apiKeyId && CONFIG.kalshi.privateKey);
+}
 
 /**
  * Generate authentication headers for Kalshi API
+ * Kalshi signs timestamp + method + full URL path (e.g. /trade-api/v2/portfolio/orders),
+ * without the query string and without the request body.
  * @param {string} method - HTTP method
- * @param {string} path - API path (without query params)
+ * @param {string} signPath - Full URL pathname (without query params)
  * @returns {Object} Headers object with authentication
  */
-function getAuthHeaders(method, path) {
+export function getAuthHeaders(method, signPath) {
     const { apiKeyId, privateKey } = CONFIG.kalshi;
 
     if (!apiKeyId || !privateKey) {
         return {}; // Unauthenticated request
     }
 
+    // Kalshi checks the signature timestamp against its own clock, so always sign with real time
     const timestamp = Date.now().toString();
-    const message = `${timestamp}${method.toUpperCase()}${path}`;
+    const message = `${timestamp}${method.toUpperCase()}${signPath}`;
 
     // Sign with RSA-PSS SHA256
     const sign = crypto.createSign("RSA-SHA256");
@@ -38,25 +51,57 @@ function getAuthHeaders(method, path) {
     };
 }
 
+/**
+ * Build a query string, skipping null/undefined values
+ * @param {Object} params
+ * @returns {string} "" or "?a=1&b=2"
+ */
+function buildQuery(params = {}) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value === null || value === undefined) continue;
+        search.append(key, Array.isArray(value) ? value.join(",") : String(value));
+    }
+    const qs = search.toString();
+    return qs ? `?${qs}` : "";
+}
+
 /**
  * Make a request to Kalshi API
- * @param {string} path - API path
- * @param {Object} options - Fetch options
+ * @param {string} path - API path relative to CONFIG.kalshi.baseUrl
+ * @param {Object} options
+ * @param {string} [options.method] - HTTP method
+ * @param {boolean} [options.authenticated] - Sign the request
+ * @param {Object} [options.query] - Query parameters
+ * @param {Object} [options.body] - JSON body
+ * @param {number} [options.timeoutMs] - Abort after this many ms
  * @returns {Promise<any>}
  */
-async function kalshiFetch(path, { method = "GET", authenticated = false } = {}) {
-    const url = `${CONFIG.kalshi.baseUrl}${path}`;
+async function kalshiFetch(path, { method = "GET", authenticated = false, query, body, timeoutMs = 10000 } = {}) {
+    const url = new URL(`${CONFIG.kalshi.baseUrl}${path}${buildQuery(query)}`);
+    if (authenticated && !hasCredentials()) {
+        throw new Error("Kalshi API credentials not configured");
+    }
+
     const headers = {
         "Content-Type": "application/json",
-        ...(authenticated ? getAuthHeaders(method, path) : {})
+        ...(authenticated ? getAuthHeaders(method, url.pathname) : {})
     };
 
-    const res = await fetch(url, { method, headers });
+    const res = await httpFetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
     if (!res.ok) {
         const text = await res.text().catch(() => "");
-        throw new Error(`Kalshi API error ${res.status}: ${text}`);
+        const err = new Error(`Kalshi API error ${res.status}: ${text}`);
+        err.status = res.status;
+        throw err;
     }
-    return res.json();
+    const text = await res.text();
+    return text ? JSON.parse(text) : {};
 }
 
 /**
@@ -76,8 +121,33 @@ export async function fetchSeries(seriesTicker) {
  * @returns {Promise<Array>}
  */
 export async function fetchMarkets(seriesTicker, status = "open") {
-    const data = await kalshiFetch(`/markets?series_ticker=${seriesTicker}&status=${status}`);
-    return data.markets || [];
+    const { markets } = await fetchMarketsPage({ seriesTicker, status });
+    return markets;
+}
+
+/**
+ * Fetch one page of markets for a series
+ * @param {Object} params
+ * @param {string} params.seriesTicker - e.g., "KXBTCD"
+ * @param {string} [params.status] - "unopened", "open", "closed" or "settled"
+ * @param {string} [params.cursor] - Cursor from the previous page
+ * @param {number} [params.limit] - Page size (Kalshi max 1000)
+ * @param {number} [params.minCloseTs] - Only markets closing at or after this unix time (seconds)
+ * @param {number} [params.maxCloseTs] - Only markets closing at or before this unix time (seconds)
+ * @returns {Promise<{markets: Array, cursor: string|null}>} cursor is null on the last page
+ */
+export async function fetchMarketsPage({ seriesTicker, status = "open", cursor, limit, minCloseTs, maxCloseTs }) {
+    const data = await kalshiFetch("/markets", {
+        query: {
+            series_ticker: seriesTicker,
+            status,
+            cursor: cursor || undefined,
+            limit,
+            min_close_ts: minCloseTs,
+            max_close_ts: maxCloseTs
+        }
+    });
+    return { markets: data.markets || [], cursor: data.cursor || null };
 }
 
 /**
@@ -110,6 +180,118 @@ export async function fetchOrderBook(marketTicker) {
     return data.orderbook;
 }
 
+// ============================================
+// PORTFOLIO (authenticated)
+// ============================================
+
+/**
+ * Fetch account balance
+ * @returns {Promise<number>} Available balance in cents
+ */
+export async function fetchBalance() {
+    const data = await kalshiFetch("/portfolio/balance", { authenticated: true });
+    return data.balance;
+}
+
+/**
+ * Fetch open positions
+ * @param {Object} [params] - ticker, event_ticker, count_filter, settlement_status, limit, cursor
+ * @returns {Promise<{market_positions: Array, event_positions: Array, cursor: string}>}
+ */
+export async function fetchPositions(params = {}) {
+    return kalshiFetch("/portfolio/positions", { authenticated: true, query: params });
+}
+
+/**
+ * Fetch fills (executed trades)
+ * @param {Object} [params] - ticker, order_id, min_ts, max_ts, limit, cursor
+ * @returns {Promise<{fills: Array, cursor: string}>}
+ */
+export async function fetchFills(params = {}) {
+    return kalshiFetch("/portfolio/fills", { authenticated: true, query: params });
+}
+
+/**
+ * Fetch settlements for resolved positions
+ * @param {Object} [params] - ticker, event_ticker, min_ts, max_ts, limit, cursor
+ * @returns {Promise<{settlements: Array, cursor: string}>}
+ */
+export async function fetchSettlements(params = {}) {
+    return kalshiFetch("/portfolio/settlements", { authenticated: true, query: params });
+}
+
+/**
+ * List orders
+ * @param {Object} [params] - ticker, event_ticker, status ("resting", "canceled", "executed"), min_ts, max_ts, limit, cursor
+ * @returns {Promise<{orders: Array, cursor: string}>}
+ */
+export async function fetchOrders(params = {}) {
+    return kalshiFetch("/portfolio/orders", { authenticated: true, query: params });
+}
+
+/**
+ * Fetch a single order
+ * @param {string} orderId
+ * @returns {Promise<Object>}
+ */
+export async function fetchOrder(orderId) {
+    const data = await kalshiFetch(`/portfolio/orders/${orderId}`, { authenticated: true });
+    return data.order;
+}
+
+/**
+ * Create an order
+ * @param {Object} order - {ticker, side, action, count, type, yes_price | no_price, client_order_id, ...}
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<Object>} Created order
+ */
+export async function createOrder(order, { timeoutMs } = {}) {
+    const body = { client_order_id: crypto.randomUUID(), ...order };
+    const data = await kalshiFetch("/portfolio/orders", { method: "POST", authenticated: true, body, timeoutMs });
+    return data.order;
+}
+
+/**
+ * Cancel a resting order
+ * @param {string} orderId
+ * @returns {Promise<{order: Object, reduced_by: number}>}
+ */
+export async function cancelOrder(orderId) {
+    return kalshiFetch(`/portfolio/orders/${orderId}`, { method: "DELETE", authenticated: true });
+}
+
+/**
+ * Amend price and/or count of a resting order
+ * @param {string} orderId
+ * @param {Object} changes - {ticker, side, action, count, yes_price | no_price}
+ * @returns {Promise<{old_order: Object, order: Object}>}
+ */
+export async function amendOrder(orderId, changes) {
+    return kalshiFetch(`/portfolio/orders/${orderId}/amend`, { method: "POST", authenticated: true, body: changes });
+}
+
+/**
+ * Create several orders in one request
+ * @param {Array<Object>} orders
+ * @returns {Promise<Array>} Per-order results
+ */
+export async function batchCreateOrders(orders) {
+    const body = { orders: orders.map(o => ({ client_order_id: crypto.randomUUID(), ...o })) };
+    const data = await kalshiFetch("/portfolio/orders/batched", { method: "POST", authenticated: true, body });
+    return data.orders || [];
+}
+
+/**
+ * Cancel several orders in one request
+ * @param {Array<string>} orderIds
+ * @returns {Promise<Array>} Per-order results
+ */
+export async function batchCancelOrders(orderIds) {
+    const data = await kalshiFetch("/portfolio/orders/batched", { method: "DELETE", authenticated: true, body: { ids: orderIds } });
+    return data.orders || [];
+}
+
 /**
  * Parse market title or ticker to extract strike price
  * Examples:
@@ -173,7 +355,7 @@ export function parseExpiration(market) {
 export function pickBestMarket(markets, currentPrice) {
     if (!markets?.length || !currentPrice) return null;
 
-    const now = Date.now();
+    const now = clock.now();
     const candidates = markets
         .map(m => ({
             ...m,
@@ -218,11 +400,11 @@ export function groupMarketsByEvent(markets) {
 /**
  * Get the next upcoming event's markets
  * @param {Array} markets
+ * @param {number} [now] - Reference time in ms (backtests pass the simulated time)
  * @returns {Array}
  */
-export function getNextEventMarkets(markets) {
+export function getNextEventMarkets(markets, now = clock.now()) {
     const groups = groupMarketsByEvent(markets);
-    const now = Date.now();
 
     let earliest = null;
     let earliestMarkets = [];
@@ -249,8 +431,9 @@ export function summarizeOrderBook(orderbook) {
     const yes = orderbook?.yes || [];
     const no = orderbook?.no || [];
 
-    const bestYesBid = yes.length ? yes[0][0] : null;
-    const bestNoBid = no.length ? no[0][0] : null;
+    // The REST API lists bids in ascending price order, so don't rely on position
+    const bestYesBid = yes.length ? Math.max(...yes.map(([p]) => p)) : null;
+    const bestNoBid = no.length ? Math.max(...no.map(([p]) => p)) : null;
 
     const yesLiquidity = yes.reduce((sum, [p, q]) => sum + q, 0);
     const noLiquidity = no.reduce((sum, [p, q]) => sum + q, 0);
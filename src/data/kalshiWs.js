@@ -0,0 +1,226 @@
+/**
+ * Kalshi WebSocket feed - live orderbooks, ticker, trades and fills
+ * Keeps a local orderbook per subscribed market from orderbook_snapshot /
+ * orderbook_delta messages, detects sequence gaps and resubscribes.
+ */
+
+import { EventEmitter } from "node:events";
+import { CONFIG } from "../config.js";
+import { getAuthHeaders } from "./kalshi.js";
+import { connectWebSocket } from "./websocket.js";
+import { sleep, clock } from "../utils.js";
+
+/**
+ * Create an empty local orderbook
+ * @returns {{yes: Map<number, number>, no: Map<number, number>, seq: number|null, updatedAt: number|null}}
+ */
+export function createOrderBook() {
+    return { yes: new Map(), no: new Map(), seq: null, updatedAt: null };
+}
+
+/**
+ * Replace book contents with a snapshot
+ * @param {ReturnType<typeof createOrderBook>} book
+ * @param {Object} msg - {yes: [[price, qty], ...], no: [[price, qty], ...]}
+ */
+export function applySnapshot(book, msg) {
+    book.yes = new Map((msg.yes || []).map(([p, q]) => [p, q]));
+    book.no = new Map((msg.no || []).map(([p, q]) => [p, q]));
+    book.updatedAt = clock.now();
+}
+
+/**
+ * Apply a single price level change
+ * @param {ReturnType<typeof createOrderBook>} book
+ * @param {Object} msg - {side: "yes"|"no", price, delta}
+ */
+export function applyDelta(book, msg) {
+    const levels = msg.side === "no" ? book.no : book.yes;
+    const qty = (levels.get(msg.price) || 0) + msg.delta;
+    if (qty > 0) levels.set(msg.price, qty);
+    else levels.delete(msg.price);
+    book.updatedAt = clock.now();
+}
+
+/**
+ * Convert a local book to the REST orderbook shape (best price first)
+ * @param {ReturnType<typeof createOrderBook>} book
+ * @returns {{yes: Array<[number, number]>, no: Array<[number, number]>}}
+ */
+export function bookToArrays(book) {
+    const sorted = (levels) => [...levels.entries()].sort((a, b) => b[0] - a[0]);
+    return { yes: sorted(book.yes), no: sorted(book.no) };
+}
+
+/**
+ * Create a Kalshi WebSocket feed
+ * Emits "book" ({ticker, orderbook}), "ticker", "trade", "fill", "gap", "open", "close" and "error".
+ * @param {Object} [options]
+ * @param {string} [options.url] - Defaults to CONFIG.kalshi.wsUrl
+ * @param {boolean} [options.reconnect] - Reconnect with backoff when the socket drops
+ * @param {number} [options.maxBackoffMs]
+ * @returns {EventEmitter & {connect: Function, subscribe: Function, unsubscribe: Function, getOrderBook: Function, close: Function}}
+ */
+export function createKalshiFeed({ url = CONFIG.kalshi.wsUrl, reconnect = true, maxBackoffMs = 30000 } = {}) {
+    const feed = new EventEmitter();
+    const subscriptions = new Map(); // local id -> {channels, tickers, sid, cmdId}
+    const books = new Map();         // market ticker -> local book
+    const lastSeq = new Map();       // sid -> last seq seen
+    let ws = null;
+    let nextCmdId = 1;
+    let nextSubId = 1;
+    let closedByUser = false;
+
+    const send = (cmd, params) => {
+        const id = nextCmdId;
+        nextCmdId += 1;
+        if (ws && ws.readyState === "open") ws.send(JSON.stringify({ id, cmd, params }));
+        return id;
+    };
+
+    const sendSubscribe = (sub) => {
+        sub.sid = null;
+        sub.cmdId = send("subscribe", { channels: sub.channels, market_tickers: sub.tickers });
+    };
+
+    const findBySid = (sid) => [...subscriptions.values()].find(s => s.sid === sid) || null;
+
+    const resubscribe = (sub) => {
+        if (sub.sid !== null) {
+            send("unsubscribe", { sids: [sub.sid] });
+            lastSeq.delete(sub.sid);
+        }
+        for (const ticker of sub.tickers) books.delete(ticker);
+        sendSubscribe(sub);
+    };
+
+    const handleMessage = (raw) => {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch {
+            return;
+        }
+        const { type, sid, seq, msg = {} } = data;
+
+        if (type === "subscribed") {
+            const sub = [...subscriptions.values()].find(s => s.cmdId === data.id);
+            if (sub) sub.sid = msg.sid;
+            return;
+        }
+
+        if (type === "error") {
+            feed.emit("error", new Error(`Kalshi WS error ${msg.code}: ${msg.msg}`));
+            return;
+        }
+
+        if (type === "orderbook_snapshot" || type === "orderbook_delta") {
+            const prev = lastSeq.get(sid);
+            if (type === "orderbook_delta" && prev !== undefined && seq !== prev + 1) {
+                feed.emit("gap", { sid, expected: prev + 1, received: seq });
+                const sub = findBySid(sid);
+                if (sub) resubscribe(sub);
+                return;
+            }
+            if (seq !== undefined) lastSeq.set(sid, seq);
+
+            const ticker = msg.market_ticker;
+            if (type === "orderbook_snapshot") {
+                const book = createOrderBook();
+                applySnapshot(book, msg);
+                books.set(ticker, book);
+            } else {
+                const book = books.get(ticker);
+                if (!book) return; // delta before snapshot, wait for the snapshot
+                applyDelta(book, msg);
+            }
+            const book = books.get(ticker);
+            book.seq = seq ?? null;
+            feed.emit("book", { ticker, orderbook: bookToArrays(book) });
+            return;
+        }
+
+        if (type === "ticker" || type === "trade" || type === "fill") {
+            feed.emit(type, msg);
+        }
+    };
+
+    const open = async () => {
+        const signPath = new URL(url).pathname;
+        ws = await connectWebSocket(url, { headers: getAuthHeaders("GET", signPath) });
+        ws.on("message", handleMessage);
+        ws.on("error", (err) => feed.emit("error", err));
+        ws.on("close", (info) => {
+            feed.emit("close", info);
+            lastSeq.clear();
+            books.clear();
+            if (!closedByUser && reconnect) reconnectLoop();
+        });
+        feed.emit("open");
+        for (const sub of subscriptions.values()) sendSubscribe(sub);
+    };
+
+    const reconnectLoop = async () => {
+        let backoff = 1000;
+        while (!closedByUser) {
+            await sleep(backoff);
+            if (closedByUser) return;
+            try {
+                await open();
+                return;
+            } catch (err) {
+                feed.emit("error", err);
+                backoff = Math.min(maxBackoffMs, backoff * 2);
+            }
+        }
+    };
+
+    feed.connect = async () => {
+        closedByUser = false;
+        await open();
+        return feed;
+    };
+
+    /**
+     * Subscribe to channels for markets
+     * @param {Array<string>} channels - e.g. ["orderbook_delta", "ticker"]
+     * @param {Array<string>} [tickers] - Market tickers (fill channel needs none)
+     * @returns {number} Local subscription id
+     */
+    feed.subscribe = (channels, tickers = []) => {
+        const id = nextSubId;
+        nextSubId += 1;
+        const sub = { channels, tickers, sid: null, cmdId: null };
+        subscriptions.set(id, sub);
+        sendSubscribe(sub);
+        return id;
+    };
+
+    feed.unsubscribe = (id) => {
+        const sub = subscriptions.get(id);
+        if (!sub) return;
+        subscriptions.delete(id);
+        if (sub.sid !== null) {
+            send("unsubscribe", { sids: [sub.sid] });
+            lastSeq.delete(sub.sid);
+        }
+        for (const ticker of sub.tickers) books.delete(ticker);
+    };
+
+    /**
+     * Current local orderbook in REST shape, or null if no snapshot yet
+     * @param {string} ticker
+     * @returns {{yes: Array, no: Array}|null}
+     */
+    feed.getOrderBook = (ticker) => {
+        const book = books.get(ticker);
+        return book ? bookToArrays(book) : null;
+    };
+
+    feed.close = () => {
+        closedByUser = true;
+        if (ws) ws.close();
+    };
+
+    return feed;
+}
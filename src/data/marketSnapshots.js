@@ -0,0 +1,193 @@
+/**
+ * Market snapshot recorder - the Kalshi quotes the backtester replays
+ * Polls the next event's markets (strikes, close time, bids and asks) together
+ * with the BTC reference price and appends one {time, price, markets} line per
+ * poll to a JSON Lines file per UTC day.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { fetchMarkets, getNextEventMarkets } from "./kalshi.js";
+import { fetchSpotPrice } from "./coinbase.js";
+import { fetchReferencePrice } from "./referencePrice.js";
+import { sleep, clock } from "../utils.js";
+
+const DAY_MS = 86_400_000;
+
+// Market fields the decision code reads
+const MARKET_FIELDS = [
+    "ticker",
+    "event_ticker",
+    "title",
+    "subtitle",
+    "status",
+    "strike_type",
+    "floor_strike",
+    "cap_strike",
+    "close_time",
+    "expected_expiration_time",
+    "expiration_time",
+    "yes_bid",
+    "yes_ask",
+    "no_bid",
+    "no_ask"
+];
+
+function dayKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Reduce a Kalshi market to the fields a snapshot keeps
+ * @param {Object} market - Market object from /markets
+ * @returns {Object}
+ */
+export function toSnapshotMarket(market) {
+    const out = {};
+    for (const field of MARKET_FIELDS) {
+        if (market[field] !== undefined) out[field] = market[field];
+    }
+    return out;
+}
+
+/**
+ * Create a snapshot store rooted at `${dir}/snapshots/${seriesTicker}`
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to CONFIG.dataDir
+ * @param {string} [options.seriesTicker]
+ * @returns {{append: Function, query: Function, days: Function, root: string}}
+ */
+export function createSnapshotStore({ dir = CONFIG.dataDir, seriesTicker = CONFIG.kalshi.seriesTicker } = {}) {
+    const root = path.join(dir, "snapshots", seriesTicker);
+    const dayFile = (day) => path.join(root, `${day}.jsonl`);
+
+    /**
+     * Append one snapshot to its day file
+     * @param {{time: number, price: number|null, markets: Array}} snapshot
+     */
+    const append = (snapshot) => {
+        fs.mkdirSync(root, { recursive: true });
+        fs.appendFileSync(dayFile(dayKey(snapshot.time)), JSON.stringify(snapshot) + "\n");
+    };
+
+    /**
+     * Days with a stored file, oldest first
+     * @returns {Array<string>} YYYY-MM-DD
+     */
+    const days = () => {
+        try {
+            return fs.readdirSync(root)
+                .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+                .map(f => f.slice(0, 10))
+                .sort();
+        } catch {
+            return [];
+        }
+    };
+
+    const readDay = (day) => {
+        let text = "";
+        try {
+            text = fs.readFileSync(dayFile(day), "utf8");
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        }
+        const rows = [];
+        for (const line of text.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                rows.push(JSON.parse(line));
+            } catch {
+                // Torn last line from an interrupted write
+            }
+        }
+        return rows;
+    };
+
+    /**
+     * Read stored snapshots in [start, end), oldest first
+     * @param {Object} [options]
+     * @param {number|Date|string} [options.start] - Defaults to the first stored day
+     * @param {number|Date|string} [options.end] - Defaults to now
+     * @returns {Array<{time: number, price: number|null, markets: Array}>}
+     */
+    const query = ({ start, end = clock.now() } = {}) => {
+        const stored = days();
+        if (stored.length === 0) return [];
+        const startMs = start === undefined || start === null ? Date.parse(stored[0]) : new Date(start).getTime();
+        const endMs = new Date(end).getTime();
+        const out = [];
+        for (let day = Math.floor(startMs / DAY_MS) * DAY_MS; day < endMs; day += DAY_MS) {
+            for (const s of readDay(dayKey(day))) {
+                if (s.time >= startMs && s.time < endMs) out.push(s);
+            }
+        }
+        return out.sort((a, b) => a.time - b.time);
+    };
+
+    return { append, query, days, root };
+}
+
+/**
+ * Take one snapshot: the next event's markets and the BTC price
+ * @param {Object} [options]
+ * @param {string} [options.seriesTicker]
+ * @param {number} [options.now]
+ * @returns {Promise<{time: number, price: number|null, markets: Array}>}
+ */
+export async function takeSnapshot({ seriesTicker = CONFIG.kalshi.seriesTicker, now = clock.now() } = {}) {
+    const [markets, reference, spot] = await Promise.all([
+        fetchMarkets(seriesTicker, "open"),
+        fetchReferencePrice().catch(() => null),
+        fetchSpotPrice().catch(() => ({}))
+    ]);
+    return {
+        time: now,
+        price: reference?.price || spot.price || null,
+        markets: getNextEventMarkets(markets, now).map(toSnapshotMarket)
+    };
+}
+
+/**
+ * Record snapshots on a fixed interval until `count` are stored (or forever)
+ * Polls are aligned to the interval so runs at different times line up.
+ * @param {Object} [options]
+ * @param {ReturnType<typeof createSnapshotStore>} [options.store]
+ * @param {string} [options.seriesTicker]
+ * @param {number} [options.intervalSec]
+ * @param {number} [options.count] - Stop after this many snapshots
+ * @param {Array<number>|null} [options.minutes] - [start, end] minutes of the hour to record, e.g. the entry window
+ * @param {Function} [options.log]
+ * @returns {Promise<{recorded: number, failed: number, root: string}>}
+ */
+export async function recordSnapshots({
+    store = createSnapshotStore(),
+    seriesTicker = CONFIG.kalshi.seriesTicker,
+    intervalSec = 60,
+    count = Infinity,
+    minutes = null,
+    log = () => {}
+} = {}) {
+    const intervalMs = intervalSec * 1000;
+    const stats = { recorded: 0, failed: 0, root: store.root };
+
+    while (stats.recorded < count) {
+        const now = clock.now();
+        const minute = new Date(now).getUTCMinutes();
+        if (!minutes || (minute >= minutes[0] && minute <= minutes[1])) {
+            try {
+                const snapshot = await takeSnapshot({ seriesTicker, now });
+                store.append(snapshot);
+                stats.recorded += 1;
+                log(`${snapshot.markets.length} markets${snapshot.markets[0] ? ` for ${snapshot.markets[0].event_ticker}` : ""}, BTC ${snapshot.price ? `$${snapshot.price.toFixed(2)}` : "-"}`);
+            } catch (err) {
+                stats.failed += 1;
+                log(`⚠️ Snapshot failed: ${err.message}`);
+            }
+        }
+        if (stats.recorded >= count) break;
+        await sleep(intervalMs - (clock.now() % intervalMs));
+    }
+    return stats;
+}
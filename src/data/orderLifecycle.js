@@ -0,0 +1,148 @@
+/**
+ * Order lifecycle - follow a submitted order until it is done
+ * A limit order can rest unfilled or fill partially. After submission the order
+ * is polled until it executes; a remainder still resting after the timeout is
+ * repriced (a cent at a time, up to a ceiling) or canceled, and anything left is
+ * always canceled shortly before the market closes. The result reports what
+ * actually executed: filled quantity, average price and fees.
+ */
+
+import { fetchOrder, fetchFills, cancelOrder, amendOrder } from "./kalshi.js";
+import { tradingFeeCents } from "../engines/fees.js";
+import { sleep, clock } from "../utils.js";
+
+const DONE = ["executed", "canceled"];
+
+/**
+ * What an order has executed so far, from the Kalshi order object
+ * @param {Object} order - Kalshi order
+ * @returns {{orderId: string, status: string, requested: number, filled: number, remaining: number, avgPrice: number|null, costCents: number|null, feeCents: number|null}}
+ */
+export function summarizeExecution(order) {
+    const filled = order.fill_count ?? 0;
+    const remaining = order.remaining_count ?? 0;
+    const hasCost = order.taker_fill_cost !== undefined || order.maker_fill_cost !== undefined;
+    const costCents = hasCost ? (order.taker_fill_cost || 0) + (order.maker_fill_cost || 0) : null;
+    const hasFees = order.taker_fees !== undefined || order.maker_fees !== undefined;
+
+    return {
+        orderId: order.order_id,
+        status: order.status,
+        requested: order.initial_count ?? filled + remaining,
+        filled,
+        remaining: DONE.includes(order.status) ? 0 : remaining,
+        avgPrice: filled && costCents !== null ? costCents / filled : null,
+        costCents,
+        feeCents: hasFees ? (order.taker_fees || 0) + (order.maker_fees || 0) : null
+    };
+}
+
+// Fill cost from the fills endpoint, for order objects without cost fields
+async function costFromFills(orderId, side) {
+    const { fills = [] } = await fetchFills({ order_id: orderId });
+    return fills.reduce((sum, f) => sum + f.count * (side === "yes" ? f.yes_price : f.no_price), 0);
+}
+
+/**
+ * Poll an order until it executes, reprice or cancel the resting remainder
+ * @param {Object} order - Order as returned by createOrder
+ * @param {Object} options
+ * @param {"yes"|"no"} options.side
+ * @param {number} options.limitPrice - Price the order was placed at (cents)
+ * @param {Date|null} [options.closeTime] - Market close; the remainder is canceled before it
+ * @param {number} [options.timeoutMs] - How long a remainder may rest before repricing or canceling
+ * @param {number} [options.pollMs]
+ * @param {number} [options.repriceSteps] - Times to raise the limit before giving up
+ * @param {number} [options.repriceCents] - Raise per step
+ * @param {number} [options.maxPrice] - Never reprice above this (e.g. where the edge runs out)
+ * @param {number} [options.cancelBeforeCloseMs]
+ * @param {Function} [options.log]
+ * @returns {Promise<Object>} summarizeExecution() plus {limitPrice, reprices, canceled, cancelReason}
+ */
+export async function followOrder(order, {
+    side,
+    limitPrice,
+    closeTime = null,
+    timeoutMs = 15_000,
+    pollMs = 1_000,
+    repriceSteps = 0,
+    repriceCents = 1,
+    maxPrice = 99,
+    cancelBeforeCloseMs = 60_000,
+    log = () => {}
+}) {
+    const orderId = order.order_id;
+    const cancelAt = closeTime ? closeTime.getTime() - cancelBeforeCloseMs : Infinity;
+    let current = order;
+    let price = limitPrice;
+    let reprices = 0;
+    let deadline = clock.now() + timeoutMs;
+    let cancelReason = null;
+
+    const cancel = async (reason) => {
+        cancelReason = reason;
+        try {
+            const res = await cancelOrder(orderId);
+            current = res.order || current;
+        } catch (err) {
+            // Most likely filled in the meantime; the refetch below tells
+            log(`⚠️ Cancel failed (${err.message}), rechecking order`);
+        }
+        current = await fetchOrder(orderId).catch(() => current);
+    };
+
+    while (!DONE.includes(current.status)) {
+        if (clock.now() >= cancelAt) {
+            await cancel("market_close");
+            break;
+        }
+
+        if (clock.now() >= deadline) {
+            const next = price + repriceCents;
+            if (reprices < repriceSteps && next <= maxPrice) {
+                try {
+                    const res = await amendOrder(orderId, {
+                        ticker: current.ticker,
+                        side,
+                        action: current.action || "buy",
+                        count: current.initial_count ?? current.fill_count + current.remaining_count,
+                        [side === "yes" ? "yes_price" : "no_price"]: next
+                    });
+                    current = res.order || current;
+                    price = next;
+                    reprices += 1;
+                    deadline = clock.now() + timeoutMs;
+                    log(`🔁 ${current.remaining_count} still resting, repriced to ${price}¢ (${reprices}/${repriceSteps})`);
+                    continue;
+                } catch (err) {
+                    log(`⚠️ Reprice failed (${err.message})`);
+                }
+            }
+            await cancel("timeout");
+            break;
+        }
+
+        await sleep(Math.max(0, Math.min(pollMs, deadline - clock.now(), cancelAt - clock.now())));
+        try {
+            current = await fetchOrder(orderId);
+        } catch (err) {
+            log(`⚠️ Order status check failed (${err.message})`);
+        }
+    }
+
+    const execution = summarizeExecution(current);
+    if (execution.filled > 0 && execution.costCents === null) {
+        execution.costCents = await costFromFills(orderId, side).catch(() => execution.filled * price);
+        execution.avgPrice = execution.costCents / execution.filled;
+    }
+    if (execution.filled > 0 && execution.feeCents === null) {
+        execution.feeCents = tradingFeeCents(Math.round(execution.avgPrice), execution.filled);
+    }
+    return {
+        ...execution,
+        limitPrice: price,
+        reprices,
+        canceled: current.status === "canceled",
+        cancelReason: current.status === "canceled" ? cancelReason : null
+    };
+}
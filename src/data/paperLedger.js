@@ -0,0 +1,166 @@
+/**
+ * Paper trading ledger - virtual balance and positions for runner.js --paper
+ * Orders are filled against the real (or replayed) Kalshi orderbook, positions
+ * are settled with the actual market results after close, and everything is
+ * persisted to a JSON file so paper runs accumulate across restarts.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { tradingFeeCents } from "../engines/fees.js";
+import { clock } from "../utils.js";
+
+/**
+ * Fill a buy order against an orderbook the way a taker limit order would
+ * Kalshi books only hold bids: buying YES at p matches NO bids at 100 - p.
+ * @param {Object} options
+ * @param {{yes: Array<[number, number]>, no: Array<[number, number]>}} options.orderbook
+ * @param {"yes"|"no"} options.side
+ * @param {number} options.count - Contracts wanted
+ * @param {number} options.limitPrice - Highest price to pay (cents)
+ * @returns {{filled: number, avgPrice: number|null, costCents: number, feeCents: number, levels: Array<{price: number, count: number}>}}
+ */
+export function simulateFill({ orderbook, side, count, limitPrice }) {
+    const opposite = (side === "yes" ? orderbook?.no : orderbook?.yes) || [];
+    const bids = opposite.filter(([, qty]) => qty > 0).sort((a, b) => b[0] - a[0]);
+
+    const levels = [];
+    let remaining = count;
+    for (const [bid, qty] of bids) {
+        const price = 100 - bid;
+        if (remaining === 0 || price > limitPrice) break;
+        const take = Math.min(qty, remaining);
+        levels.push({ price, count: take });
+        remaining -= take;
+    }
+
+    const filled = count - remaining;
+    const costCents = levels.reduce((sum, l) => sum + l.price * l.count, 0);
+    const feeCents = levels.reduce((sum, l) => sum + tradingFeeCents(l.price, l.count), 0);
+    return { filled, avgPrice: filled ? costCents / filled : null, costCents, feeCents, levels };
+}
+
+/**
+ * Open (or create) a paper ledger file
+ * @param {Object} options
+ * @param {string} options.file - JSON file path
+ * @param {number} options.startBalanceCents - Virtual balance for a new ledger
+ * @returns {Object} Ledger: {balanceCents, recordOrder, openPositions, settle, summary, file}
+ */
+export function createPaperLedger({ file, startBalanceCents }) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        data = { createdAt: clock.date().toISOString(), startBalanceCents, balanceCents: startBalanceCents, orders: [] };
+    }
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    };
+
+    /**
+     * Record a simulated order and debit what it cost
+     * @param {Object} order - ticker, eventTicker, side, count, limitPrice, closeTime, plus any decision context
+     * @param {ReturnType<typeof simulateFill>} fill
+     * @returns {Object} Stored order
+     */
+    const recordOrder = (order, fill) => {
+        const entry = {
+            id: `paper-${data.orders.length + 1}`,
+            time: clock.date().toISOString(),
+            ...order,
+            filled: fill.filled,
+            avgPrice: fill.avgPrice,
+            costCents: fill.costCents,
+            feeCents: fill.feeCents,
+            status: fill.filled > 0 ? "open" : "unfilled",
+            result: null,
+            won: null,
+            payoutCents: null,
+            pnlCents: null,
+            settledAt: null
+        };
+        data.orders.push(entry);
+        data.balanceCents -= fill.costCents + fill.feeCents;
+        save();
+        return entry;
+    };
+
+    const openPositions = () => data.orders.filter(o => o.status === "open");
+
+    /**
+     * Settle a position with the market result and credit the payout
+     * @param {string} id - Paper order id
+     * @param {"yes"|"no"} result
+     * @returns {Object} Settled order
+     */
+    const settle = (id, result) => {
+        const entry = data.orders.find(o => o.id === id);
+        if (!entry || entry.status !== "open") return entry || null;
+        entry.status = "settled";
+        entry.result = result;
+        entry.won = entry.side === result;
+        entry.payoutCents = entry.won ? entry.filled * 100 : 0;
+        entry.pnlCents = entry.payoutCents - entry.costCents - entry.feeCents;
+        entry.settledAt = clock.date().toISOString();
+        data.balanceCents += entry.payoutCents;
+        save();
+        return entry;
+    };
+
+    /**
+     * Totals in the same terms as the backtest report
+     * @returns {Object}
+     */
+    const summary = () => {
+        const traded = data.orders.filter(o => o.filled > 0);
+        const settled = traded.filter(o => o.status === "settled");
+        // A win at 99¢ can net zero after fees: count the result, not the PnL
+        const wins = settled.filter(o => o.won ?? o.side === o.result).length;
+        return {
+            startBalanceCents: data.startBalanceCents,
+            balanceCents: data.balanceCents,
+            trades: traded.length,
+            open: traded.length - settled.length,
+            settled: settled.length,
+            wins,
+            losses: settled.length - wins,
+            hitRate: settled.length ? wins / settled.length : null,
+            pnlCents: settled.reduce((sum, o) => sum + o.pnlCents, 0),
+            feesCents: traded.reduce((sum, o) => sum + o.feeCents, 0)
+        };
+    };
+
+    return {
+        file,
+        balanceCents: () => data.balanceCents,
+        orders: () => data.orders.slice(),
+        recordOrder,
+        openPositions,
+        settle,
+        summary
+    };
+}
+
+/**
+ * Settle every open paper position whose market has a result
+ * @param {ReturnType<typeof createPaperLedger>} ledger
+ * @param {(ticker: string) => Promise<Object>} fetchMarket - Kalshi market lookup
+ * @param {number} [now]
+ * @returns {Promise<Array<Object>>} Positions settled in this pass
+ */
+export async function settlePaperPositions(ledger, fetchMarket, now = clock.now()) {
+    const settled = [];
+    for (const position of ledger.openPositions()) {
+        if (position.closeTime && Date.parse(position.closeTime) > now) continue;
+        const market = await fetchMarket(position.ticker).catch(() => null);
+        if (market?.result !== "yes" && market?.result !== "no") continue;  // Not determined yet
+        settled.push(ledger.settle(position.id, market.result));
+    }
+    return settled;
+}
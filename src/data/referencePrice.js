@@ -0,0 +1,166 @@
+/**
+ * Composite BTC-USD reference price
+ * Approximates the CF Benchmarks real-time index Kalshi settles on by combining
+ * several constituent exchanges: outliers are dropped, then a volume-weighted
+ * median is taken over the remaining venues.
+ */
+
+import { CONFIG } from "../config.js";
+import { httpFetch } from "./cassette.js";
+import { fetchTicker } from "./coinbase.js";
+import { clock } from "../utils.js";
+
+async function getJson(url, timeoutMs) {
+    const res = await httpFetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) {
+        throw new Error(`${url} error: ${res.status}`);
+    }
+    return res.json();
+}
+
+/**
+ * Read a dotted path ("result.XXBTZUSD.c.0") from a JSON object
+ * @param {Object} obj
+ * @param {string} path
+ * @returns {any}
+ */
+function pick(obj, path) {
+    return path.split(".").reduce((v, key) => (v === null || v === undefined ? v : v[key]), obj);
+}
+
+/**
+ * Venue fetchers. Each resolves to {price, volume} with volume in BTC over 24h.
+ */
+export const VENUES = {
+    coinbase: async (timeoutMs) => {
+        const t = await fetchTicker({ signal: AbortSignal.timeout(timeoutMs) });
+        return { price: t.price, volume: t.volume };
+    },
+    kraken: async (timeoutMs) => {
+        const data = await getJson(`${CONFIG.referencePrice.krakenUrl}/0/public/Ticker?pair=XBTUSD`, timeoutMs);
+        const ticker = Object.values(data.result || {})[0];
+        return { price: parseFloat(ticker.c[0]), volume: parseFloat(ticker.v[1]) };
+    },
+    bitstamp: async (timeoutMs) => {
+        const data = await getJson(`${CONFIG.referencePrice.bitstampUrl}/api/v2/ticker/btcusd/`, timeoutMs);
+        return { price: parseFloat(data.last), volume: parseFloat(data.volume) };
+    },
+    gemini: async (timeoutMs) => {
+        const data = await getJson(`${CONFIG.referencePrice.geminiUrl}/v1/pubticker/btcusd`, timeoutMs);
+        return { price: parseFloat(data.last), volume: parseFloat(data.volume?.BTC) };
+    },
+    // Generic JSON ticker (e.g. an LMAX Digital gateway): REFERENCE_CUSTOM_URL plus dotted paths
+    custom: async (timeoutMs) => {
+        const { customUrl, customPricePath, customVolumePath } = CONFIG.referencePrice;
+        if (!customUrl) throw new Error("REFERENCE_CUSTOM_URL not set");
+        const data = await getJson(customUrl, timeoutMs);
+        return {
+            price: parseFloat(pick(data, customPricePath)),
+            volume: customVolumePath ? parseFloat(pick(data, customVolumePath)) : null
+        };
+    }
+};
+
+/**
+ * Weighted median of {price, weight} rows
+ * @param {Array<{price: number, weight: number}>} rows
+ * @returns {number|null}
+ */
+export function weightedMedian(rows) {
+    const sorted = rows.filter(r => Number.isFinite(r.price) && r.weight > 0).sort((a, b) => a.price - b.price);
+    if (sorted.length === 0) return null;
+
+    const total = sorted.reduce((sum, r) => sum + r.weight, 0);
+    let cumulative = 0;
+    for (let i = 0; i < sorted.length; i += 1) {
+        cumulative += sorted[i].weight;
+        if (cumulative === total / 2 && i + 1 < sorted.length) {
+            return (sorted[i].price + sorted[i + 1].price) / 2;
+        }
+        if (cumulative > total / 2) return sorted[i].price;
+    }
+    return sorted[sorted.length - 1].price;
+}
+
+/**
+ * Combine venue quotes into a composite price
+ * @param {Array<{venue: string, price: number, volume: number|null}>} quotes
+ * @param {Object} [options]
+ * @param {number} [options.maxDeviationPct] - Drop venues this far (in %) from the plain median
+ * @param {number} [options.minVenues] - No composite (price null) with fewer venues left
+ * @returns {{price: number|null, venues: Array, spread: number|null, spreadBps: number|null, included: number}}
+ */
+export function computeComposite(quotes, { maxDeviationPct = 0.5, minVenues = 1 } = {}) {
+    const valid = quotes.filter(q => Number.isFinite(q.price) && q.price > 0);
+    if (valid.length === 0) {
+        return { price: null, venues: quotes, spread: null, spreadBps: null, included: 0 };
+    }
+
+    const plainMedian = weightedMedian(valid.map(q => ({ price: q.price, weight: 1 })));
+
+    // Venues without a volume figure get the average weight of the others
+    const volumes = valid.map(q => q.volume).filter(v => Number.isFinite(v) && v > 0);
+    const fallbackWeight = volumes.length ? volumes.reduce((a, b) => a + b, 0) / volumes.length : 1;
+
+    const venues = quotes.map((q) => {
+        if (!Number.isFinite(q.price) || q.price <= 0) return { ...q, included: false, reason: q.error || "no_price" };
+        const deviationPct = ((q.price - plainMedian) / plainMedian) * 100;
+        const outlier = Math.abs(deviationPct) > maxDeviationPct;
+        return {
+            ...q,
+            weight: Number.isFinite(q.volume) && q.volume > 0 ? q.volume : fallbackWeight,
+            deviationBps: deviationPct * 100,
+            included: !outlier,
+            reason: outlier ? "outlier" : null
+        };
+    });
+
+    const included = venues.filter(v => v.included);
+    if (included.length < minVenues) {
+        return { price: null, venues, spread: null, spreadBps: null, included: included.length };
+    }
+    const price = weightedMedian(included);
+    const prices = included.map(v => v.price);
+    const spread = prices.length ? Math.max(...prices) - Math.min(...prices) : null;
+
+    return {
+        price,
+        venues,
+        spread,
+        spreadBps: spread === null || !price ? null : (spread / price) * 10_000,
+        included: included.length
+    };
+}
+
+/**
+ * Fetch all configured venues and compute the composite reference price
+ * @param {Object} [options]
+ * @param {Array<string>} [options.venues] - Venue names from VENUES
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.maxDeviationPct]
+ * @param {number} [options.minVenues]
+ * @param {Object<string, {price: number, volume: number|null}>} [options.live] - Quotes already streamed, by venue
+ *   (e.g. {coinbase: feed.getTicker()}); those venues are not fetched
+ * @returns {Promise<ReturnType<typeof computeComposite> & {timestamp: string}>}
+ */
+export async function fetchReferencePrice({
+    venues = CONFIG.referencePrice.venues,
+    timeoutMs = CONFIG.referencePrice.timeoutMs,
+    maxDeviationPct = CONFIG.referencePrice.maxDeviationPct,
+    minVenues = CONFIG.referencePrice.minVenues,
+    live = {}
+} = {}) {
+    const quotes = await Promise.all(venues.map(async (venue) => {
+        if (live[venue]) return { venue, price: live[venue].price, volume: live[venue].volume ?? null };
+        const fetcher = VENUES[venue];
+        if (!fetcher) return { venue, price: null, volume: null, error: "unknown_venue" };
+        try {
+            const { price, volume } = await fetcher(timeoutMs);
+            return { venue, price, volume };
+        } catch (e) {
+            return { venue, price: null, volume: null, error: e.message };
+        }
+    }));
+
+    return { ...computeComposite(quotes, { maxDeviationPct, minVenues }), timestamp: clock.date().toISOString() };
+}
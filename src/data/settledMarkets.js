@@ -0,0 +1,217 @@
+/**
+ * Settled market dataset - ground-truth outcomes for backtests and calibration
+ * Pages through closed/settled markets for a series and keeps one record per
+ * market in a local JSON Lines file. Progress (cursor per status) is saved after
+ * every page, so an interrupted run resumes where it stopped and re-running is
+ * harmless: records are only appended when new or changed.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { fetchMarketsPage, parseStrikePrice } from "./kalshi.js";
+import { sleep, clock } from "../utils.js";
+
+/**
+ * Dataset and resume-state file locations for a series
+ * @param {string} seriesTicker
+ * @param {string} [dir]
+ * @returns {{file: string, stateFile: string}}
+ */
+export function datasetPaths(seriesTicker, dir = CONFIG.dataDir) {
+    return {
+        file: path.join(dir, `settled-${seriesTicker}.jsonl`),
+        stateFile: path.join(dir, `settled-${seriesTicker}.state.json`)
+    };
+}
+
+/**
+ * Reduce a Kalshi market to the fields the dataset keeps
+ * @param {Object} market - Market object from /markets
+ * @returns {Object}
+ */
+export function toOutcomeRecord(market) {
+    const expirationValue = parseFloat(market.expiration_value);
+    return {
+        ticker: market.ticker,
+        eventTicker: market.event_ticker ?? null,
+        status: market.status ?? null,
+        strike: parseStrikePrice(market),
+        strikeType: market.strike_type ?? null,
+        floorStrike: market.floor_strike ?? null,
+        capStrike: market.cap_strike ?? null,
+        closeTime: market.close_time ?? null,
+        expirationTime: market.expiration_time ?? market.expected_expiration_time ?? null,
+        result: market.result === "yes" || market.result === "no" ? market.result : null,
+        expirationValue: Number.isFinite(expirationValue) ? expirationValue : null,
+        lastPrice: market.last_price ?? null
+    };
+}
+
+function readRecords(file) {
+    const records = new Map();
+    if (!fs.existsSync(file)) return { records, lines: 0 };
+
+    let lines = 0;
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            records.set(record.ticker, record);  // Later lines supersede earlier ones
+            lines += 1;
+        } catch {
+            // Torn last line from an interrupted write
+        }
+    }
+    return { records, lines };
+}
+
+/**
+ * Load the dataset, one record per market, ordered by close time
+ * @param {string} [file] - Defaults to the configured series dataset
+ * @returns {Array<ReturnType<typeof toOutcomeRecord>>}
+ */
+export function loadSettledMarkets(file = datasetPaths(CONFIG.kalshi.seriesTicker).file) {
+    return [...readRecords(file).records.values()]
+        .sort((a, b) => Date.parse(a.closeTime) - Date.parse(b.closeTime));
+}
+
+function readState(stateFile) {
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    } catch {
+        return { statuses: {} };
+    }
+}
+
+function writeAtomic(file, text) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+}
+
+async function fetchPageWithRetry(params, retries = 4) {
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            return await fetchMarketsPage(params);
+        } catch (err) {
+            const retryable = !err.status || err.status === 429 || err.status >= 500;
+            if (!retryable || attempt >= retries) throw err;
+            await sleep(1000 * 2 ** attempt);
+        }
+    }
+}
+
+/**
+ * Collect closed and settled markets into the local dataset
+ * Later runs only ask for markets closing after the last completed run
+ * (minus an overlap, to pick up late settlements) unless `full` is set.
+ * @param {Object} [options]
+ * @param {string} [options.seriesTicker]
+ * @param {Array<string>} [options.statuses] - Market statuses to page through
+ * @param {string} [options.dir] - Dataset directory
+ * @param {boolean} [options.full] - Ignore the previous watermark and page through everything
+ * @param {number} [options.pageLimit] - Markets per request (Kalshi max 1000)
+ * @param {number} [options.maxPages] - Stop after this many pages (resume on the next run)
+ * @param {number} [options.overlapHours] - Re-fetch window before the watermark
+ * @param {number} [options.pageDelayMs] - Pause between requests
+ * @param {Function} [options.log]
+ * @returns {Promise<{pages: number, fetched: number, added: number, updated: number, total: number, complete: boolean, file: string}>}
+ */
+export async function collectSettledMarkets({
+    seriesTicker = CONFIG.kalshi.seriesTicker,
+    statuses = ["settled", "closed"],
+    dir = CONFIG.dataDir,
+    full = false,
+    pageLimit = 1000,
+    maxPages = Infinity,
+    overlapHours = 48,
+    pageDelayMs = 100,
+    log = () => {}
+} = {}) {
+    const { file, stateFile } = datasetPaths(seriesTicker, dir);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const { records, lines } = readRecords(file);
+    // Terminate a torn last line so the next append starts on a fresh line
+    if (fs.existsSync(file) && fs.statSync(file).size > 0 && !fs.readFileSync(file, "utf8").endsWith("\n")) fs.appendFileSync(file, "\n");
+    const state = readState(stateFile);
+    state.seriesTicker = seriesTicker;
+    state.statuses = state.statuses || {};
+
+    const stats = { pages: 0, fetched: 0, added: 0, updated: 0 };
+    let complete = true;
+
+    for (const status of statuses) {
+        const progress = state.statuses[status] || (state.statuses[status] = {});
+
+        // A saved cursor means the last run stopped mid-way: continue with the same query
+        if (!progress.cursor) {
+            progress.minCloseTs = !full && progress.watermark
+                ? progress.watermark - overlapHours * 3600
+                : null;
+            progress.maxCloseSeen = null;
+        }
+        log(`${status}: ${progress.cursor ? "resuming" : "starting"}${progress.minCloseTs ? ` from ${new Date(progress.minCloseTs * 1000).toISOString()}` : ""}`);
+
+        do {
+            if (stats.pages >= maxPages) {
+                complete = false;
+                break;
+            }
+
+            const page = await fetchPageWithRetry({
+                seriesTicker,
+                status,
+                cursor: progress.cursor,
+                limit: pageLimit,
+                minCloseTs: progress.minCloseTs || undefined
+            });
+            stats.pages += 1;
+            stats.fetched += page.markets.length;
+
+            const changed = [];
+            for (const market of page.markets) {
+                const record = toOutcomeRecord(market);
+                const existing = records.get(record.ticker);
+                const closeTs = Math.floor(Date.parse(record.closeTime) / 1000);
+                if (Number.isFinite(closeTs)) progress.maxCloseSeen = Math.max(progress.maxCloseSeen || 0, closeTs);
+
+                // Never let a closed-but-unsettled snapshot overwrite a known result
+                if (existing?.result && !record.result) continue;
+                if (existing && JSON.stringify(existing) === JSON.stringify(record)) continue;
+
+                if (existing) stats.updated += 1;
+                else stats.added += 1;
+                records.set(record.ticker, record);
+                changed.push(record);
+            }
+
+            if (changed.length) {
+                fs.appendFileSync(file, changed.map(r => JSON.stringify(r)).join("\n") + "\n");
+            }
+
+            progress.cursor = page.cursor;
+            state.updatedAt = clock.date().toISOString();
+            writeAtomic(stateFile, JSON.stringify(state, null, 2));
+            log(`${status}: page ${stats.pages}, ${page.markets.length} markets, ${changed.length} new/changed`);
+
+            if (progress.cursor) await sleep(pageDelayMs);
+        } while (progress.cursor);
+
+        if (!complete) break;
+
+        progress.completedAt = clock.date().toISOString();
+        progress.watermark = Math.max(progress.watermark || 0, progress.maxCloseSeen || 0) || null;
+        writeAtomic(stateFile, JSON.stringify(state, null, 2));
+    }
+
+    // Drop superseded lines once everything is in
+    const appended = stats.added + stats.updated;
+    if (complete && lines + appended > records.size) {
+        const sorted = [...records.values()].sort((a, b) => Date.parse(a.closeTime) - Date.parse(b.closeTime));
+        writeAtomic(file, sorted.map(r => JSON.stringify(r)).join("\n") + (sorted.length ? "\n" : ""));
+    }
+
+    return { ...stats, total: records.size, complete, file };
+}
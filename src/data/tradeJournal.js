@@ -0,0 +1,276 @@
+/**
+ * Trade journal - every order with its decision context and, after close, its outcome
+ * Entries are appended to a JSON Lines file; an update appends the whole entry
+ * again and the last line per id wins when loading, so a crash never loses
+ * earlier records. Outcomes come from Kalshi settlements (or the market result)
+ * and are filled in by reconcileJournal(), which also catches up on anything
+ * that closed while the runner was not running.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { StringDecoder } from "node:string_decoder";
+import { clock } from "../utils.js";
+
+/**
+ * Outcome of a filled entry for a market result
+ * @param {Object} entry - Journal entry with side, filled, costCents, feeCents
+ * @param {"yes"|"no"} result
+ * @param {Object} [meta]
+ * @param {string} [meta.source] - "settlement" or "market"
+ * @param {string} [meta.settledAt] - ISO time
+ * @returns {{result: string, won: boolean, payoutCents: number, feeCents: number, pnlCents: number, source: string|null, settledAt: string}}
+ */
+export function outcomeFor(entry, result, { source = null, settledAt = clock.date().toISOString() } = {}) {
+    const won = entry.side === result;
+    const payoutCents = won ? entry.filled * 100 : 0;
+    return {
+        result,
+        won,
+        payoutCents,
+        feeCents: entry.feeCents,
+        pnlCents: payoutCents - entry.costCents - entry.feeCents,
+        source,
+        settledAt
+    };
+}
+
+/**
+ * Totals over journal entries
+ * @param {Array<Object>} entries
+ * @returns {{trades: number, open: number, settled: number, wins: number, losses: number, hitRate: number|null, pnlCents: number, feesCents: number}}
+ */
+export function summarizeJournal(entries) {
+    const traded = entries.filter(e => e.filled > 0);
+    const settled = traded.filter(e => e.outcome);
+    const wins = settled.filter(e => e.outcome.won).length;
+    return {
+        trades: traded.length,
+        open: traded.length - settled.length,
+        settled: settled.length,
+        wins,
+        losses: settled.length - wins,
+        hitRate: settled.length ? wins / settled.length : null,
+        pnlCents: settled.reduce((sum, e) => sum + e.outcome.pnlCents, 0),
+        feesCents: traded.reduce((sum, e) => sum + e.feeCents, 0)
+    };
+}
+
+// Call fn for each complete line, reading the file a chunk at a time
+function forEachLine(file, fn, chunkBytes = 64 * 1024) {
+    let fd;
+    try {
+        fd = fs.openSync(file, "r");
+    } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+    }
+    try {
+        const buffer = Buffer.alloc(chunkBytes);
+        const decoder = new StringDecoder("utf8");  // Keeps a character split across chunks whole
+        let rest = "";
+        let read;
+        while ((read = fs.readSync(fd, buffer, 0, chunkBytes, null)) > 0) {
+            const lines = (rest + decoder.write(buffer.subarray(0, read))).split("\n");
+            rest = lines.pop();
+            for (const line of lines) fn(line);
+        }
+        rest += decoder.end();
+        if (rest) fn(rest);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Append one JSON line, first terminating a torn last line so the entry starts on a fresh one
+function appendLine(file, entry, checkTail) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    if (checkTail) {
+        let fd;
+        try {
+            fd = fs.openSync(file, "r");
+            const { size } = fs.fstatSync(fd);
+            const last = Buffer.alloc(1);
+            if (size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a) fs.appendFileSync(file, "\n");
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Open (or create) a journal file
+ * Loading keeps the last line per id; a file with superseded lines (updates
+ * from a run that never compacted) is rewritten with one line per entry.
+ * @param {Object} options
+ * @param {string} options.file - JSON Lines path
+ * @returns {{record: Function, update: Function, entries: Function, pending: Function, compact: Function, file: string}}
+ */
+export function createTradeJournal({ file }) {
+    const byId = new Map();
+    let lines = 0;
+    forEachLine(file, (line) => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            byId.set(entry.id, entry);
+            lines += 1;
+        } catch {
+            // Torn line from an interrupted write
+        }
+    });
+
+    let checkedTail = false;
+    const append = (entry) => {
+        appendLine(file, entry, !checkedTail);
+        checkedTail = true;
+    };
+
+    /**
+     * Add an order to the journal
+     * @param {Object} entry - ticker, side, count, limitPrice, filled, avgPrice, costCents, feeCents, closeTime, features, ...
+     * @returns {Object} Stored entry
+     */
+    const record = (entry) => {
+        const stored = {
+            id: entry.id || `${clock.now().toString(36)}-${byId.size + 1}`,
+            time: clock.date().toISOString(),
+            outcome: null,
+            ...entry
+        };
+        byId.set(stored.id, stored);
+        append(stored);
+        return stored;
+    };
+
+    /**
+     * Merge changes into an entry
+     * @param {string} id
+     * @param {Object} changes
+     * @returns {Object|null} Updated entry
+     */
+    const update = (id, changes) => {
+        const current = byId.get(id);
+        if (!current) return null;
+        const next = { ...current, ...changes };
+        byId.set(id, next);
+        append(next);
+        return next;
+    };
+
+    const entries = () => [...byId.values()];
+
+    /**
+     * Filled entries whose market has closed but whose outcome is unknown
+     * @param {number} [now]
+     * @returns {Array<Object>}
+     */
+    const pending = (now = clock.now()) => entries().filter(e =>
+        e.filled > 0 && !e.outcome && (!e.closeTime || Date.parse(e.closeTime) <= now));
+
+    /**
+     * Rewrite the file with one line per entry
+     */
+    const compact = () => {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, entries().map(e => JSON.stringify(e)).join("\n") + (byId.size ? "\n" : ""));
+        fs.renameSync(tmp, file);
+        checkedTail = true;
+    };
+
+    if (lines > byId.size) compact();
+
+    return { file, record, update, entries, pending, compact };
+}
+
+/**
+ * Open an append-only journal for skipped evaluations
+ * Nothing reads it back at runtime, so it is never loaded; once the file
+ * reaches maxBytes it is moved to `${file}.1` (replacing the previous one)
+ * and a new file is started.
+ * @param {Object} options
+ * @param {string} options.file - JSON Lines path
+ * @param {number} [options.maxBytes]
+ * @returns {{record: Function, file: string}}
+ */
+export function createSkipJournal({ file, maxBytes = 10 * 1024 * 1024 }) {
+    let checkedTail = false;
+    let count = 0;
+
+    /**
+     * Append a skip
+     * @param {Object} entry - ticker, eventTicker, side, skipped: {reason, message, ...}, ...
+     * @returns {Object} Stored entry
+     */
+    const record = (entry) => {
+        const stored = {
+            id: entry.id || `skip-${clock.now().toString(36)}-${++count}`,
+            time: clock.date().toISOString(),
+            ...entry
+        };
+        try {
+            if (fs.statSync(file).size >= maxBytes) {
+                fs.renameSync(file, `${file}.1`);
+                checkedTail = true;
+            }
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        }
+        appendLine(file, stored, !checkedTail);
+        checkedTail = true;
+        return stored;
+    };
+
+    return { file, record };
+}
+
+/**
+ * Fill in outcomes for closed positions
+ * Uses the account's settlements when available (live trades) and falls back
+ * to the market's published result; entries stay pending until one exists.
+ * @param {ReturnType<typeof createTradeJournal>} journal
+ * @param {Object} sources
+ * @param {(ticker: string) => Promise<Object>} sources.fetchMarket
+ * @param {((params: Object) => Promise<{settlements: Array}>)|null} [sources.fetchSettlements] - Authenticated; omit for paper trades
+ * @param {number} [sources.now]
+ * @returns {Promise<Array<Object>>} Entries settled in this pass
+ */
+export async function reconcileJournal(journal, { fetchMarket, fetchSettlements = null, now = clock.now() }) {
+    const settled = [];
+    const results = new Map();  // ticker -> {result, source, settledAt}, one lookup per market
+
+    for (const entry of journal.pending(now)) {
+        if (!results.has(entry.ticker)) {
+            let found = null;
+            if (fetchSettlements && entry.mode !== "paper") {
+                const data = await fetchSettlements({ ticker: entry.ticker }).catch(() => null);
+                const s = data?.settlements?.find(x => x.ticker === entry.ticker);
+                if (s && (s.market_result === "yes" || s.market_result === "no")) {
+                    found = { result: s.market_result, source: "settlement", settledAt: s.settled_time || null };
+                }
+            }
+            if (!found) {
+                const market = await fetchMarket(entry.ticker).catch(() => null);
+                if (market?.result === "yes" || market?.result === "no") {
+                    found = { result: market.result, source: "market", settledAt: market.settlement_ts || null };
+                }
+            }
+            results.set(entry.ticker, found);
+        }
+
+        const found = results.get(entry.ticker);
+        if (!found) continue;  // Not determined yet
+        const outcome = outcomeFor(entry, found.result, {
+            source: found.source,
+            settledAt: found.settledAt || new Date(now).toISOString()
+        });
+        settled.push(journal.update(entry.id, { outcome }));
+    }
+
+    if (settled.length) journal.compact();
+    return settled;
+}
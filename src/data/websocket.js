@@ -0,0 +1,264 @@
+/**
+ * Minimal WebSocket (RFC 6455) client over node:http/https
+ * Zero dependencies, supports custom handshake headers (needed for Kalshi auth),
+ * text/binary messages, ping/pong and close.
+ */
+
+import { EventEmitter } from "node:events";
+import crypto from "node:crypto";
+import http from "node:http";
+import https from "node:https";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+export const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+/**
+ * Encode a single WebSocket frame
+ * @param {number} opcode
+ * @param {Buffer|string} payload
+ * @param {boolean} mask - Clients must mask, servers must not
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = true) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const len = data.length;
+
+    let headerLen = 2;
+    if (len >= 126 && len < 65536) headerLen += 2;
+    else if (len >= 65536) headerLen += 8;
+    if (mask) headerLen += 4;
+
+    const frame = Buffer.alloc(headerLen + len);
+    frame[0] = 0x80 | opcode; // FIN + opcode
+
+    let offset = 2;
+    if (len < 126) {
+        frame[1] = len;
+    } else if (len < 65536) {
+        frame[1] = 126;
+        frame.writeUInt16BE(len, 2);
+        offset += 2;
+    } else {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(len), 2);
+        offset += 8;
+    }
+
+    if (mask) {
+        frame[1] |= 0x80;
+        const key = crypto.randomBytes(4);
+        key.copy(frame, offset);
+        offset += 4;
+        for (let i = 0; i < len; i += 1) frame[offset + i] = data[i] ^ key[i % 4];
+    } else {
+        data.copy(frame, offset);
+    }
+
+    return frame;
+}
+
+/**
+ * Decode as many complete frames as the buffer holds
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+export function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const b0 = buffer[offset];
+        const b1 = buffer[offset + 1];
+        let len = b1 & 0x7f;
+        let pos = offset + 2;
+
+        if (len === 126) {
+            if (buffer.length - pos < 2) break;
+            len = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (len === 127) {
+            if (buffer.length - pos < 8) break;
+            len = Number(buffer.readBigUInt64BE(pos));
+            pos += 8;
+        }
+
+        const masked = (b1 & 0x80) !== 0;
+        const key = masked ? buffer.subarray(pos, pos + 4) : null;
+        if (masked) pos += 4;
+        if (buffer.length - pos < len) break;
+
+        const payload = Buffer.from(buffer.subarray(pos, pos + len));
+        if (key) {
+            for (let i = 0; i < payload.length; i += 1) payload[i] ^= key[i % 4];
+        }
+
+        frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+        offset = pos + len;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a handshake key
+ * @param {string} key
+ * @returns {string}
+ */
+export function acceptKey(key) {
+    return crypto.createHash("sha1").update(key + GUID).digest("base64");
+}
+
+/**
+ * Wrap an upgraded socket as a message-level WebSocket
+ * Emits "message" (string|Buffer), "ping", "pong", "close" ({code, reason}) and "error".
+ * @param {import("node:net").Socket} socket
+ * @param {Object} options
+ * @param {boolean} options.mask - true on the client side
+ * @param {Buffer} [options.head] - Bytes already read past the handshake
+ * @returns {EventEmitter & {send: Function, ping: Function, close: Function, readyState: string}}
+ */
+export function wrapSocket(socket, { mask, head } = {}) {
+    const ws = new EventEmitter();
+    let buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+    let fragments = [];
+    let fragmentOpcode = null;
+    let closeInfo = { code: 1006, reason: "" };
+    ws.readyState = "open";
+
+    const write = (opcode, payload) => {
+        if (ws.readyState === "closed" || socket.destroyed) return false;
+        socket.write(encodeFrame(opcode, payload, mask));
+        return true;
+    };
+
+    ws.send = (data) => write(Buffer.isBuffer(data) ? OPCODES.binary : OPCODES.text, data);
+    ws.ping = (data) => write(OPCODES.ping, data);
+
+    ws.close = (code = 1000, reason = "") => {
+        if (ws.readyState !== "open") return;
+        ws.readyState = "closing";
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        write(OPCODES.close, payload);
+        setTimeout(() => socket.destroy(), 1000).unref();
+    };
+
+    ws.terminate = () => socket.destroy();
+
+    const handleFrame = ({ fin, opcode, payload }) => {
+        if (opcode === OPCODES.ping) {
+            write(OPCODES.pong, payload);
+            ws.emit("ping", payload);
+            return;
+        }
+        if (opcode === OPCODES.pong) {
+            ws.emit("pong", payload);
+            return;
+        }
+        if (opcode === OPCODES.close) {
+            closeInfo = {
+                code: payload.length >= 2 ? payload.readUInt16BE(0) : 1005,
+                reason: payload.length > 2 ? payload.subarray(2).toString("utf8") : ""
+            };
+            if (ws.readyState === "open") {
+                ws.readyState = "closing";
+                write(OPCODES.close, payload.subarray(0, 2));
+            }
+            socket.end();
+            return;
+        }
+
+        if (opcode !== OPCODES.continuation) {
+            fragmentOpcode = opcode;
+            fragments = [];
+        }
+        fragments.push(payload);
+        if (!fin) return;
+
+        const data = Buffer.concat(fragments);
+        fragments = [];
+        ws.emit("message", fragmentOpcode === OPCODES.text ? data.toString("utf8") : data);
+    };
+
+    const processBuffer = () => {
+        const { frames, rest } = decodeFrames(buffer);
+        buffer = rest;
+        for (const frame of frames) handleFrame(frame);
+    };
+
+    socket.on("data", (chunk) => {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        processBuffer();
+    });
+
+    socket.on("close", () => {
+        ws.readyState = "closed";
+        ws.emit("close", closeInfo);
+    });
+    socket.on("error", (err) => ws.emit("error", err));
+
+    // Frames that arrived with the handshake, once listeners are attached
+    if (buffer.length) setImmediate(processBuffer);
+
+    return ws;
+}
+
+/**
+ * Open a WebSocket connection
+ * @param {string} url - ws:// or wss:// URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra handshake headers
+ * @param {number} [options.timeoutMs] - Handshake timeout
+ * @returns {Promise<ReturnType<typeof wrapSocket>>}
+ */
+export function connectWebSocket(url, { headers = {}, timeoutMs = 10000 } = {}) {
+    const target = new URL(url);
+    const secure = target.protocol === "wss:";
+    const key = crypto.randomBytes(16).toString("base64");
+
+    return new Promise((resolve, reject) => {
+        const req = (secure ? https : http).request({
+            hostname: target.hostname,
+            port: target.port || (secure ? 443 : 80),
+            path: `${target.pathname}${target.search}`,
+            method: "GET",
+            headers: {
+                Connection: "Upgrade",
+                Upgrade: "websocket",
+                "Sec-WebSocket-Version": "13",
+                "Sec-WebSocket-Key": key,
+                ...headers
+            },
+            timeout: timeoutMs
+        });
+
+        req.on("upgrade", (res, socket, head) => {
+            if (res.headers["sec-websocket-accept"] !== acceptKey(key)) {
+                socket.destroy();
+                reject(new Error("WebSocket handshake failed: bad Sec-WebSocket-Accept"));
+                return;
+            }
+            socket.setTimeout(0);
+            socket.setNoDelay(true);
+            resolve(wrapSocket(socket, { mask: true, head }));
+        });
+
+        req.on("response", (res) => {
+            res.resume();
+            reject(new Error(`WebSocket handshake failed: HTTP ${res.statusCode}`));
+        });
+
+        req.on("timeout", () => req.destroy(new Error("WebSocket handshake timeout")));
+        req.on("error", reject);
+        req.end();
+    });
+}
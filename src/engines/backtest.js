@@ -0,0 +1,290 @@
+import { CONFIG } from "../config.js";
+import { getNextEventMarkets, parseExpiration } from "../data/kalshi.js";
+import { DECISION_DEFAULTS, ENTRY_WINDOW_DEFAULTS, decideTrade, orderLimitPrice } from "./decision.js";
+import { RISK_DEFAULTS, checkRisk, riskState } from "./risk.js";
+import { createRegimeTracker } from "./regime.js";
+import { tradingFeeCents } from "./fees.js";
+import { getSettlementWindow } from "./settlement.js";
+
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+function toMs(time) {
+  if (typeof time === "number") return time;
+  const ms = Date.parse(time);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Binary search: index of the first candle that is still open at `ms`
+function completedBefore(candles, ms) {
+  let lo = 0;
+  let hi = candles.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid].time + MINUTE_MS <= ms) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Latest snapshot taken at or before `ms`
+function snapshotAt(snapshots, ms, maxAgeMs) {
+  let lo = 0;
+  let hi = snapshots.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (snapshots[mid].time <= ms) lo = mid + 1;
+    else hi = mid;
+  }
+  const snap = snapshots[lo - 1];
+  return snap && ms - snap.time <= maxAgeMs ? snap : null;
+}
+
+// Settlement results keyed by market ticker ("yes" | "no"), from a map or
+// from settled market objects carrying `result`
+export function indexResults(results) {
+  if (!results) return {};
+  if (!Array.isArray(results)) return { ...results };
+  const out = {};
+  for (const m of results) {
+    if (m?.ticker && (m.result === "yes" || m.result === "no")) out[m.ticker] = m.result;
+  }
+  return out;
+}
+
+// What the runner's journal would hold at `now`: every fill so far, with an
+// outcome once its market has closed
+function journalAt(trades, now) {
+  return trades.map((t) => ({
+    time: t.time,
+    eventTicker: t.eventTicker,
+    filled: t.count,
+    costCents: t.price * t.count,
+    feeCents: t.feeCents,
+    outcome: t.won !== null && t.closeMs <= now
+      ? { won: t.won, pnlCents: t.pnlCents, settledAt: new Date(t.closeMs).toISOString() }
+      : null
+  }));
+}
+
+/**
+ * Replay the live runner hour by hour over stored data.
+ * Inside each hour's entry window the decision runs every evalIntervalSec
+ * against the latest market snapshot and the 1-minute candles completed by
+ * then, up to maxEntriesPerEvent entries per event, and every BUY passes the
+ * account risk checks first. A BUY is priced at the runner's limit (ask + 1¢),
+ * the most the order can pay without book depth in the snapshots, with the
+ * configured fee schedule, and settles against `results` when its market closes.
+ * Sizing sees the cash left after the cost of unsettled positions, as the
+ * runner sees its Kalshi balance.
+ * `runAtMinute` is shorthand for a one-minute window.
+ */
+export function runBacktest({
+  candles,
+  snapshots,
+  results,
+  runAtMinute = null,
+  startBalance = 100,
+  from = null,
+  to = null,
+  maxSnapshotAgeMinutes = 2,
+  config = { ...DECISION_DEFAULTS, ...RISK_DEFAULTS, ...ENTRY_WINDOW_DEFAULTS },
+  log = () => {}
+}) {
+  const settings = { ...ENTRY_WINDOW_DEFAULTS, ...config };
+  const window = runAtMinute === null
+    ? { start: settings.entryWindowStart, end: settings.entryWindowEnd }
+    : { start: runAtMinute, end: runAtMinute };
+  const limits = { ...RISK_DEFAULTS, ...config };
+  const intervalMs = settings.evalIntervalSec * 1000;
+
+  const bars = candles
+    .map((c) => ({ ...c, time: toMs(c.time) }))
+    .filter((c) => c.time !== null && Number.isFinite(c.close))
+    .sort((a, b) => a.time - b.time);
+  const snaps = snapshots
+    .map((s) => ({ ...s, time: toMs(s.time) }))
+    .filter((s) => s.time !== null && Array.isArray(s.markets))
+    .sort((a, b) => a.time - b.time);
+  // Explicit results win over `result` fields carried by snapshot markets
+  const outcomes = {};
+  for (const snap of snaps) Object.assign(outcomes, indexResults(snap.markets));
+  Object.assign(outcomes, indexResults(results));
+
+  const state = { balance: startBalance, peak: startBalance, maxDrawdown: 0, maxDrawdownPct: 0 };
+  const trades = [];
+  const skips = {};
+  let hours = 0;
+  let evaluations = 0;
+
+  if (bars.length === 0 || snaps.length === 0) {
+    return summarize({ window, startBalance, ...state, trades, skips, hours, evaluations });
+  }
+
+  const startMs = Math.max(toMs(from) ?? 0, bars[0].time, snaps[0].time);
+  const endMs = Math.min(toMs(to) ?? Infinity, bars[bars.length - 1].time + MINUTE_MS, snaps[snaps.length - 1].time);
+  const averaging = getSettlementWindow(CONFIG.kalshi.seriesTicker, CONFIG.settlementWindowSeconds || null);
+  const lookback = Math.max(CONFIG.volLookbackMinutes + 1, 30);
+  const regimeTracker = createRegimeTracker();
+  let regimeEvent = null;
+
+  // Results arrive at the close: only then does PnL reach the balance
+  const settleUntil = (ms) => {
+    for (const t of trades) {
+      if (t.settled || t.closeMs > ms) continue;
+      t.settled = true;
+      if (t.pnlCents === null) continue;
+      state.balance += t.pnlCents / 100;
+      state.peak = Math.max(state.peak, state.balance);
+      state.maxDrawdown = Math.max(state.maxDrawdown, state.peak - state.balance);
+      state.maxDrawdownPct = Math.max(state.maxDrawdownPct, ((state.peak - state.balance) / state.peak) * 100);
+      t.balance = state.balance;
+    }
+  };
+  const skip = (reason) => {
+    skips[reason] = (skips[reason] || 0) + 1;
+  };
+
+  for (let hour = Math.floor(startMs / HOUR_MS) * HOUR_MS; hour <= endMs; hour += HOUR_MS) {
+    const windowStart = hour + window.start * MINUTE_MS;
+    const windowEnd = hour + (window.end + 1) * MINUTE_MS;
+    let evaluatedHour = false;
+
+    for (let now = windowStart; now < windowEnd; now += intervalMs) {
+      if (now < startMs || now > endMs) continue;
+      settleUntil(now);
+
+      const snap = snapshotAt(snaps, now, maxSnapshotAgeMinutes * MINUTE_MS);
+      const end = completedBefore(bars, now);
+      const history = bars.slice(Math.max(0, end - lookback), end);
+      if (!snap || history.length === 0) {
+        skip("no_data");
+        continue;
+      }
+      if (!evaluatedHour) {
+        evaluatedHour = true;
+        hours += 1;
+      }
+
+      const eventMarkets = getNextEventMarkets(snap.markets, now);
+      if (eventMarkets.length === 0) {
+        skip("no_event");
+        continue;
+      }
+
+      // One position per event (by default), however often the window evaluates
+      const eventTicker = eventMarkets[0].event_ticker;
+      if (trades.filter((t) => t.eventTicker === eventTicker).length >= settings.maxEntriesPerEvent) break;
+
+      // Each event window reads its regime afresh, as the runner does
+      if (eventTicker !== regimeEvent) {
+        regimeTracker.reset();
+        regimeEvent = eventTicker;
+      }
+
+      evaluations += 1;
+      const entries = journalAt(trades, now);
+      const openCostCents = trades.reduce((sum, t) => sum + (t.settled ? 0 : t.costCents), 0);
+      const decision = decideTrade({
+        currentPrice: snap.price || history[history.length - 1].close,
+        candles: history,
+        eventMarkets,
+        balance: state.balance - openCostCents / 100,
+        eventExposureCents: riskState(entries, now).exposureByEvent[eventTicker] || 0,
+        now,
+        settlement: { ...averaging, samples: [] },
+        config,
+        regimeTracker,
+        log
+      });
+      if (decision.action !== "BUY") {
+        skip(decision.reason);
+        continue;
+      }
+
+      // Account limits come last, as in the runner: they may block or shrink the order
+      const price = orderLimitPrice(decision.price);
+      const risk = checkRisk({
+        entries,
+        order: { eventTicker, count: decision.count, priceCents: price },
+        now,
+        limits
+      });
+      if (!risk.ok) {
+        log(risk.message);
+        skip(risk.reason);
+        continue;
+      }
+
+      const count = risk.count;
+      const result = outcomes[decision.ticker] || null;
+      const feeCents = tradingFeeCents(price, count, { schedule: config.feeSchedule });
+      const costCents = price * count + feeCents;
+      const won = result === null ? null : result === decision.side;
+      const expiration = parseExpiration(decision.market);
+
+      trades.push({
+        time: new Date(now).toISOString(),
+        hourUtc: new Date(now).getUTCHours(),
+        minute: new Date(now).getUTCMinutes(),
+        ticker: decision.ticker,
+        eventTicker,
+        side: decision.side,
+        count,
+        ask: decision.price,
+        price,
+        confidence: decision.adjustedConfidence,
+        expiration: expiration?.toISOString() ?? null,
+        closeMs: expiration?.getTime() ?? now,
+        feeCents,
+        costCents,
+        result,
+        won,
+        pnlCents: won === null ? null : (won ? 100 * count : 0) - costCents,
+        balance: null,
+        settled: false
+      });
+    }
+  }
+  settleUntil(Infinity);
+
+  return summarize({ window, startBalance, ...state, trades, skips, hours, evaluations });
+}
+
+function summarize({ window, startBalance, balance, peak, trades, skips, hours, evaluations, maxDrawdown, maxDrawdownPct }) {
+  const settled = trades.filter((t) => t.won !== null);
+  const wins = settled.filter((t) => t.won).length;
+  const pnlCents = settled.reduce((sum, t) => sum + t.pnlCents, 0);
+  const feesCents = settled.reduce((sum, t) => sum + t.feeCents, 0);
+
+  const byHour = {};
+  for (const t of settled) {
+    const row = byHour[t.hourUtc] || (byHour[t.hourUtc] = { trades: 0, wins: 0, pnlCents: 0 });
+    row.trades += 1;
+    row.wins += t.won ? 1 : 0;
+    row.pnlCents += t.pnlCents;
+  }
+  for (const row of Object.values(byHour)) row.hitRate = row.wins / row.trades;
+
+  return {
+    window,
+    hours,
+    evaluations,
+    trades: trades.length,
+    settled: settled.length,
+    unsettled: trades.length - settled.length,
+    wins,
+    losses: settled.length - wins,
+    hitRate: settled.length ? wins / settled.length : null,
+    pnlCents,
+    feesCents,
+    startBalance,
+    endBalance: balance,
+    peakBalance: peak,
+    maxDrawdown,
+    maxDrawdownPct,
+    skips,
+    byHour,
+    tradeLog: trades.map(({ closeMs, settled, ...t }) => t)
+  };
+}
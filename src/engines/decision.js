@@ -0,0 +1,295 @@
+import { CONFIG } from "../config.js";
+import { parseStrikePrice, parseExpiration } from "../data/kalshi.js";
+import { estimateVolPerMinute, scaleVol } from "../indicators/volatility.js";
+import { predict, strategyClock } from "../strategies/index.js";
+import { evaluateLadder, formatLadderRow } from "./ladder.js";
+import { computeNetEv } from "./fees.js";
+import { computeEdge, decide, PHASE_DEFAULTS, REGIME_RULES } from "./edge.js";
+import { detectRegime, computeRegimeInputs } from "./regime.js";
+import { sizePosition } from "./sizing.js";
+import { clock } from "../utils.js";
+
+// Trade decision parameters shared by the live runner and the backtester
+export const DECISION_DEFAULTS = {
+  kellyMultiplier: 0.25,       // Fractional Kelly (0.25 = quarter Kelly)
+  maxTradePct: 10,             // Max % of portfolio per trade
+  maxEventPct: 20,             // Max % of portfolio across one hourly event
+  minContracts: 1,             // Minimum contracts per trade
+  maxContracts: 100,           // Maximum contracts per trade
+  minConfidence: 50,           // Minimum confidence to trade
+  minEdge: 0,                  // Minimum net EV per contract in cents (0 = trade if any edge)
+  ladderLogRows: 5,            // Strikes from the ranked ladder to write to the log
+  feeSchedule: "taker",        // Limit at ask+1¢ crosses the book, so taker fees apply
+  strategy: CONFIG.strategy,   // Registered strategy that prices the ladder's best strike
+  phases: PHASE_DEFAULTS,      // Edge / model probability required in EARLY, MID and LATE phases
+  regimeRules: REGIME_RULES,   // No counter-trend entries, stricter thresholds in CHOP
+
+  // ACCURACY IMPROVEMENTS
+  coinFlipThreshold: 20,       // Skip if price within $X of strike (lowered for more trades)
+  momentumPenalty: 10,         // Reduce confidence by X% if momentum against us
+  maxVolatility: 0.4,          // Skip if 5-min realized vol (1σ) > X%
+  volatilityLookback: 15       // Candles used by the volatility filter
+};
+
+// When the runner evaluates: repeatedly inside a window each hour, shared with
+// the backtester so it replays the same entries
+export const ENTRY_WINDOW_DEFAULTS = {
+  entryWindowStart: 45,        // Evaluate from :45...
+  entryWindowEnd: 58,          // ...through :58 (orders still resting a minute before close are canceled)
+  evalIntervalSec: 60,         // Time between evaluations inside the window
+  maxEntriesPerEvent: 1        // Filled orders allowed per hourly event
+};
+
+// Buy limit one cent through the ask so the order crosses the book, as the
+// runner places it; the backtester prices its fills and risk checks the same way
+export function orderLimitPrice(askCents) {
+  return Math.min(99, askCents + 1);
+}
+
+function fmtCents(cents) {
+  return `${cents > 0 ? "+" : ""}${cents.toFixed(1)}¢`;
+}
+
+/**
+ * Full trade decision for the next event: ladder, prediction, accuracy filters,
+ * edge and sizing. Pure apart from `log`, so the backtester can replay it.
+ * `eventExposureCents` is what is already at risk in the event, counted against maxEventPct.
+ * Returns {action: "BUY", ...order details} or {action: "SKIP", reason, message, ...what was known}.
+ */
+export function decideTrade({
+  currentPrice,
+  candles,
+  eventMarkets,
+  balance,
+  eventExposureCents = 0,
+  now = clock.now(),
+  settlement = null,
+  config = DECISION_DEFAULTS,
+  regimeTracker = null,
+  log = () => {}
+}) {
+  const context = {};  // Filled in as the decision progresses, returned with skips
+  const skip = (reason, message) => {
+    if (message) log(message);
+    return { action: "SKIP", reason, message: message || null, ...context };
+  };
+
+  // Price the whole strike ladder and take the highest-EV strike/side
+  const ladder = evaluateLadder(eventMarkets, {
+    spot: currentPrice,
+    candles,
+    now,
+    estimator: CONFIG.volEstimator,
+    lookback: CONFIG.volLookbackMinutes,
+    minSigmaPerMinute: CONFIG.minSigmaPerMinute,
+    minProbability: config.minConfidence / 100,
+    feeSchedule: config.feeSchedule,
+    settlement
+  });
+  const bestRow = ladder[0];
+  if (!bestRow || !bestRow.bestSide) {
+    return skip("no_tradeable_strike", "❌ No strike with a tradeable ask found on the ladder");
+  }
+  const bestMarket = bestRow.market;
+
+  log(`🪜 Strike ladder (${ladder.length} markets, top ${Math.min(config.ladderLogRows, ladder.length)} by EV):`);
+  for (const row of ladder.slice(0, config.ladderLogRows)) {
+    log(`   ${formatLadderRow(row)}`);
+  }
+
+  const strikePrice = parseStrikePrice(bestMarket);
+  const expiration = parseExpiration(bestMarket);
+  const expiresInMinutes = expiration ? Math.round((expiration.getTime() - now) / 60000) : 999;
+  Object.assign(context, { ticker: bestMarket.ticker, strikePrice, expiresInMinutes });
+
+  const prediction = predict(config.strategy, {
+    market: bestMarket,
+    book: null,
+    candles,
+    spot: currentPrice,
+    clock: strategyClock(expiration, now),
+    settlement
+  });
+
+  // Validate prediction makes sense
+  if (!prediction.side) {
+    return skip("no_side", `❌ Could not determine side (${prediction.explanation.join("; ")}). Skipping.`);
+  }
+  const confidence = Math.round(prediction.probability * 100);
+  Object.assign(context, { side: prediction.side, confidence });
+
+  // The ladder picked the side by EV; the strategy has to back it on its own
+  if (prediction.side !== bestRow.bestSide) {
+    return skip("side_disagrees", `↔️ ${prediction.strategy} favors ${prediction.side.toUpperCase()} but the ladder's best EV is ${bestRow.bestSide.toUpperCase()}. Skipping.`);
+  }
+  const { modelProbUp, sigmaPerMinute: modelSigma, expectedMove } = prediction.details;
+
+  // Log analysis
+  const distance = Math.abs(currentPrice - strikePrice);
+  const direction = currentPrice > strikePrice ? "ABOVE" : "BELOW";
+
+  log(`📊 BTC: $${currentPrice.toFixed(2)} | Strike: $${strikePrice}`);
+  log(`📍 Price is ${direction} strike by $${distance.toFixed(2)} (${(distance / strikePrice * 100).toFixed(3)}%)`);
+  log(`🎯 Prediction (${prediction.strategy}): BUY ${prediction.side.toUpperCase()} @ ${confidence}% confidence`);
+  if (modelProbUp != null && expectedMove != null) {
+    log(`📐 Model: P(above) ${(modelProbUp * 100).toFixed(1)}% | σ ${(modelSigma * 100).toFixed(3)}%/min | 1σ move $${expectedMove.toFixed(0)}`);
+  }
+  log(`🧠 ${prediction.explanation.join(" | ")}`);
+  log(`⏰ Market expires in ${expiresInMinutes} minutes`);
+
+  // ACCURACY IMPROVEMENT #1: Skip coin flips
+  const distanceFromStrike = Math.abs(currentPrice - strikePrice);
+  if (distanceFromStrike < config.coinFlipThreshold) {
+    return skip("coin_flip", `🎲 COIN FLIP: Price only $${distanceFromStrike.toFixed(0)} from strike (< $${config.coinFlipThreshold}). Skipping.`);
+  }
+
+  // ACCURACY IMPROVEMENT #2: Momentum check
+  let adjustedConfidence = confidence;
+  if (candles.length >= 3) {
+    const recentCloses = candles.slice(-3).map((c) => c.close);
+    const momentum = recentCloses[2] - recentCloses[0];  // Last 3 min movement
+    const movingAgainstUs = (prediction.side === "yes" && momentum < 0) ||
+      (prediction.side === "no" && momentum > 0);
+
+    if (movingAgainstUs) {
+      adjustedConfidence -= config.momentumPenalty;
+      log(`⚠️ Momentum against us! Confidence adjusted: ${confidence}% → ${adjustedConfidence}%`);
+    }
+  }
+
+  // ACCURACY IMPROVEMENT #3: Volatility filter
+  const sigmaPerMinute = estimateVolPerMinute(candles, {
+    estimator: CONFIG.volEstimator,
+    lookback: config.volatilityLookback
+  });
+  if (sigmaPerMinute !== null) {
+    const volatilityPct = scaleVol(sigmaPerMinute, 5) * 100;
+
+    if (volatilityPct > config.maxVolatility) {
+      return skip("high_volatility", `🌊 HIGH VOLATILITY: ${volatilityPct.toFixed(2)}% 5-min realized vol (> ${config.maxVolatility}%). Skipping.`);
+    }
+  }
+
+  // Check minimum confidence (using adjusted)
+  if (adjustedConfidence < config.minConfidence) {
+    return skip("low_confidence", `⚠️ Confidence too low (${adjustedConfidence}% < ${config.minConfidence}%). Skipping.`);
+  }
+
+  // Get the ask price for our side (market's implied probability)
+  const askPrice = prediction.side === "yes" ? bestMarket.yes_ask : bestMarket.no_ask;
+
+  if (!askPrice || askPrice >= 100) {
+    return skip("no_ask", `⚠️ Ask price too high or unavailable (${askPrice}¢). Skipping.`);
+  }
+
+  // EDGE CALCULATION: Compare our prediction vs market price, net of fees
+  // askPrice = market's implied probability (in cents = %)
+  // Our confidence = our calculated probability
+  // Net EV = what one contract is worth to us after paying the ask and the fee
+  const marketProb = askPrice;  // 60¢ = market thinks 60% chance
+  const ourProb = confidence;
+  const edge = ourProb - marketProb;
+  const perContract = computeNetEv({
+    prob: ourProb / 100,
+    priceCents: askPrice,
+    schedule: config.feeSchedule
+  });
+
+  log(`📊 Market odds: ${marketProb}% | Our calc: ${ourProb}% | Edge: ${edge > 0 ? "+" : ""}${edge}%`);
+  log(`🧾 Fee: ${perContract.feePerContractCents}¢/contract | Break-even: ${(perContract.breakEvenProb * 100).toFixed(1)}% | Net EV: ${fmtCents(perContract.netEvPerContractCents)}/contract`);
+
+  if (perContract.netEvPerContractCents > 0) {
+    log(`✅ Positive net EV: ${fmtCents(perContract.netEvPerContractCents)}/contract`);
+  } else {
+    log(`📉 Negative net EV: ${fmtCents(perContract.netEvPerContractCents)}/contract`);
+  }
+
+  // Phase and regime gating: more edge required late and in chop, no fading a trend
+  // A tracker (the daemon keeps one) holds the regime until a change is confirmed
+  const reading = detectRegime(computeRegimeInputs(candles, { price: currentPrice }));
+  const regime = regimeTracker ? regimeTracker.update(reading, now) : reading;
+  const modelUp = prediction.side === "yes" ? ourProb / 100 : 1 - ourProb / 100;
+  const edges = computeEdge({
+    modelUp,
+    modelDown: 1 - modelUp,
+    marketYes: bestMarket.yes_ask ?? null,
+    marketNo: bestMarket.no_ask ?? null
+  });
+  const gate = decide({
+    remainingMinutes: expiration ? (expiration.getTime() - now) / 60000 : 999,
+    edgeUp: edges.edgeUp,
+    edgeDown: edges.edgeDown,
+    modelUp,
+    modelDown: 1 - modelUp,
+    regime: regime.regime,
+    phases: config.phases,
+    rules: config.regimeRules
+  });
+  Object.assign(context, { phase: gate.phase, regime: regime.regime, regimeReason: regime.reason });
+
+  const pending = regime.pending ? ` | ${regime.pending} pending ${regime.pendingCount}/${CONFIG.regimeConfirmations}` : "";
+  log(`🧭 Regime: ${regime.regime} (${regime.reason})${pending} | Phase: ${gate.phase}`);
+  if (gate.action !== "ENTER") {
+    return skip(gate.reason, `🚦 ${gate.phase}/${regime.regime}: ${gate.reason}. Skipping.`);
+  }
+  if ((gate.side === "UP" ? "yes" : "no") !== prediction.side) {
+    return skip("edge_on_other_side", `🚦 Edge favors ${gate.side === "UP" ? "YES" : "NO"}, not ${prediction.side.toUpperCase()}. Skipping.`);
+  }
+  log(`🚦 ${gate.strength} entry: ${(gate.edge * 100).toFixed(1)}% edge in ${gate.phase}/${regime.regime}`);
+
+  if (!balance) {
+    return skip("no_balance", "❌ Could not fetch portfolio balance. Skipping.");
+  }
+
+  // Fractional Kelly sizing, capped per trade and per event
+  const sizing = sizePosition({
+    prob: ourProb / 100,
+    priceCents: askPrice,
+    balanceCents: balance * 100,
+    eventExposureCents,
+    feeSchedule: config.feeSchedule,
+    kellyMultiplier: config.kellyMultiplier,
+    maxTradePct: config.maxTradePct,
+    maxEventPct: config.maxEventPct,
+    minEdgeCents: config.minEdge,
+    minContracts: config.minContracts,
+    maxContracts: config.maxContracts
+  });
+
+  log(`💰 Portfolio: $${balance.toFixed(2)} | Sizing: ${sizing.explanation}`);
+
+  if (sizing.contracts === 0) {
+    return skip("zero_size", `⚠️ Position size is zero (${sizing.reason}). Skipping.`);
+  }
+
+  const orderEv = computeNetEv({
+    prob: ourProb / 100,
+    priceCents: askPrice,
+    count: sizing.contracts,
+    schedule: config.feeSchedule
+  });
+
+  return {
+    action: "BUY",
+    market: bestMarket,
+    ticker: bestMarket.ticker,
+    side: prediction.side,
+    count: sizing.contracts,
+    price: askPrice,
+    strikePrice,
+    expiration,
+    expiresInMinutes,
+    prediction,
+    confidence,
+    ta: prediction.details.ta ?? null,
+    phase: gate.phase,
+    regime: regime.regime,
+    edge: gate.edge,
+    recentVolPct: sigmaPerMinute === null ? null : scaleVol(sigmaPerMinute, 5) * 100,
+    adjustedConfidence,
+    perContract,
+    orderEv,
+    sizing,
+    ladder
+  };
+}
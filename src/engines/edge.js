@@ -1,8 +1,30 @@
 import { clamp } from "../utils.js";
+import { computeNetEv } from "./fees.js";
+
+// yesAsk/noAsk are execution prices in cents; when given, the result also carries
+// fee-adjusted expected value per contract and per order of `count` contracts.
+export function computeEdge({
+  modelUp,
+  modelDown,
+  marketYes,
+  marketNo,
+  yesAsk = null,
+  noAsk = null,
+  count = 1,
+  feeSchedule = "taker",
+  feeRounding = "order"
+}) {
+  const netUp = yesAsk === null ? null : computeNetEv({ prob: modelUp, priceCents: yesAsk, count, schedule: feeSchedule, rounding: feeRounding });
+  const netDown = noAsk === null ? null : computeNetEv({ prob: modelDown, priceCents: noAsk, count, schedule: feeSchedule, rounding: feeRounding });
+  const net = {
+    netUp,
+    netDown,
+    evUp: netUp ? netUp.netEvPerContractCents : null,
+    evDown: netDown ? netDown.netEvPerContractCents : null
+  };
 
-export function computeEdge({ modelUp, modelDown, marketYes, marketNo }) {
   if (marketYes === null || marketNo === null) {
-    return { marketUp: null, marketDown: null, edgeUp: null, edgeDown: null };
+    return { marketUp: null, marketDown: null, edgeUp: null, edgeDown: null, ...net };
   }
 
   const sum = marketYes + marketNo;
@@ -16,33 +38,71 @@ export function computeEdge({ modelUp, modelDown, marketYes, marketNo }) {
     marketUp: marketUp === null ? null : clamp(marketUp, 0, 1),
     marketDown: marketDown === null ? null : clamp(marketDown, 0, 1),
     edgeUp,
-    edgeDown
+    edgeDown,
+    ...net
   };
 }
 
-export function decide({ remainingMinutes, edgeUp, edgeDown, modelUp = null, modelDown = null }) {
-  const phase = remainingMinutes > 10 ? "EARLY" : remainingMinutes > 5 ? "MID" : "LATE";
+// Entry thresholds by time left. Later entries need more edge and a surer model,
+// since there is less time for the market to reprice in our favor.
+export const PHASE_DEFAULTS = {
+  earlyMinutes: 10,            // More than this left = EARLY
+  midMinutes: 5,               // More than this left = MID, otherwise LATE
+  edge: { EARLY: 0.05, MID: 0.1, LATE: 0.2 },
+  minProb: { EARLY: 0.55, MID: 0.6, LATE: 0.65 }
+};
 
-  const threshold = phase === "EARLY" ? 0.05 : phase === "MID" ? 0.1 : 0.2;
+// Regime-specific gating on top of the phase thresholds
+export const REGIME_RULES = {
+  noCounterTrend: true,        // No UP (YES) in TREND_DOWN, no DOWN (NO) in TREND_UP
+  chopEdgeMultiplier: 1.5,     // CHOP needs 1.5x the phase edge...
+  chopMinProbBump: 0.05        // ...and 5 points more model probability
+};
 
-  const minProb = phase === "EARLY" ? 0.55 : phase === "MID" ? 0.6 : 0.65;
+function round(x) {
+  return Number(x.toFixed(4));
+}
+
+export function phaseFor(remainingMinutes, phases = PHASE_DEFAULTS) {
+  return remainingMinutes > phases.earlyMinutes ? "EARLY" : remainingMinutes > phases.midMinutes ? "MID" : "LATE";
+}
+
+export function decide({
+  remainingMinutes,
+  edgeUp,
+  edgeDown,
+  modelUp = null,
+  modelDown = null,
+  regime = null,
+  phases = PHASE_DEFAULTS,
+  rules = REGIME_RULES
+}) {
+  const phase = phaseFor(remainingMinutes, phases);
+  const chop = regime === "CHOP";
+
+  const threshold = round(phases.edge[phase] * (chop ? rules.chopEdgeMultiplier : 1));
+  const minProb = round(phases.minProb[phase] + (chop ? rules.chopMinProbBump : 0));
 
   if (edgeUp === null || edgeDown === null) {
-    return { action: "NO_TRADE", side: null, phase, reason: "missing_market_data" };
+    return { action: "NO_TRADE", side: null, phase, regime, reason: "missing_market_data" };
   }
 
   const bestSide = edgeUp > edgeDown ? "UP" : "DOWN";
   const bestEdge = bestSide === "UP" ? edgeUp : edgeDown;
   const bestModel = bestSide === "UP" ? modelUp : modelDown;
 
+  if (rules.noCounterTrend && ((regime === "TREND_DOWN" && bestSide === "UP") || (regime === "TREND_UP" && bestSide === "DOWN"))) {
+    return { action: "NO_TRADE", side: null, phase, regime, reason: `fading_${regime.toLowerCase()}` };
+  }
+
   if (bestEdge < threshold) {
-    return { action: "NO_TRADE", side: null, phase, reason: `edge_below_${threshold}` };
+    return { action: "NO_TRADE", side: null, phase, regime, reason: `edge_below_${threshold}` };
   }
 
   if (bestModel !== null && bestModel < minProb) {
-    return { action: "NO_TRADE", side: null, phase, reason: `prob_below_${minProb}` };
+    return { action: "NO_TRADE", side: null, phase, regime, reason: `prob_below_${minProb}` };
   }
 
   const strength = bestEdge >= 0.2 ? "STRONG" : bestEdge >= 0.1 ? "GOOD" : "OPTIONAL";
-  return { action: "ENTER", side: bestSide, phase, strength, edge: bestEdge };
+  return { action: "ENTER", side: bestSide, phase, regime, strength, edge: bestEdge };
 }
@@ -0,0 +1,63 @@
+import { ENTRY_WINDOW_DEFAULTS } from "./decision.js";
+import { clock } from "../utils.js";
+
+// Minute of the hour between entryWindowStart and entryWindowEnd, both included
+export function inEntryWindow(date = clock.date(), settings = ENTRY_WINDOW_DEFAULTS) {
+  const minute = date.getMinutes();
+  return minute >= settings.entryWindowStart && minute <= settings.entryWindowEnd;
+}
+
+// Now when inside the window, otherwise the start of the next one
+export function nextEntryTime(date = clock.date(), settings = ENTRY_WINDOW_DEFAULTS) {
+  if (inEntryWindow(date, settings)) return date;
+
+  const next = new Date(date);
+  next.setMinutes(settings.entryWindowStart, 0, 0);
+  if (next <= date) next.setHours(next.getHours() + 1);
+  return next;
+}
+
+// Filled journal entries in an event against maxEntriesPerEvent
+export function eventFull(entries, eventTicker, settings = ENTRY_WINDOW_DEFAULTS) {
+  return entries.filter((e) => e.eventTicker === eventTicker && e.filled > 0).length >= settings.maxEntriesPerEvent;
+}
+
+/**
+ * When the daemon evaluates: inside the window, one evaluation at a time,
+ * evalIntervalSec apart, and not again in an hour whose event is already full.
+ * run() returns the evaluation's result, or why it was skipped.
+ */
+export function createEntryGate(settings = ENTRY_WINDOW_DEFAULTS) {
+  let running = false;
+  let lastEvalAt = null;
+  let doneHour = null;
+
+  const hourKey = (date) => date.toISOString().slice(0, 13);
+
+  // Why not to evaluate at `date`, or null to go ahead
+  const blocked = (date = clock.date()) => {
+    if (running) return "running";
+    if (!inEntryWindow(date, settings)) return "outside_window";
+    if (doneHour === hourKey(date)) return "event_done";
+    if (lastEvalAt !== null && date.getTime() - lastEvalAt < settings.evalIntervalSec * 1000) return "too_soon";
+    return null;
+  };
+
+  // evaluate() returns "event_limit" once the event holds its entries
+  const run = async (evaluate, date = clock.date()) => {
+    const reason = blocked(date);
+    if (reason) return { skipped: reason };
+
+    running = true;
+    lastEvalAt = date.getTime();
+    try {
+      const result = await evaluate(date);
+      if (result === "event_limit") doneHour = hourKey(date);
+      return { result };
+    } finally {
+      running = false;
+    }
+  };
+
+  return { blocked, run };
+}
@@ -0,0 +1,57 @@
+// Kalshi trading fees: ceil(rate * C * P * (1 - P)) dollars, rounded up to the cent.
+// P is the contract price in dollars, C the number of contracts.
+
+export const TAKER_FEE_RATE = 0.07;
+export const MAKER_FEE_RATE = 0.0175;
+
+export const FEE_SCHEDULES = {
+  taker: TAKER_FEE_RATE,
+  maker: MAKER_FEE_RATE
+};
+
+function resolveRate(schedule) {
+  if (typeof schedule === "number") return schedule;
+  const rate = FEE_SCHEDULES[schedule];
+  if (rate === undefined) throw new Error(`Unknown fee schedule: ${schedule}`);
+  return rate;
+}
+
+// rounding: "order" rounds the whole order up once (Kalshi's behaviour),
+// "contract" rounds each contract up (conservative upper bound).
+export function tradingFeeCents(priceCents, count = 1, { schedule = "taker", rounding = "order" } = {}) {
+  if (!(priceCents > 0) || !(priceCents < 100) || !(count > 0)) return 0;
+  const rate = resolveRate(schedule);
+  const p = priceCents / 100;
+  const raw = rate * p * (1 - p) * 100;
+
+  if (rounding === "contract") return Math.ceil(raw - 1e-9) * count;
+  return Math.ceil(raw * count - 1e-9);
+}
+
+/**
+ * Expected value of buying `count` contracts at `priceCents` when the contract
+ * pays 100¢ with probability `prob`. All amounts are in cents.
+ */
+export function computeNetEv({ prob, priceCents, count = 1, schedule = "taker", rounding = "order" }) {
+  if (prob === null || prob === undefined || !(priceCents > 0) || !(priceCents < 100)) {
+    return null;
+  }
+
+  const feeCents = tradingFeeCents(priceCents, count, { schedule, rounding });
+  const feePerContractCents = feeCents / count;
+  const grossEvPerContractCents = prob * 100 - priceCents;
+  const netEvPerContractCents = grossEvPerContractCents - feePerContractCents;
+
+  return {
+    prob,
+    priceCents,
+    count,
+    feeCents,
+    feePerContractCents,
+    grossEvPerContractCents,
+    netEvPerContractCents,
+    netEvCents: netEvPerContractCents * count,
+    costCents: priceCents * count + feeCents,
+    breakEvenProb: (priceCents + feePerContractCents) / 100
+  };
+}
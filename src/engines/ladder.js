@@ -0,0 +1,82 @@
+import { parseStrikePrice, parseExpiration } from "../data/kalshi.js";
+import { estimateVolPerMinute } from "../indicators/volatility.js";
+import { priceStrikeMarket } from "./strikeProbability.js";
+import { computeNetEv } from "./fees.js";
+import { clock } from "../utils.js";
+
+function validPrice(cents) {
+  return Number.isFinite(cents) && cents > 0 && cents < 100 ? cents : null;
+}
+
+function evaluateSide({ prob, ask, bid, feeSchedule }) {
+  const net = ask === null ? null : computeNetEv({ prob, priceCents: ask, schedule: feeSchedule });
+  if (!net) return { ask, bid, prob, fee: null, ev: null };
+  // Expected value per contract in cents: payout 100¢ with probability prob, less fees
+  return { ask, bid, prob, fee: net.feeCents, ev: net.netEvPerContractCents };
+}
+
+/**
+ * Price every strike in an event and rank them by the best expected value
+ * per contract (cents, after fees) across YES and NO.
+ */
+export function evaluateLadder(markets, {
+  spot,
+  candles,
+  now = clock.now(),
+  estimator,
+  lookback,
+  minSigmaPerMinute = 0,
+  minProbability = 0,
+  feeSchedule = "taker",
+  settlement = null
+} = {}) {
+  if (!markets?.length || !spot) return [];
+
+  const estimated = estimateVolPerMinute(candles, { estimator, lookback });
+  const sigmaPerMinute = estimated === null ? null : Math.max(estimated, minSigmaPerMinute);
+
+  const rows = [];
+  for (const market of markets) {
+    const strike = parseStrikePrice(market);
+    const expiration = parseExpiration(market);
+    if (!strike || !expiration || expiration.getTime() <= now) continue;
+
+    const model = priceStrikeMarket({ spot, strike, expiration, now, sigmaPerMinute, settlement });
+
+    const yes = evaluateSide({ prob: model.probUp, ask: validPrice(market.yes_ask), bid: validPrice(market.yes_bid), feeSchedule });
+    const no = evaluateSide({ prob: model.probDown, ask: validPrice(market.no_ask), bid: validPrice(market.no_bid), feeSchedule });
+
+    const eligible = [
+      { side: "yes", ...yes },
+      { side: "no", ...no }
+    ].filter((s) => s.ev !== null && s.prob >= minProbability);
+    const best = eligible.sort((a, b) => b.ev - a.ev)[0] || null;
+
+    rows.push({
+      market,
+      ticker: market.ticker,
+      strike,
+      expiration,
+      minutesLeft: model.minutesLeft,
+      probUp: model.probUp,
+      sigmaPerMinute: model.sigmaPerMinute,
+      yes,
+      no,
+      bestSide: best ? best.side : null,
+      bestEv: best ? best.ev : null
+    });
+  }
+
+  return rows.sort((a, b) => {
+    if (a.bestEv === null) return b.bestEv === null ? 0 : 1;
+    if (b.bestEv === null) return -1;
+    return b.bestEv - a.bestEv;
+  });
+}
+
+export function formatLadderRow(row) {
+  const fmt = (s) => (s.ask === null ? "  -" : `${String(s.ask).padStart(3)}¢ ev ${s.ev >= 0 ? "+" : ""}${s.ev.toFixed(1)}`);
+  const prob = row.probUp === null ? "-" : `${(row.probUp * 100).toFixed(1)}%`;
+  const best = row.bestSide ? `${row.bestSide.toUpperCase()} ${row.bestEv >= 0 ? "+" : ""}${row.bestEv.toFixed(1)}¢` : "none";
+  return `$${row.strike} | P(above) ${prob} | YES ${fmt(row.yes)} | NO ${fmt(row.no)} | best ${best}`;
+}
@@ -1,3 +1,8 @@
+import { CONFIG } from "../config.js";
+import { computeVwapSeries, computeVwapSlope, countVwapCrosses } from "../indicators/vwap.js";
+import { computeVolumeBaseline } from "../indicators/volume.js";
+import { clock } from "../utils.js";
+
 export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRecent, volumeAvg }) {
   if (price === null || vwap === null || vwapSlope === null) return { regime: "CHOP", reason: "missing_inputs" };
 
@@ -22,3 +27,78 @@ export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRec
 
   return { regime: "RANGE", reason: "default" };
 }
+
+// detectRegime() inputs from 1-minute candles
+export function computeRegimeInputs(candles, {
+  price = null,
+  slopeLookback = CONFIG.vwapSlopeLookbackMinutes,
+  crossLookback = CONFIG.vwapCrossLookbackMinutes,
+  volumeRecent = CONFIG.volumeRecentMinutes,
+  volumeLookback = CONFIG.volumeAvgMinutes
+} = {}) {
+  if (!Array.isArray(candles) || candles.length === 0) {
+    return { price, vwap: null, vwapSlope: null, vwapCrossCount: null, volumeRecent: null, volumeAvg: null };
+  }
+
+  const vwapSeries = computeVwapSeries(candles);
+  const volume = computeVolumeBaseline(candles, { recent: volumeRecent, lookback: volumeLookback });
+  return {
+    price: price ?? candles[candles.length - 1].close,
+    vwap: vwapSeries[vwapSeries.length - 1] ?? null,
+    vwapSlope: computeVwapSlope(vwapSeries, slopeLookback),
+    vwapCrossCount: countVwapCrosses(candles, vwapSeries, crossLookback),
+    volumeRecent: volume.volumeRecent,
+    volumeAvg: volume.volumeAvg
+  };
+}
+
+// Hysteresis: a new regime has to be read `confirmations` times in a row before
+// it replaces the current one, so a single tick across the VWAP doesn't flip it
+export function createRegimeTracker({ confirmations = CONFIG.regimeConfirmations, historySize = 20 } = {}) {
+  let current = null;
+  let pending = null;
+  let pendingCount = 0;
+  const history = [];
+
+  const update = (reading, at = clock.now()) => {
+    let changed = false;
+
+    if (!current || reading.regime === current.regime) {
+      changed = !current;
+      current = { regime: reading.regime, reason: reading.reason, since: current?.since ?? at };
+      pending = null;
+      pendingCount = 0;
+    } else {
+      pendingCount = pending === reading.regime ? pendingCount + 1 : 1;
+      pending = reading.regime;
+      if (pendingCount >= confirmations) {
+        current = { regime: reading.regime, reason: reading.reason, since: at };
+        pending = null;
+        pendingCount = 0;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      history.push({ regime: current.regime, reason: current.reason, at });
+      if (history.length > historySize) history.shift();
+    }
+
+    return { ...current, raw: reading.regime, pending, pendingCount, changed };
+  };
+
+  // Drop the current and pending regime (history stays); the next reading takes
+  // over at once. Called when a new event window opens.
+  const reset = () => {
+    current = null;
+    pending = null;
+    pendingCount = 0;
+  };
+
+  return {
+    update,
+    reset,
+    current: () => current,
+    history: () => history.slice()
+  };
+}
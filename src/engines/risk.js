@@ -0,0 +1,116 @@
+import { tradingFeeCents } from "./fees.js";
+import { clock } from "../utils.js";
+
+// Account-level limits checked before every order, on top of per-trade sizing
+export const RISK_DEFAULTS = {
+  maxDailyLoss: 25,            // Stop for the UTC day after losing $X realized
+  maxWeeklyLoss: 60,           // Stop for the UTC week (from Monday) after losing $X realized
+  maxEventExposure: 20,        // Max $ at risk (cost + fees of open positions) in one event
+  maxTotalExposure: 40,        // Max $ at risk across all open positions
+  maxConsecutiveLosses: 3,     // Pause after this many losses in a row...
+  cooldownMinutes: 180,        // ...for this long after the last one
+  maxTradesPerDay: 12          // Filled orders per UTC day
+};
+
+const DAY_MS = 86_400_000;
+
+function dollars(cents) {
+  return `$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+function startOfUtcDay(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+function startOfUtcWeek(ms) {
+  const day = startOfUtcDay(ms);
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;  // Monday = 0
+  return day - weekday * DAY_MS;
+}
+
+/**
+ * Realized PnL, exposure, streak and trade counts from trade journal entries.
+ * Entries are journal records: {time, eventTicker, filled, costCents, feeCents, outcome}.
+ */
+export function riskState(entries, now = clock.now()) {
+  const traded = entries.filter((e) => e.filled > 0);
+  const settled = traded
+    .filter((e) => e.outcome)
+    .sort((a, b) => Date.parse(a.outcome.settledAt) - Date.parse(b.outcome.settledAt));
+  const open = traded.filter((e) => !e.outcome);
+
+  const realizedSince = (start) => settled
+    .filter((e) => Date.parse(e.outcome.settledAt) >= start)
+    .reduce((sum, e) => sum + e.outcome.pnlCents, 0);
+
+  const exposureByEvent = {};
+  for (const e of open) {
+    exposureByEvent[e.eventTicker] = (exposureByEvent[e.eventTicker] || 0) + e.costCents + e.feeCents;
+  }
+
+  let lossStreak = 0;
+  for (let i = settled.length - 1; i >= 0 && !settled[i].outcome.won; i -= 1) lossStreak += 1;
+
+  return {
+    dailyPnlCents: realizedSince(startOfUtcDay(now)),
+    weeklyPnlCents: realizedSince(startOfUtcWeek(now)),
+    exposureByEvent,
+    totalExposureCents: Object.values(exposureByEvent).reduce((a, b) => a + b, 0),
+    lossStreak,
+    lastLossAt: lossStreak > 0 ? Date.parse(settled[settled.length - 1].outcome.settledAt) : null,
+    tradesToday: traded.filter((e) => Date.parse(e.time) >= startOfUtcDay(now)).length
+  };
+}
+
+/**
+ * Check an order against the account limits.
+ * Exposure caps shrink the order to fit when they can; every other limit blocks it.
+ * Returns {ok: true, count, state} or {ok: false, reason, message, state}.
+ */
+export function checkRisk({ entries, order, now = clock.now(), limits = RISK_DEFAULTS, killSwitch = null }) {
+  const state = riskState(entries, now);
+  const block = (reason, message) => ({ ok: false, reason, message, state });
+
+  if (killSwitch) {
+    return block("kill_switch", `🛑 KILL SWITCH: ${killSwitch}. Not trading.`);
+  }
+
+  if (-state.dailyPnlCents >= limits.maxDailyLoss * 100) {
+    return block("daily_loss_limit", `🛑 DAILY LOSS LIMIT: ${dollars(state.dailyPnlCents)} lost today (limit $${limits.maxDailyLoss}). Not trading until 00:00 UTC.`);
+  }
+
+  if (-state.weeklyPnlCents >= limits.maxWeeklyLoss * 100) {
+    return block("weekly_loss_limit", `🛑 WEEKLY LOSS LIMIT: ${dollars(state.weeklyPnlCents)} lost this week (limit $${limits.maxWeeklyLoss}). Not trading until Monday 00:00 UTC.`);
+  }
+
+  if (state.lossStreak >= limits.maxConsecutiveLosses) {
+    const resumeAt = state.lastLossAt + limits.cooldownMinutes * 60_000;
+    if (now < resumeAt) {
+      return block("loss_streak_cooldown", `🧊 COOLDOWN: ${state.lossStreak} losses in a row. Resuming at ${new Date(resumeAt).toISOString()}.`);
+    }
+  }
+
+  if (state.tradesToday >= limits.maxTradesPerDay) {
+    return block("max_trades_per_day", `🛑 MAX TRADES: ${state.tradesToday} trades today (limit ${limits.maxTradesPerDay}).`);
+  }
+
+  // Exposure: what the order can add without breaking either cap
+  const eventExposure = state.exposureByEvent[order.eventTicker] || 0;
+  const headroom = Math.min(
+    limits.maxEventExposure * 100 - eventExposure,
+    limits.maxTotalExposure * 100 - state.totalExposureCents
+  );
+  const costOf = (count) => order.priceCents * count + tradingFeeCents(order.priceCents, count);
+
+  let count = order.count;
+  while (count > 0 && costOf(count) > headroom) count -= 1;
+
+  if (count === 0) {
+    const which = limits.maxEventExposure * 100 - eventExposure <= limits.maxTotalExposure * 100 - state.totalExposureCents
+      ? `${dollars(eventExposure)} already at risk in ${order.eventTicker} (limit $${limits.maxEventExposure})`
+      : `${dollars(state.totalExposureCents)} already at risk (limit $${limits.maxTotalExposure})`;
+    return block("max_exposure", `🛑 EXPOSURE LIMIT: ${which}.`);
+  }
+
+  return { ok: true, count, state };
+}
@@ -0,0 +1,105 @@
+import { clock } from "../utils.js";
+
+// Kalshi crypto contracts settle on the average of the CF Benchmarks real-time
+// index over the last 60 seconds before close, sampled once per second.
+export const SETTLEMENT_WINDOWS = {
+  KXBTCD: { windowSeconds: 60, sampleIntervalSeconds: 1 },
+  KXBTC: { windowSeconds: 60, sampleIntervalSeconds: 1 },
+  KXETHD: { windowSeconds: 60, sampleIntervalSeconds: 1 }
+};
+
+export function getSettlementWindow(seriesTicker, overrideSeconds = null) {
+  const base = SETTLEMENT_WINDOWS[seriesTicker] || { windowSeconds: 60, sampleIntervalSeconds: 1 };
+  return overrideSeconds ? { ...base, windowSeconds: overrideSeconds } : base;
+}
+
+/**
+ * Reduce "settlement average > strike" to a single-price strike question.
+ *
+ * With N samples in the window, k already observed (sum S_obs) and m = N - k
+ * still to come, the average is above K iff the mean of the remaining samples is
+ * above K' = (N*K - S_obs) / m. For a driftless random walk the mean of m
+ * samples spaced dt apart, the first one T0 + dt from now, has the variance of
+ * a single price observed after T0 + dt * (m + 1)(2m + 1) / (6m), so it can be
+ * priced with the ordinary lognormal strike model at that effective horizon.
+ */
+export function settlementTerms({
+  spot = null,
+  strike,
+  secondsToClose,
+  windowSeconds = 60,
+  sampleIntervalSeconds = 1,
+  samples = []
+}) {
+  const total = Math.max(1, Math.round(windowSeconds / sampleIntervalSeconds));
+  const observed = samples.slice(0, total);
+  const remaining = total - observed.length;
+  const observedSum = observed.reduce((a, b) => a + b, 0);
+  const expectedAverage = spot === null ? null : (observedSum + remaining * spot) / total;
+
+  if (remaining === 0) {
+    const average = observedSum / total;
+    return { total, observed: observed.length, remaining, expectedAverage: average, decided: average > strike ? 1 : 0 };
+  }
+
+  const adjustedStrike = (total * strike - observedSum) / remaining;
+  if (adjustedStrike <= 0) {
+    return { total, observed: observed.length, remaining, expectedAverage, decided: 1 };
+  }
+
+  const windowStartSeconds = Math.max(0, (secondsToClose ?? 0) - windowSeconds);
+  const effectiveSeconds = windowStartSeconds
+    + sampleIntervalSeconds * ((remaining + 1) * (2 * remaining + 1)) / (6 * remaining);
+
+  return {
+    total,
+    observed: observed.length,
+    remaining,
+    expectedAverage,
+    decided: null,
+    adjustedStrike,
+    effectiveMinutes: effectiveSeconds / 60
+  };
+}
+
+/**
+ * Collects the index samples inside the settlement window on a fixed clock:
+ * one per interval, each the last price seen by the end of that interval.
+ * Feed it every price update, including ones from before the window opens,
+ * so quiet intervals carry the previous price forward instead of going missing.
+ */
+export function createSettlementSampler({ closeTime, windowSeconds = 60, sampleIntervalSeconds = 1 }) {
+  const closeMs = closeTime instanceof Date ? closeTime.getTime() : closeTime;
+  const startMs = closeMs - windowSeconds * 1000;
+  const intervalMs = sampleIntervalSeconds * 1000;
+  const total = Math.max(1, Math.round(windowSeconds / sampleIntervalSeconds));
+  const buckets = new Map();  // interval index -> last price seen in it
+  let before = null;          // { time, price } of the last update before the window
+
+  return {
+    closeMs,
+    add(price, time = clock.now()) {
+      if (!(price > 0) || time >= closeMs) return;
+      if (time < startMs) {
+        if (!before || time >= before.time) before = { time, price };
+        return;
+      }
+      buckets.set(Math.floor((time - startMs) / intervalMs), price);
+    },
+    // One sample per completed interval; the current interval is still open.
+    // Intervals before the first update seen take that first price.
+    samples(now = clock.now()) {
+      const completed = Math.min(total, Math.floor((now - startMs) / intervalMs));
+      const seen = [...buckets.keys()].filter((i) => i < completed).sort((a, b) => a - b);
+      let last = before ? before.price : seen.length ? buckets.get(seen[0]) : null;
+      if (last === null || completed <= 0) return [];
+
+      const out = [];
+      for (let i = 0; i < completed; i += 1) {
+        if (buckets.has(i)) last = buckets.get(i);
+        out.push(last);
+      }
+      return out;
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import { clamp } from "../utils.js";
+import { computeNetEv } from "./fees.js";
+
+/**
+ * Kelly fraction for a binary contract that costs `costCents` (price + fee)
+ * and pays 100¢ with probability `prob`: f* = (p - c) / (1 - c).
+ */
+export function kellyFraction(prob, costCents) {
+  if (prob === null || prob === undefined || !(costCents > 0) || !(costCents < 100)) return 0;
+  const c = costCents / 100;
+  return Math.max(0, (prob - c) / (1 - c));
+}
+
+function explainSizing(result, kellyMultiplier) {
+  const parts = [];
+  if (result.edgeCents !== undefined) parts.push(`net edge ${result.edgeCents.toFixed(1)}¢`);
+  if (result.kelly > 0) parts.push(`Kelly ${(result.kelly * 100).toFixed(1)}% x ${kellyMultiplier}`);
+  if (result.caps.length) parts.push(`capped by ${result.caps.join(", ")}`);
+  parts.push(result.contracts > 0
+    ? `${result.contracts} contracts (${(result.appliedFraction * 100).toFixed(1)}% of balance)`
+    : `no trade (${result.reason})`);
+  return { ...result, explanation: parts.join(" | ") };
+}
+
+/**
+ * Size an order with fractional Kelly, capped per trade and per event.
+ * Balances and exposures are in cents; pct options are 0-100.
+ */
+export function sizePosition({
+  prob,
+  priceCents,
+  balanceCents,
+  eventExposureCents = 0,
+  feeSchedule = "taker",
+  kellyMultiplier = 0.25,
+  maxTradePct = 10,
+  maxEventPct = 20,
+  minEdgeCents = 0,
+  minContracts = 1,
+  maxContracts = 100
+}) {
+  const base = { contracts: 0, prob, priceCents, kelly: 0, appliedFraction: 0, caps: [] };
+
+  if (!(balanceCents > 0)) return explainSizing({ ...base, reason: "no_balance" }, kellyMultiplier);
+
+  const perContract = computeNetEv({ prob, priceCents, schedule: feeSchedule, rounding: "contract" });
+  if (!perContract) return explainSizing({ ...base, reason: "invalid_price" }, kellyMultiplier);
+
+  const costCents = perContract.priceCents + perContract.feePerContractCents;
+  const edgeCents = perContract.netEvPerContractCents;
+  if (edgeCents <= minEdgeCents) {
+    return explainSizing({ ...base, costCents, edgeCents, reason: `edge_below_${minEdgeCents}c` }, kellyMultiplier);
+  }
+
+  const kelly = kellyFraction(prob, costCents);
+  const caps = [];
+  let stakeCents = balanceCents * kelly * kellyMultiplier;
+
+  const tradeCapCents = balanceCents * (maxTradePct / 100);
+  if (stakeCents > tradeCapCents) {
+    stakeCents = tradeCapCents;
+    caps.push("per_trade");
+  }
+
+  const eventRoomCents = Math.max(0, balanceCents * (maxEventPct / 100) - eventExposureCents);
+  if (stakeCents > eventRoomCents) {
+    stakeCents = eventRoomCents;
+    caps.push("per_event");
+  }
+
+  let contracts = Math.floor(stakeCents / costCents);
+  if (contracts > maxContracts) {
+    contracts = maxContracts;
+    caps.push("max_contracts");
+  }
+
+  // Round a sub-minimum Kelly stake up only if the minimum still fits the caps
+  if (contracts < minContracts) {
+    const minCost = minContracts * costCents;
+    if (minCost <= Math.min(tradeCapCents, eventRoomCents)) {
+      contracts = minContracts;
+      caps.push("min_contracts");
+    }
+  }
+
+  return explainSizing({
+    ...base,
+    contracts,
+    costCents,
+    edgeCents,
+    kelly,
+    appliedFraction: clamp((contracts * costCents) / balanceCents, 0, 1),
+    stakeCents: contracts * costCents,
+    caps,
+    reason: contracts > 0 ? "sized" : "below_min_contracts"
+  }, kellyMultiplier);
+}
@@ -0,0 +1,77 @@
+import { clamp, clock } from "../utils.js";
+import { estimateVolPerMinute, scaleVol } from "../indicators/volatility.js";
+import { settlementTerms } from "./settlement.js";
+
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+export function normalCdf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return 0.5 * (1 + sign * erf);
+}
+
+/**
+ * P(S_T > K) for a driftless lognormal price, i.e. the value of a cash-or-nothing
+ * digital call with zero rates. Time is in minutes, sigma is per-minute log vol.
+ */
+export function probabilityAboveStrike({ spot, strike, minutesLeft, sigmaPerMinute }) {
+  if (!(spot > 0) || !(strike > 0)) return null;
+
+  const sigma = sigmaPerMinute !== null && sigmaPerMinute !== undefined ? sigmaPerMinute : 0;
+  const t = Math.max(0, minutesLeft ?? 0);
+  const stdev = sigma * Math.sqrt(t);
+
+  if (!(stdev > 0)) {
+    if (spot === strike) return 0.5;
+    return spot > strike ? 1 : 0;
+  }
+
+  const d2 = (Math.log(spot / strike) - 0.5 * stdev * stdev) / stdev;
+  return clamp(normalCdf(d2), 0, 1);
+}
+
+export function priceStrikeMarket({
+  spot,
+  strike,
+  expiration,
+  candles,
+  now = clock.now(),
+  estimator,
+  lookback,
+  minSigmaPerMinute = 0,
+  sigmaPerMinute: knownSigma,
+  settlement = null
+}) {
+  const minutesLeft = expiration ? Math.max(0, (expiration.getTime() - now) / 60_000) : null;
+  // Callers pricing many strikes at once can pass a precomputed sigma
+  const estimated = knownSigma !== undefined ? knownSigma : estimateVolPerMinute(candles, { estimator, lookback });
+  const sigmaPerMinute = estimated === null ? null : Math.max(estimated, minSigmaPerMinute);
+
+  // settlement = {windowSeconds, sampleIntervalSeconds, samples}: price the
+  // averaged settlement value instead of the spot at close
+  const terms = settlement && minutesLeft !== null
+    ? settlementTerms({ spot, strike, secondsToClose: minutesLeft * 60, ...settlement })
+    : null;
+
+  let probUp = null;
+  if (terms && terms.decided !== null) {
+    probUp = terms.decided;
+  } else if (minutesLeft !== null && sigmaPerMinute !== null) {
+    probUp = terms
+      ? probabilityAboveStrike({ spot, strike: terms.adjustedStrike, minutesLeft: terms.effectiveMinutes, sigmaPerMinute })
+      : probabilityAboveStrike({ spot, strike, minutesLeft, sigmaPerMinute });
+  }
+  const sigmaToExpiry = scaleVol(sigmaPerMinute, minutesLeft);
+
+  return {
+    probUp,
+    probDown: probUp === null ? null : 1 - probUp,
+    minutesLeft,
+    sigmaPerMinute,
+    settlement: terms,
+    sigmaToExpiry,
+    expectedMove: sigmaToExpiry === null ? null : sigmaToExpiry * spot
+  };
+}
@@ -19,9 +19,12 @@ import { computeSessionVwap, computeVwapSeries } from "./indicators/vwap.js";
 import { computeRsi, sma, slopeLast } from "./indicators/rsi.js";
 import { computeMacd } from "./indicators/macd.js";
 import { computeHeikenAshi, countConsecutive } from "./indicators/heikenAshi.js";
-import { detectRegime } from "./engines/regime.js";
-import { scoreDirection, applyTimeAwareness } from "./engines/probability.js";
-import { sleep, formatNumber, formatPct } from "./utils.js";
+import { detectRegime, computeRegimeInputs, createRegimeTracker } from "./engines/regime.js";
+import { predict, strategyClock } from "./strategies/index.js";
+import { createIndicatorCache } from "./indicators/index.js";
+import { sleep, formatNumber, formatPct, clock } from "./utils.js";
+import { createKalshiFeed } from "./data/kalshiWs.js";
+import { createStreamingPriceSource, TA_CANDLES } from "./data/coinbaseWs.js";
 import readline from "node:readline";
 
 const ANSI = {
@@ -61,7 +64,7 @@ function fmtTimeLeft(mins) {
   return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
 }
 
-function fmtEtTime(now = new Date()) {
+function fmtEtTime(now = clock.date()) {
   try {
     return new Intl.DateTimeFormat("en-US", {
       timeZone: "America/New_York",
@@ -75,16 +78,46 @@ function fmtEtTime(now = new Date()) {
   }
 }
 
+async function startBookFeed() {
+  if (!CONFIG.kalshi.useWebSocket) return null;
+  const feed = createKalshiFeed();
+  feed.on("error", (err) => console.error(`Kalshi WebSocket error: ${err.message}`));
+  try {
+    await feed.connect();
+    return feed;
+  } catch (err) {
+    console.log(`Kalshi WebSocket unavailable (${err.message}), using REST orderbooks`);
+    return null;
+  }
+}
+
+async function startPriceSource() {
+  const rest = { fetchSpotPrice, fetchTicker, fetchCandles };
+  if (!CONFIG.coinbase.useWebSocket) return rest;
+  try {
+    return await createStreamingPriceSource();
+  } catch (err) {
+    console.log(`Coinbase WebSocket unavailable (${err.message}), polling REST`);
+    return rest;
+  }
+}
+
 async function main() {
   console.log("Starting Kalshi BTC Tool (Watch Mode)...\n");
 
+  const prices = await startPriceSource();
+  const feed = await startBookFeed();
+  let bookSub = null;
+  let bookTicker = null;
+  const regimes = createRegimeTracker();
+
   while (true) {
     try {
       // Fetch price data
       const [spotData, ticker, candles] = await Promise.all([
-        fetchSpotPrice().catch(e => ({ error: e.message })),
-        fetchTicker().catch(e => ({ error: e.message })),
-        fetchCandles({ granularity: 60, limit: 240 }).catch(() => [])
+        prices.fetchSpotPrice().catch(e => ({ error: e.message })),
+        prices.fetchTicker().catch(e => ({ error: e.message })),
+        prices.fetchCandles({ granularity: 60, limit: TA_CANDLES }).catch(() => [])
       ]);
 
       const currentPrice = spotData.price || ticker.price || null;
@@ -94,9 +127,20 @@ async function main() {
       const nextEventMarkets = getNextEventMarkets(markets);
       const bestMarket = pickBestMarket(nextEventMarkets, currentPrice);
 
-      // TA
+      // Live orderbook for the selected market
+      if (feed && bestMarket && bestMarket.ticker !== bookTicker) {
+        if (bookSub !== null) feed.unsubscribe(bookSub);
+        bookTicker = bestMarket.ticker;
+        bookSub = feed.subscribe(["orderbook_delta"], [bookTicker]);
+      }
+      const liveBook = feed && bookTicker ? feed.getOrderBook(bookTicker) : null;
+      const book = liveBook ? summarizeOrderBook(liveBook) : null;
+
+      // TA: kept up to date by the stream when there is one, otherwise computed from the candles
       let ta = null;
-      if (candles.length > 0) {
+      if (prices.getIndicators && prices.feed.isLive()) {
+        ta = prices.getIndicators();
+      } else if (candles.length > 0) {
         const closes = candles.map(c => c.close);
         const vwapSeries = computeVwapSeries(candles);
         const vwapNow = vwapSeries[vwapSeries.length - 1] || null;
@@ -108,23 +152,47 @@ async function main() {
         ta = { vwap: vwapNow, rsi: rsiNow, macd, heikenAshi: consec };
       }
 
+      // Regime, held until a change is confirmed over several polls
+      const regimeInputs = candles.length > 0 ? computeRegimeInputs(candles, { price: currentPrice }) : null;
+      const regime = regimeInputs ? regimes.update(detectRegime(regimeInputs)) : null;
+      const regimeHistory = regimes.history().slice(-5)
+        .map(h => `${fmtEtTime(new Date(h.at)).slice(0, 5)} ${h.regime}`)
+        .join(" → ");
+
       // Market info
       let expiration = null;
       let timeLeftMin = null;
       if (bestMarket) {
         expiration = parseExpiration(bestMarket);
         if (expiration) {
-          timeLeftMin = (expiration.getTime() - Date.now()) / 60000;
+          timeLeftMin = (expiration.getTime() - clock.now()) / 60000;
         }
       }
 
+      // Configured strategy's call on the selected market
+      const indicators = createIndicatorCache(candles);
+      const wilder = candles.length > 0 ? indicators.get("wilderRsi") : null;
+      const prediction = bestMarket && currentPrice
+        ? predict(CONFIG.strategy, {
+          indicators,
+          market: bestMarket,
+          book,
+          candles,
+          spot: currentPrice,
+          clock: strategyClock(expiration)
+        })
+        : null;
+      const call = prediction?.side
+        ? `${prediction.side === "yes" ? ANSI.green : ANSI.red}${prediction.side.toUpperCase()} ${formatPct(prediction.probability, 0)}${ANSI.reset}`
+        : `${ANSI.gray}no call${ANSI.reset}`;
+
       // Build display
       const lines = [
         sepLine("═"),
         `${ANSI.white}KALSHI BTC TOOL${ANSI.reset}  |  ${fmtEtTime()}`,
         sepLine(),
         "",
-        `BTC Price:       ${ANSI.green}$${formatNumber(currentPrice, 2)}${ANSI.reset}  (Coinbase)`,
+        `BTC Price:       ${ANSI.green}$${formatNumber(currentPrice, 2)}${ANSI.reset}  (Coinbase${prices.feed?.isLive() ? " live" : ""})`,
         "",
         sepLine(),
         "",
@@ -133,15 +201,28 @@ async function main() {
         bestMarket ? `Time Left:       ${fmtTimeLeft(timeLeftMin)}` : "",
         bestMarket ? `YES Price:       ${bestMarket.yes_price}¢` : "",
         bestMarket ? `NO Price:        ${100 - (bestMarket.yes_price || 0)}¢` : "",
+        book ? `Book (live):     YES bid ${book.bestYesBid ?? "-"}¢ x${book.yesLiquidity} | NO bid ${book.bestNoBid ?? "-"}¢ x${book.noLiquidity}` : "",
         "",
         sepLine(),
         "",
         ta ? `VWAP:            $${formatNumber(ta.vwap, 2)}` : "",
-        ta ? `RSI:             ${formatNumber(ta.rsi, 1)}` : "",
+        ta ? `RSI:             ${formatNumber(ta.rsi, 1)}${wilder ? `  (Wilder ${formatNumber(wilder.rsi, 1)}, MA${CONFIG.rsiMaPeriod} ${formatNumber(wilder.ma, 1)})` : ""}` : "",
         ta?.macd ? `MACD Hist:       ${formatNumber(ta.macd.hist, 2)}` : "",
         ta?.heikenAshi ? `Heiken Ashi:     ${ta.heikenAshi.color} x${ta.heikenAshi.count}` : "",
         "",
         sepLine(),
+        "",
+        regime ? `Regime:          ${regime.regime} (${regime.reason})${regime.pending ? `  ${ANSI.yellow}→ ${regime.pending} ${regime.pendingCount}/${CONFIG.regimeConfirmations}${ANSI.reset}` : ""}` : "",
+        regimeInputs ? `VWAP Slope:      ${formatNumber(regimeInputs.vwapSlope, 2)}/min | Crosses (${CONFIG.vwapCrossLookbackMinutes}m): ${regimeInputs.vwapCrossCount ?? "-"}` : "",
+        regimeInputs ? `Volume:          ${formatNumber(regimeInputs.volumeRecent, 2)} (${CONFIG.volumeRecentMinutes}m avg) vs ${formatNumber(regimeInputs.volumeAvg, 2)} (${CONFIG.volumeAvgMinutes}m avg)` : "",
+        regimeHistory ? `${ANSI.gray}History:         ${regimeHistory}${ANSI.reset}` : "",
+        "",
+        sepLine(),
+        "",
+        prediction ? `Strategy:        ${prediction.strategy}  ${call}` : "",
+        prediction ? `${ANSI.gray}                 ${prediction.explanation.join(" | ")}${ANSI.reset}` : "",
+        "",
+        sepLine(),
         `${ANSI.dim}${ANSI.gray}Next update in ${CONFIG.pollIntervalMs / 1000}s...${ANSI.reset}`
       ].filter(Boolean);
 
@@ -0,0 +1,25 @@
+export function trueRange(candle, prevClose = null) {
+  if (prevClose === null) return candle.high - candle.low;
+  return Math.max(candle.high - candle.low, Math.abs(candle.high - prevClose), Math.abs(candle.low - prevClose));
+}
+
+// Wilder's Average True Range for every candle; null until `period` candles
+export function computeAtrSeries(candles, period = 14) {
+  if (!Array.isArray(candles)) return [];
+  const series = candles.map(() => null);
+  if (candles.length < period) return series;
+
+  const ranges = candles.map((c, i) => trueRange(c, i > 0 ? candles[i - 1].close : null));
+  let atr = ranges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  series[period - 1] = atr;
+  for (let i = period; i < candles.length; i += 1) {
+    atr = (atr * (period - 1) + ranges[i]) / period;
+    series[i] = atr;
+  }
+  return series;
+}
+
+export function computeAtr(candles, period = 14) {
+  const series = computeAtrSeries(candles, period);
+  return series.length ? series[series.length - 1] : null;
+}
@@ -0,0 +1,21 @@
+// Bollinger Bands over the last `period` closes (population standard deviation)
+// percentB: 0 at the lower band, 1 at the upper band
+export function computeBollinger(closes, period = 20, stdDevs = 2) {
+  if (!Array.isArray(closes) || closes.length < period) return null;
+
+  const window = closes.slice(closes.length - period);
+  const middle = window.reduce((a, b) => a + b, 0) / period;
+  const variance = window.reduce((sum, x) => sum + (x - middle) ** 2, 0) / period;
+  const deviation = Math.sqrt(variance);
+  const upper = middle + stdDevs * deviation;
+  const lower = middle - stdDevs * deviation;
+  const last = closes[closes.length - 1];
+
+  return {
+    middle,
+    upper,
+    lower,
+    bandwidth: middle === 0 ? null : (upper - lower) / middle,
+    percentB: upper === lower ? 0.5 : (last - lower) / (upper - lower)
+  };
+}
@@ -0,0 +1,31 @@
+import { createEma } from "./streaming.js";
+
+// EMA after each value, seeded with the first value like the MACD lines; null until `period` values
+export function computeEmaSeries(values, period) {
+  if (!Array.isArray(values)) return [];
+  const ema = createEma(period);
+  return values.map((x) => ema.update(x));
+}
+
+// Fast vs slow EMA: which is on top and whether they crossed on the last value
+export function computeEmaCross(values, fast, slow) {
+  const fastSeries = computeEmaSeries(values, fast);
+  const slowSeries = computeEmaSeries(values, slow);
+  const n = values?.length ?? 0;
+  if (n < 2 || fastSeries[n - 1] === null || slowSeries[n - 1] === null) return null;
+
+  const spread = fastSeries[n - 1] - slowSeries[n - 1];
+  const prevSpread = fastSeries[n - 2] === null || slowSeries[n - 2] === null ? null : fastSeries[n - 2] - slowSeries[n - 2];
+
+  let cross = null;
+  if (prevSpread !== null && prevSpread <= 0 && spread > 0) cross = "bullish";
+  if (prevSpread !== null && prevSpread >= 0 && spread < 0) cross = "bearish";
+
+  return {
+    fast: fastSeries[n - 1],
+    slow: slowSeries[n - 1],
+    spread,
+    trend: spread > 0 ? "up" : spread < 0 ? "down" : "flat",
+    cross
+  };
+}
@@ -0,0 +1,141 @@
+import { CONFIG } from "../config.js";
+import { computeRsi, computeWilderRsiSeries, computeRsiMa, slopeLast } from "./rsi.js";
+import { computeMacd } from "./macd.js";
+import { computeSessionVwap, computeVwapSeries, computeVwapSlope, countVwapCrosses } from "./vwap.js";
+import { computeHeikenAshi, countConsecutive } from "./heikenAshi.js";
+import { computeEmaCross } from "./ema.js";
+import { computeAtr } from "./atr.js";
+import { computeBollinger } from "./bollinger.js";
+import { computeStochastic } from "./stochastic.js";
+import { computeVolumeBaseline, computeObvSeries } from "./volume.js";
+import { estimateVolPerMinute } from "./volatility.js";
+
+// Indicators by name: compute(candles, params) with params merged over defaults.
+// Strategies ask for them through an indicator cache so each one is computed
+// once per candle set, whichever strategy asks first.
+
+const registry = new Map();
+
+export function registerIndicator({ name, defaults = {}, compute }) {
+  if (!name || typeof compute !== "function") {
+    throw new Error("An indicator needs a name and a compute() function");
+  }
+  registry.set(name, { name, defaults, compute });
+}
+
+export function listIndicators() {
+  return [...registry.values()].map(({ name, defaults }) => ({ name, defaults }));
+}
+
+export function computeIndicator(name, candles, params = {}) {
+  const indicator = registry.get(name);
+  if (!indicator) {
+    throw new Error(`Unknown indicator "${name}" (available: ${[...registry.keys()].join(", ")})`);
+  }
+  return indicator.compute(candles, { ...indicator.defaults, ...params });
+}
+
+// Memoized computeIndicator() over one candle array
+export function createIndicatorCache(candles) {
+  const cache = new Map();
+  return {
+    candles,
+    get(name, params = {}) {
+      const key = `${name}:${JSON.stringify(params)}`;
+      if (!cache.has(key)) cache.set(key, computeIndicator(name, candles, params));
+      return cache.get(key);
+    }
+  };
+}
+
+const closesOf = (candles) => candles.map((c) => c.close);
+
+registerIndicator({
+  name: "rsi",
+  defaults: { period: CONFIG.rsiPeriod },
+  compute: (candles, { period }) => computeRsi(closesOf(candles), period)
+});
+
+registerIndicator({
+  name: "wilderRsi",
+  defaults: { period: CONFIG.rsiPeriod, maPeriod: CONFIG.rsiMaPeriod, slopePoints: 3 },
+  compute: (candles, { period, maPeriod, slopePoints }) => {
+    const series = computeWilderRsiSeries(closesOf(candles), period);
+    const values = series.filter((x) => x !== null);
+    return {
+      rsi: values.length ? values[values.length - 1] : null,
+      ma: computeRsiMa(series, maPeriod),
+      slope: slopeLast(values, slopePoints),
+      series
+    };
+  }
+});
+
+registerIndicator({
+  name: "macd",
+  defaults: { fast: CONFIG.macdFast, slow: CONFIG.macdSlow, signal: CONFIG.macdSignal },
+  compute: (candles, { fast, slow, signal }) => computeMacd(closesOf(candles), fast, slow, signal)
+});
+
+registerIndicator({
+  name: "vwap",
+  defaults: { slopeLookback: CONFIG.vwapSlopeLookbackMinutes, crossLookback: CONFIG.vwapCrossLookbackMinutes },
+  compute: (candles, { slopeLookback, crossLookback }) => {
+    const series = computeVwapSeries(candles);
+    return {
+      vwap: computeSessionVwap(candles),
+      slope: computeVwapSlope(series, slopeLookback),
+      crosses: countVwapCrosses(candles, series, crossLookback)
+    };
+  }
+});
+
+registerIndicator({
+  name: "heikenAshi",
+  compute: (candles) => countConsecutive(computeHeikenAshi(candles))
+});
+
+registerIndicator({
+  name: "emaCross",
+  defaults: { fast: 9, slow: 21 },
+  compute: (candles, { fast, slow }) => computeEmaCross(closesOf(candles), fast, slow)
+});
+
+registerIndicator({
+  name: "atr",
+  defaults: { period: 14 },
+  compute: (candles, { period }) => computeAtr(candles, period)
+});
+
+registerIndicator({
+  name: "bollinger",
+  defaults: { period: 20, stdDevs: 2 },
+  compute: (candles, { period, stdDevs }) => computeBollinger(closesOf(candles), period, stdDevs)
+});
+
+registerIndicator({
+  name: "stochastic",
+  defaults: { kPeriod: 14, dPeriod: 3 },
+  compute: (candles, { kPeriod, dPeriod }) => computeStochastic(candles, kPeriod, dPeriod)
+});
+
+registerIndicator({
+  name: "obv",
+  defaults: { slopePoints: 5 },
+  compute: (candles, { slopePoints }) => {
+    const series = computeObvSeries(candles);
+    return { obv: series.length ? series[series.length - 1] : null, slope: slopeLast(series, slopePoints) };
+  }
+});
+
+registerIndicator({
+  name: "volume",
+  defaults: { recent: CONFIG.volumeRecentMinutes, lookback: CONFIG.volumeAvgMinutes },
+  compute: (candles, { recent, lookback }) => computeVolumeBaseline(candles, { recent, lookback })
+});
+
+registerIndicator({
+  name: "realizedVol",
+  defaults: { estimator: CONFIG.volEstimator, lookback: CONFIG.volLookbackMinutes },
+  compute: (candles, { estimator, lookback }) => estimateVolPerMinute(candles, { estimator, lookback })
+});
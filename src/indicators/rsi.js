@@ -35,3 +35,43 @@ export function slopeLast(values, points) {
   const last = slice[slice.length - 1];
   return (last - first) / (points - 1);
 }
+
+// Wilder-smoothed RSI for every close: the first value averages the first `period`
+// changes, later ones carry avg = (prev * (period - 1) + change) / period.
+// Entries before the first full window are null.
+export function computeWilderRsiSeries(closes, period) {
+  if (!Array.isArray(closes)) return [];
+  const series = closes.map(() => null);
+  if (closes.length < period + 1) return series;
+
+  const rsiFrom = (avgGain, avgLoss) => (avgLoss === 0 ? 100 : clamp(100 - 100 / (1 + avgGain / avgLoss), 0, 100));
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i += 1) {
+    const diff = closes[i] - closes[i - 1];
+    if (diff > 0) avgGain += diff;
+    else avgLoss += -diff;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  series[period] = rsiFrom(avgGain, avgLoss);
+
+  for (let i = period + 1; i < closes.length; i += 1) {
+    const diff = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    series[i] = rsiFrom(avgGain, avgLoss);
+  }
+  return series;
+}
+
+export function computeWilderRsi(closes, period) {
+  const series = computeWilderRsiSeries(closes, period);
+  return series.length ? series[series.length - 1] : null;
+}
+
+// Simple moving average of the RSI series (the RSI signal line)
+export function computeRsiMa(rsiSeries, maPeriod) {
+  return sma(rsiSeries.filter((x) => x !== null), maPeriod);
+}
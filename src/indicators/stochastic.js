@@ -0,0 +1,19 @@
+import { sma } from "./rsi.js";
+
+function percentK(candles, end, kPeriod) {
+  const window = candles.slice(end - kPeriod + 1, end + 1);
+  const high = Math.max(...window.map((c) => c.high));
+  const low = Math.min(...window.map((c) => c.low));
+  return high === low ? 50 : ((candles[end].close - low) / (high - low)) * 100;
+}
+
+// Stochastic oscillator: %K over `kPeriod` candles, %D = SMA of the last `dPeriod` %K values
+export function computeStochastic(candles, kPeriod = 14, dPeriod = 3) {
+  if (!Array.isArray(candles) || candles.length < kPeriod + dPeriod - 1) return null;
+
+  const ks = [];
+  for (let end = candles.length - dPeriod; end < candles.length; end += 1) {
+    ks.push(percentK(candles, end, kPeriod));
+  }
+  return { k: ks[ks.length - 1], d: sma(ks, dPeriod) };
+}
@@ -0,0 +1,229 @@
+import { clamp } from "../utils.js";
+
+// Incremental indicators: feed one value or candle at a time with update(), read
+// value(). Each produces the same numbers as its batch counterpart over the same
+// history. snapshot() returns plain JSON state that restore() takes back.
+
+export function createEma(period) {
+  const k = 2 / (period + 1);
+  let count = 0;
+  let prev = null;
+
+  const value = () => (count >= period ? prev : null);
+
+  return {
+    update(x) {
+      prev = count === 0 ? x : x * k + prev * (1 - k);
+      count += 1;
+      return value();
+    },
+    value,
+    snapshot: () => ({ count, prev }),
+    restore(state) {
+      ({ count, prev } = state);
+    }
+  };
+}
+
+export function createMacd(fast, slow, signal) {
+  const fastEma = createEma(fast);
+  const slowEma = createEma(slow);
+  const signalEma = createEma(signal);
+  let count = 0;
+  let current = null;   // {macd, signal, hist} once the signal line exists
+  let prevHist = null;
+
+  const value = () => {
+    if (count < slow + signal || !current) return null;
+    return { ...current, histDelta: prevHist === null ? null : current.hist - prevHist };
+  };
+
+  return {
+    update(close) {
+      count += 1;
+      const f = fastEma.update(close);
+      const s = slowEma.update(close);
+      if (f === null || s === null) return value();
+
+      prevHist = current ? current.hist : null;
+      const macd = f - s;
+      const sig = signalEma.update(macd);
+      current = sig === null ? null : { macd, signal: sig, hist: macd - sig };
+      return value();
+    },
+    value,
+    snapshot: () => ({
+      count,
+      current,
+      prevHist,
+      fast: fastEma.snapshot(),
+      slow: slowEma.snapshot(),
+      signal: signalEma.snapshot()
+    }),
+    restore(state) {
+      ({ count, current, prevHist } = state);
+      fastEma.restore(state.fast);
+      slowEma.restore(state.slow);
+      signalEma.restore(state.signal);
+    }
+  };
+}
+
+// Simple-average RSI over the last `period` changes, as computeRsi()
+export function createRsi(period) {
+  let lastClose = null;
+  let diffs = [];
+
+  const value = () => {
+    if (diffs.length < period) return null;
+    let gains = 0;
+    let losses = 0;
+    for (const diff of diffs) {
+      if (diff > 0) gains += diff;
+      else losses += -diff;
+    }
+    const avgLoss = losses / period;
+    if (avgLoss === 0) return 100;
+    return clamp(100 - 100 / (1 + (gains / period) / avgLoss), 0, 100);
+  };
+
+  return {
+    update(close) {
+      if (lastClose !== null) {
+        diffs.push(close - lastClose);
+        if (diffs.length > period) diffs.shift();
+      }
+      lastClose = close;
+      return value();
+    },
+    value,
+    snapshot: () => ({ lastClose, diffs: diffs.slice() }),
+    restore(state) {
+      lastClose = state.lastClose;
+      diffs = state.diffs.slice();
+    }
+  };
+}
+
+// VWAP since the last reset(), or over the last `window` candles when given, so
+// it covers the same candles as computeSessionVwap() over that many candles
+export function createSessionVwap({ window = null } = {}) {
+  let pv = 0;
+  let v = 0;
+  let recent = [];   // [pv, v] per candle, windowed mode only
+
+  const value = () => (v === 0 ? null : pv / v);
+
+  return {
+    update(candle) {
+      const tp = (candle.high + candle.low + candle.close) / 3;
+      if (window === null) {
+        pv += tp * candle.volume;
+        v += candle.volume;
+        return value();
+      }
+      recent.push([tp * candle.volume, candle.volume]);
+      if (recent.length > window) recent.shift();
+      // Summed afresh, in candle order, so dropped candles leave no rounding behind
+      pv = 0;
+      v = 0;
+      for (const [p, vol] of recent) {
+        pv += p;
+        v += vol;
+      }
+      return value();
+    },
+    value,
+    reset() {
+      pv = 0;
+      v = 0;
+      recent = [];
+    },
+    snapshot: () => ({ pv, v, recent: recent.map((r) => r.slice()) }),
+    restore(state) {
+      ({ pv, v } = state);
+      recent = (state.recent || []).map((r) => r.slice());
+    }
+  };
+}
+
+// Heiken Ashi candle plus the current run of same-colored candles (countConsecutive)
+export function createHeikenAshi() {
+  let last = null;
+  let count = 0;
+
+  const value = () => (last ? { candle: { ...last }, color: last.isGreen ? "green" : "red", count } : null);
+
+  return {
+    update(candle) {
+      const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+      const open = last ? (last.open + last.close) / 2 : (candle.open + candle.close) / 2;
+      const isGreen = close >= open;
+      count = last && last.isGreen === isGreen ? count + 1 : 1;
+      last = {
+        open,
+        high: Math.max(candle.high, open, close),
+        low: Math.min(candle.low, open, close),
+        close,
+        isGreen,
+        body: Math.abs(close - open)
+      };
+      return value();
+    },
+    value,
+    snapshot: () => ({ last, count }),
+    restore(state) {
+      last = state.last ? { ...state.last } : null;
+      count = state.count;
+    }
+  };
+}
+
+// The indicators the tool reads, updated together from 1-minute candles.
+// `vwapWindow` keeps the VWAP to the candles the batch TA sees.
+export function createIndicatorSet({ rsiPeriod = 14, macdFast = 12, macdSlow = 26, macdSignal = 9, vwapWindow = null } = {}) {
+  const indicators = {
+    vwap: createSessionVwap({ window: vwapWindow }),
+    rsi: createRsi(rsiPeriod),
+    macd: createMacd(macdFast, macdSlow, macdSignal),
+    heikenAshi: createHeikenAshi()
+  };
+  let lastTime = null;
+
+  const values = () => ({
+    time: lastTime,
+    vwap: indicators.vwap.value(),
+    rsi: indicators.rsi.value(),
+    macd: indicators.macd.value(),
+    heikenAshi: indicators.heikenAshi.value()
+  });
+
+  const update = (candle) => {
+    indicators.vwap.update(candle);
+    indicators.rsi.update(candle.close);
+    indicators.macd.update(candle.close);
+    indicators.heikenAshi.update(candle);
+    lastTime = candle.time ?? null;
+    return values();
+  };
+
+  const snapshot = () => ({
+    lastTime,
+    ...Object.fromEntries(Object.entries(indicators).map(([name, ind]) => [name, ind.snapshot()]))
+  });
+
+  const restore = (state) => {
+    lastTime = state.lastTime;
+    for (const [name, ind] of Object.entries(indicators)) ind.restore(state[name]);
+  };
+
+  // Values as if `candle` (e.g. the still-forming one) were added, without keeping it
+  const peek = (candle) => {
+    const state = snapshot();
+    const result = update(candle);
+    restore(state);
+    return result;
+  };
+
+  return { update, values, peek, snapshot, restore };
+}
@@ -0,0 +1,102 @@
+// Realized volatility estimators over OHLC candles (as returned by fetchCandles).
+// All estimators return log-return standard deviation per candle; use
+// toPerMinute() / scaleVol() to convert to per-minute or horizon volatility.
+
+const LN2 = Math.log(2);
+
+function validWindow(candles, lookback) {
+  if (!Array.isArray(candles)) return [];
+  const valid = candles.filter((c) => c && c.open > 0 && c.high > 0 && c.low > 0 && c.close > 0);
+  return lookback ? valid.slice(-lookback) : valid;
+}
+
+export function candleMinutes(candles) {
+  if (!Array.isArray(candles) || candles.length < 2) return 1;
+  const diffs = [];
+  for (let i = 1; i < candles.length; i += 1) {
+    const d = candles[i].time - candles[i - 1].time;
+    if (d > 0) diffs.push(d);
+  }
+  if (diffs.length === 0) return 1;
+  return Math.min(...diffs) / 60_000;
+}
+
+export function closeToCloseVol(candles, lookback) {
+  const slice = validWindow(candles, lookback ? lookback + 1 : undefined);
+  if (slice.length < 3) return null;
+
+  const returns = [];
+  for (let i = 1; i < slice.length; i += 1) {
+    returns.push(Math.log(slice[i].close / slice[i - 1].close));
+  }
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+export function parkinsonVol(candles, lookback) {
+  const slice = validWindow(candles, lookback);
+  if (slice.length < 2) return null;
+
+  const sum = slice.reduce((a, c) => a + Math.log(c.high / c.low) ** 2, 0);
+  return Math.sqrt(sum / (4 * LN2 * slice.length));
+}
+
+export function garmanKlassVol(candles, lookback) {
+  const slice = validWindow(candles, lookback);
+  if (slice.length < 2) return null;
+
+  const sum = slice.reduce((a, c) => {
+    const hl = Math.log(c.high / c.low);
+    const co = Math.log(c.close / c.open);
+    return a + 0.5 * hl * hl - (2 * LN2 - 1) * co * co;
+  }, 0);
+  return Math.sqrt(Math.max(0, sum / slice.length));
+}
+
+export function ewmaVol(candles, lambda = 0.94, lookback) {
+  const slice = validWindow(candles, lookback ? lookback + 1 : undefined);
+  if (slice.length < 3) return null;
+
+  let variance = null;
+  for (let i = 1; i < slice.length; i += 1) {
+    const r = Math.log(slice[i].close / slice[i - 1].close);
+    variance = variance === null ? r * r : lambda * variance + (1 - lambda) * r * r;
+  }
+  return Math.sqrt(variance);
+}
+
+export function toPerMinute(sigmaPerCandle, minutesPerCandle = 1) {
+  if (sigmaPerCandle === null || !(minutesPerCandle > 0)) return null;
+  return sigmaPerCandle / Math.sqrt(minutesPerCandle);
+}
+
+export function scaleVol(sigmaPerMinute, minutes) {
+  if (sigmaPerMinute === null || minutes === null || minutes === undefined) return null;
+  return sigmaPerMinute * Math.sqrt(Math.max(0, minutes));
+}
+
+export const VOL_ESTIMATORS = {
+  closeToClose: (candles, { lookback }) => closeToCloseVol(candles, lookback),
+  parkinson: (candles, { lookback }) => parkinsonVol(candles, lookback),
+  garmanKlass: (candles, { lookback }) => garmanKlassVol(candles, lookback),
+  ewma: (candles, { lookback, lambda }) => ewmaVol(candles, lambda, lookback)
+};
+
+export function estimateVolPerMinute(candles, { estimator = "garmanKlass", lookback, lambda = 0.94 } = {}) {
+  const fn = VOL_ESTIMATORS[estimator];
+  if (!fn) throw new Error(`Unknown volatility estimator: ${estimator}`);
+  return toPerMinute(fn(candles, { lookback, lambda }), candleMinutes(candles));
+}
+
+export function computeVolatility(candles, { lookback, lambda = 0.94, minutesLeft = null } = {}) {
+  const minutesPerCandle = candleMinutes(candles);
+  const perMinute = {};
+  const toExpiry = {};
+  for (const [name, fn] of Object.entries(VOL_ESTIMATORS)) {
+    perMinute[name] = toPerMinute(fn(candles, { lookback, lambda }), minutesPerCandle);
+    toExpiry[name] = minutesLeft === null ? null : scaleVol(perMinute[name], minutesLeft);
+  }
+  return { minutesPerCandle, minutesLeft, perMinute, toExpiry };
+}
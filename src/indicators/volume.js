@@ -0,0 +1,27 @@
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Average volume per candle over the last `recent` candles vs the last `lookback` candles
+export function computeVolumeBaseline(candles, { recent = 5, lookback = 60 } = {}) {
+  if (!Array.isArray(candles) || candles.length < recent) return { volumeRecent: null, volumeAvg: null };
+
+  const volumes = candles.map((c) => c.volume ?? 0);
+  return {
+    volumeRecent: mean(volumes.slice(-recent)),
+    volumeAvg: mean(volumes.slice(-lookback))
+  };
+}
+
+// On-balance volume: running total adding volume on up closes, subtracting on down closes
+export function computeObvSeries(candles) {
+  if (!Array.isArray(candles) || candles.length === 0) return [];
+
+  const series = [0];
+  for (let i = 1; i < candles.length; i += 1) {
+    const diff = candles[i].close - candles[i - 1].close;
+    const volume = candles[i].volume ?? 0;
+    series.push(series[i - 1] + (diff > 0 ? volume : diff < 0 ? -volume : 0));
+  }
+  return series;
+}
@@ -1,3 +1,5 @@
+import { createSessionVwap } from "./streaming.js";
+
 export function computeSessionVwap(candles) {
   if (!Array.isArray(candles) || candles.length === 0) return null;
 
@@ -13,10 +15,33 @@ export function computeSessionVwap(candles) {
 }
 
 export function computeVwapSeries(candles) {
-  const series = [];
-  for (let i = 0; i < candles.length; i += 1) {
-    const sub = candles.slice(0, i + 1);
-    series.push(computeSessionVwap(sub));
+  const vwap = createSessionVwap();
+  return candles.map((c) => vwap.update(c));
+}
+
+// Per-minute change of the VWAP over the last `lookbackMinutes` candles
+export function computeVwapSlope(vwapSeries, lookbackMinutes) {
+  if (!Array.isArray(vwapSeries) || lookbackMinutes < 1 || vwapSeries.length < lookbackMinutes + 1) return null;
+  const last = vwapSeries[vwapSeries.length - 1];
+  const first = vwapSeries[vwapSeries.length - 1 - lookbackMinutes];
+  if (last === null || first === null) return null;
+  return (last - first) / lookbackMinutes;
+}
+
+// Times the close switched sides of the VWAP over the last `lookback` candles
+export function countVwapCrosses(candles, vwapSeries, lookback) {
+  if (!Array.isArray(candles) || candles.length < 2) return null;
+
+  const start = Math.max(0, candles.length - lookback);
+  let crosses = 0;
+  let prevSide = 0;
+  for (let i = start; i < candles.length; i += 1) {
+    const vwap = vwapSeries[i];
+    if (vwap === null || vwap === undefined) continue;
+    const side = Math.sign(candles[i].close - vwap);
+    if (side === 0) continue;
+    if (prevSide !== 0 && side !== prevSide) crosses += 1;
+    prevSide = side;
   }
-  return series;
+  return crosses;
 }
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Mock Kalshi Exchange
+ * Local stand-in for the Kalshi trade API (and a minimal Coinbase price API) so
+ * the runner, tool and watch mode can run end to end with no internet.
+ *
+ * Usage:
+ *   node src/mock-kalshi.js                          # Listen on 127.0.0.1:8787, new API key
+ *   node src/mock-kalshi.js --spot 97000 --walk      # Random-walk BTC from $97,000
+ *   node src/mock-kalshi.js --public-key key.pub --key-id my-key
+ *   node src/mock-kalshi.js --no-auth --port 0 --balance 250
+ *
+ * Then point the tools at it with the printed exports, e.g.
+ *   KALSHI_BASE_URL=http://127.0.0.1:8787/trade-api/v2 node src/runner.js --daemon
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as crypto from "crypto";
+import { CONFIG } from "./config.js";
+import { createMockKalshiExchange } from "./mock/kalshiExchange.js";
+
+function parseArgs(argv) {
+    const opts = {
+        port: 8787,
+        host: "127.0.0.1",
+        spot: 100_000,
+        balance: 1000,
+        walk: false,
+        auth: true,
+        keyId: "mock-key",
+        keyFile: path.join(CONFIG.dataDir, "mock-kalshi-key.pem")
+    };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === "--port") opts.port = Number(next());
+        else if (arg === "--host") opts.host = next();
+        else if (arg === "--spot") opts.spot = Number(next());
+        else if (arg === "--balance") opts.balance = Number(next());
+        else if (arg === "--walk") opts.walk = true;
+        else if (arg === "--sigma") opts.sigmaPerMinute = Number(next());
+        else if (arg === "--hours") opts.hoursAhead = Number(next());
+        else if (arg === "--strike-step") opts.strikeStep = Number(next());
+        else if (arg === "--strikes") opts.strikesPerSide = Number(next());
+        else if (arg === "--spread") opts.spreadCents = Number(next());
+        else if (arg === "--depth") opts.depth = Number(next());
+        else if (arg === "--size") opts.levelSize = Number(next());
+        else if (arg === "--settle-delay") opts.settleDelayMs = Number(next()) * 1000;
+        else if (arg === "--no-auth") opts.auth = false;
+        else if (arg === "--key-id") opts.keyId = next();
+        else if (arg === "--public-key") opts.publicKey = next();
+        else if (arg === "--key-file") opts.keyFile = next();
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return opts;
+}
+
+// Use the given public key, or generate a key pair and save the private half for the clients
+function loadOrCreateKey(opts) {
+    if (opts.publicKey) return { publicKey: fs.readFileSync(opts.publicKey, "utf8"), privateKeyFile: null };
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem" }
+    });
+    fs.mkdirSync(path.dirname(opts.keyFile), { recursive: true });
+    fs.writeFileSync(opts.keyFile, privateKey, { mode: 0o600 });
+    return { publicKey, privateKeyFile: path.resolve(opts.keyFile) };
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const key = opts.auth ? loadOrCreateKey(opts) : null;
+
+    const exchange = createMockKalshiExchange({
+        spot: opts.spot,
+        walk: opts.walk,
+        balanceCents: Math.round(opts.balance * 100),
+        requireAuth: opts.auth,
+        publicKeys: key ? { [opts.keyId]: key.publicKey } : {},
+        ...Object.fromEntries(["sigmaPerMinute", "hoursAhead", "strikeStep", "strikesPerSide", "spreadCents", "depth", "levelSize", "settleDelayMs"]
+            .filter(name => opts[name] !== undefined)
+            .map(name => [name, opts[name]]))
+    });
+    const urls = await exchange.listen(opts.port, opts.host);
+
+    console.log(`🧪 Mock Kalshi exchange on ${urls.baseUrl}`);
+    console.log(`   WebSocket ${urls.wsUrl}, Coinbase stand-in ${urls.coinbaseUrl}`);
+    console.log(`   Series ${CONFIG.kalshi.seriesTicker}, BTC $${opts.spot.toLocaleString()}${opts.walk ? " (random walk)" : ""}, balance $${opts.balance.toFixed(2)}`);
+    console.log("\n# Point the tools at it:");
+    console.log(`export KALSHI_BASE_URL=${urls.baseUrl}`);
+    console.log(`export KALSHI_WS_URL=${urls.wsUrl}`);
+    console.log(`export COINBASE_BASE_URL=${urls.coinbaseUrl}`);
+    console.log(`export COINBASE_EXCHANGE_URL=${urls.exchangeUrl}`);
+    console.log("export REFERENCE_VENUES=coinbase");
+    if (key?.privateKeyFile) {
+        console.log(`export KALSHI_API_KEY_ID=${opts.keyId}`);
+        console.log(`export KALSHI_PRIVATE_KEY_FILE=${key.privateKeyFile}`);
+    } else if (key) {
+        console.log(`export KALSHI_API_KEY_ID=${opts.keyId}  # sign with the private key for ${opts.publicKey}`);
+    }
+
+    const shutdown = async () => {
+        await exchange.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    // The exchange timer is unref'd; keep the process alive until stopped
+    setInterval(() => { }, 60_000);
+}
+
+main().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
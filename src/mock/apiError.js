@@ -0,0 +1,11 @@
+/**
+ * Kalshi-style API error: the mock server answers it as
+ * {error: {code, message, details}} with `status`
+ */
+export class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
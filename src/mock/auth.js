@@ -0,0 +1,37 @@
+/**
+ * Mock Kalshi request authentication - checks KALSHI-ACCESS-* headers the way
+ * Kalshi does: a known key id, a fresh timestamp and an RSA-PSS / SHA-256
+ * signature over timestamp + METHOD + path (no query string)
+ */
+
+import crypto from "node:crypto";
+import { ApiError } from "./apiError.js";
+
+/**
+ * Create a signature verifier
+ * @param {Object} options
+ * @param {Object<string, string>} options.publicKeys - API key id -> PEM public key
+ * @param {number} options.maxClockSkewMs - Accepted KALSHI-ACCESS-TIMESTAMP drift
+ * @param {Function} options.now - Clock (ms)
+ * @returns {(headers: Object, method: string, pathname: string) => void} Throws an ApiError (401) when the request is not signed correctly
+ */
+export function createSignatureVerifier({ publicKeys, maxClockSkewMs, now }) {
+    return (headers, method, pathname) => {
+        const keyId = headers["kalshi-access-key"];
+        const timestamp = headers["kalshi-access-timestamp"];
+        const signature = headers["kalshi-access-signature"];
+        if (!keyId || !timestamp || !signature) throw new ApiError(401, "missing_auth_headers", "KALSHI-ACCESS-KEY, -TIMESTAMP and -SIGNATURE are required");
+
+        const publicKey = publicKeys[keyId];
+        if (!publicKey) throw new ApiError(401, "unknown_api_key", `Unknown API key ${keyId}`);
+        if (!(Math.abs(now() - Number(timestamp)) <= maxClockSkewMs)) throw new ApiError(401, "stale_timestamp", "KALSHI-ACCESS-TIMESTAMP is too far from server time");
+
+        const valid = crypto.verify(
+            "sha256",
+            Buffer.from(`${timestamp}${method.toUpperCase()}${pathname}`),
+            { key: publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST },
+            Buffer.from(signature, "base64")
+        );
+        if (!valid) throw new ApiError(401, "invalid_signature", "Request signature does not verify");
+    };
+}
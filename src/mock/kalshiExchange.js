@@ -0,0 +1,775 @@
+/**
+ * Mock Kalshi exchange - local stand-in for the Kalshi trade API
+ * Serves series, events, markets, orderbooks and the authenticated portfolio
+ * endpoints (balance, positions, orders, fills, settlements) under /trade-api/v2,
+ * verifies RSA-PSS request signatures like Kalshi does, matches orders against a
+ * simulated book and settles hourly events. Optionally serves the WebSocket feed
+ * (/trade-api/ws/v2) and a minimal Coinbase price API (/coinbase) so the tools
+ * can run end to end with no internet.
+ */
+
+import http from "node:http";
+import { CONFIG } from "../config.js";
+import { probabilityAboveStrike } from "../engines/strikeProbability.js";
+import { acceptKey, wrapSocket } from "../data/websocket.js";
+import { ApiError } from "./apiError.js";
+import { createSignatureVerifier } from "./auth.js";
+import { createPortfolio } from "./portfolio.js";
+import { createMatcher, publicOrder } from "./matching.js";
+
+const API_PREFIX = "/trade-api/v2";
+const WS_PATH = "/trade-api/ws/v2";
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+function gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// KXBTCD-26JAN3122: year, month, day and hour of the close in New York time
+function eventCode(closeMs) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        timeZone: "America/New_York",
+        year: "2-digit",
+        month: "short",
+        day: "2-digit",
+        hour: "2-digit",
+        hourCycle: "h23"
+    }).formatToParts(new Date(closeMs)).map(p => [p.type, p.value]));
+    return `${parts.year}${parts.month.toUpperCase()}${parts.day}${parts.hour}`;
+}
+
+function paginate(items, query, defaultLimit = 100) {
+    const limit = Math.min(Math.max(parseInt(query.get("limit") || String(defaultLimit), 10), 1), 1000);
+    const offset = parseInt(query.get("cursor") || "0", 10) || 0;
+    const page = items.slice(offset, offset + limit);
+    return { page, cursor: offset + limit < items.length ? String(offset + limit) : "" };
+}
+
+function levelsToArray(levels) {
+    // Kalshi lists each side's bids in ascending price order
+    return [...levels.entries()].filter(([, q]) => q > 0).sort((a, b) => a[0] - b[0]);
+}
+
+function bestPrice(levels) {
+    let best = null;
+    for (const [price, qty] of levels) if (qty > 0 && (best === null || price > best)) best = price;
+    return best;
+}
+
+/**
+ * Create a mock exchange
+ * @param {Object} [options]
+ * @param {string} [options.seriesTicker]
+ * @param {number} [options.spot] - Starting BTC price
+ * @param {number} [options.sigmaPerMinute] - Volatility used for fair values and the random walk
+ * @param {boolean} [options.walk] - Random-walk the spot price every tick
+ * @param {number} [options.strikeStep] - Dollars between strikes
+ * @param {number} [options.strikesPerSide] - Strikes above and below the spot for each event
+ * @param {number} [options.hoursAhead] - Hourly events kept open
+ * @param {number} [options.balanceCents] - Starting account balance
+ * @param {number} [options.spreadCents] - Synthetic book spread around fair value
+ * @param {number} [options.depth] - Price levels per side
+ * @param {number} [options.levelSize] - Contracts per level
+ * @param {number} [options.settleDelayMs] - Time from close to settlement
+ * @param {Object<string, string>} [options.publicKeys] - API key id -> PEM public key
+ * @param {boolean} [options.requireAuth] - Reject unsigned portfolio requests
+ * @param {number} [options.maxClockSkewMs] - Accepted KALSHI-ACCESS-TIMESTAMP drift
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ * @returns {Object} Exchange handle: {server, listen, close, tick, setSpot, setBook, trade, settle, placeOrder, cancelOrder, state}
+ */
+export function createMockKalshiExchange({
+    seriesTicker = CONFIG.kalshi.seriesTicker,
+    spot = 100_000,
+    sigmaPerMinute = 0.0008,
+    walk = false,
+    strikeStep = 250,
+    strikesPerSide = 8,
+    hoursAhead = 3,
+    balanceCents = 100_000,
+    spreadCents = 2,
+    depth = 5,
+    levelSize = 100,
+    settleDelayMs = 0,
+    publicKeys = {},
+    requireAuth = true,
+    maxClockSkewMs = 5 * MINUTE_MS,
+    now = () => Date.now()
+} = {}) {
+    const state = {
+        spot,
+        balance: balanceCents,
+        events: new Map(),     // event ticker -> event
+        markets: new Map(),    // market ticker -> market (Kalshi shape)
+        books: new Map(),      // market ticker -> {yes: Map, no: Map, pinned}
+        orders: new Map(),     // order id -> order (Kalshi shape plus internals)
+        positions: new Map(),  // market ticker -> position
+        fills: [],
+        settlements: [],
+        prices: []             // {time, price}, one per tick, for the Coinbase stand-in
+    };
+    const clients = new Set(); // WebSocket connections
+    let nextId = 1;
+    let lastTick = now();
+    let timer = null;
+
+    const id = (prefix) => `${prefix}-${String(nextId++).padStart(6, "0")}`;
+    const iso = (ms) => new Date(ms).toISOString();
+
+    // ============================================
+    // MARKETS AND BOOKS
+    // ============================================
+    const fairCents = (market) => {
+        const minutesLeft = (Date.parse(market.close_time) - now()) / MINUTE_MS;
+        const p = probabilityAboveStrike({ spot: state.spot, strike: market.floor_strike, minutesLeft, sigmaPerMinute });
+        return Math.min(99, Math.max(1, Math.round((p ?? 0.5) * 100)));
+    };
+
+    const createEvent = (closeMs) => {
+        const eventTicker = `${seriesTicker}-${eventCode(closeMs)}`;
+        if (state.events.has(eventTicker)) return;
+
+        const center = Math.round(state.spot / strikeStep) * strikeStep;
+        const tickers = [];
+        for (let k = -strikesPerSide; k <= strikesPerSide; k += 1) {
+            const floorStrike = center + k * strikeStep - 0.01;
+            const ticker = `${eventTicker}-T${floorStrike.toFixed(2)}`;
+            state.markets.set(ticker, {
+                ticker,
+                event_ticker: eventTicker,
+                market_type: "binary",
+                title: `Bitcoin above $${floorStrike.toLocaleString("en-US", { minimumFractionDigits: 2 })}?`,
+                subtitle: `$${(floorStrike + 0.01).toLocaleString("en-US")} or above`,
+                status: "open",
+                strike_type: "greater",
+                floor_strike: floorStrike,
+                open_time: iso(now()),
+                close_time: iso(closeMs),
+                expected_expiration_time: iso(closeMs),
+                expiration_time: iso(closeMs),
+                yes_bid: 0,
+                yes_ask: 100,
+                no_bid: 0,
+                no_ask: 100,
+                last_price: 0,
+                volume: 0,
+                open_interest: 0,
+                result: "",
+                expiration_value: ""
+            });
+            state.books.set(ticker, { yes: new Map(), no: new Map(), pinned: false });
+            tickers.push(ticker);
+        }
+
+        state.events.set(eventTicker, {
+            event_ticker: eventTicker,
+            series_ticker: seriesTicker,
+            title: `Bitcoin price at ${eventCode(closeMs).slice(-2)}:00 ET`,
+            sub_title: iso(closeMs),
+            category: "Crypto",
+            mutually_exclusive: false,
+            strike_date: iso(closeMs),
+            markets: tickers
+        });
+    };
+
+    const regenerateBook = (market) => {
+        const book = state.books.get(market.ticker);
+        if (book.pinned) return;
+        const fair = fairCents(market);
+        const half = Math.ceil(spreadCents / 2);
+        book.yes = new Map();
+        book.no = new Map();
+        for (let i = 0; i < depth; i += 1) {
+            const yes = fair - half - i;
+            const no = 100 - fair - half - i;
+            if (yes >= 1) book.yes.set(yes, levelSize);
+            if (no >= 1) book.no.set(no, levelSize);
+        }
+    };
+
+    // Synthetic liquidity plus the user's own resting bids
+    const visibleBook = (ticker) => {
+        const book = state.books.get(ticker);
+        const yes = new Map(book.yes);
+        const no = new Map(book.no);
+        for (const order of state.orders.values()) {
+            if (order.ticker !== ticker || order.status !== "resting") continue;
+            const levels = order._buySide === "yes" ? yes : no;
+            levels.set(order._buyPrice, (levels.get(order._buyPrice) || 0) + order.remaining_count);
+        }
+        return { yes, no };
+    };
+
+    const refreshQuotes = (market) => {
+        const { yes, no } = visibleBook(market.ticker);
+        const yesBid = bestPrice(yes);
+        const noBid = bestPrice(no);
+        market.yes_bid = yesBid ?? 0;
+        market.no_bid = noBid ?? 0;
+        market.yes_ask = noBid === null ? 100 : 100 - noBid;
+        market.no_ask = yesBid === null ? 100 : 100 - yesBid;
+    };
+
+    // ============================================
+    // PORTFOLIO AND ORDERS
+    // ============================================
+    const { recordFill, settleMarket, positionRows } = createPortfolio({ state, now, id, broadcast });
+    const {
+        placeOrder,
+        getOrder,
+        amendOrder,
+        decreaseOrder,
+        cancelOrder,
+        cancel,
+        matchAgainstBook,
+        trade
+    } = createMatcher({ state, now, id, recordFill, refreshQuotes, publishBooks });
+
+    /**
+     * Advance the simulation: move the spot (when walking), close and settle
+     * expired markets, list new hourly events, rebuild books and fill resting
+     * orders the new book crosses
+     */
+    const tick = () => {
+        const t = now();
+        if (walk && t > lastTick) {
+            state.spot *= Math.exp(sigmaPerMinute * Math.sqrt((t - lastTick) / MINUTE_MS) * gaussian());
+        }
+        lastTick = t;
+        state.prices.push({ time: t, price: state.spot });
+        if (state.prices.length > 20_000) state.prices.splice(0, state.prices.length - 20_000);
+
+        for (const market of state.markets.values()) {
+            const closeMs = Date.parse(market.close_time);
+            if (market.status === "open" && closeMs <= t) {
+                market.status = "closed";
+                market._closeSpot = state.spot;
+                for (const order of state.orders.values()) {
+                    if (order.ticker === market.ticker && order.status === "resting") cancelOrder(order);
+                }
+            }
+            if (market.status === "closed" && closeMs + settleDelayMs <= t) {
+                settleMarket(market, market._closeSpot ?? state.spot);
+            }
+        }
+
+        const firstClose = Math.floor(t / HOUR_MS) * HOUR_MS + HOUR_MS;
+        for (let h = 0; h < hoursAhead; h += 1) createEvent(firstClose + h * HOUR_MS);
+
+        for (const market of state.markets.values()) {
+            if (market.status !== "open") continue;
+            regenerateBook(market);
+            for (const order of state.orders.values()) {
+                if (order.ticker === market.ticker && order.status === "resting") matchAgainstBook(order, false);
+            }
+            refreshQuotes(market);
+        }
+
+        publishBooks();
+    };
+
+    /**
+     * Pin a market's synthetic book (Kalshi REST shape); pass null to unpin
+     * @param {string} ticker
+     * @param {{yes: Array<[number, number]>, no: Array<[number, number]>}|null} book
+     */
+    const setBook = (ticker, book) => {
+        const current = state.books.get(ticker);
+        if (!current) throw new ApiError(404, "market_not_found", `Market ${ticker} not found`);
+        if (book) {
+            current.yes = new Map(book.yes || []);
+            current.no = new Map(book.no || []);
+            current.pinned = true;
+        } else {
+            current.pinned = false;
+        }
+        tick();
+    };
+
+    /**
+     * Close and settle markets now at `price` (defaults to the current spot)
+     * @param {{eventTicker?: string, price?: number}} [options]
+     * @returns {number} Markets settled
+     */
+    const settle = ({ eventTicker = null, price = state.spot } = {}) => {
+        let settled = 0;
+        for (const market of state.markets.values()) {
+            if (eventTicker ? market.event_ticker !== eventTicker : Date.parse(market.close_time) > now()) continue;
+            if (market.status === "settled") continue;
+            for (const order of state.orders.values()) {
+                if (order.ticker === market.ticker && order.status === "resting") cancelOrder(order);
+            }
+            settleMarket(market, price);
+            settled += 1;
+        }
+        return settled;
+    };
+
+    const verifySignature = createSignatureVerifier({ publicKeys, maxClockSkewMs, now });
+
+    // ============================================
+    // REST ROUTES
+    // ============================================
+    const marketFilter = (query) => {
+        const statuses = (query.get("status") || "").split(",").filter(Boolean);
+        const tickers = (query.get("tickers") || "").split(",").filter(Boolean);
+        const minClose = query.get("min_close_ts") ? Number(query.get("min_close_ts")) * 1000 : null;
+        const maxClose = query.get("max_close_ts") ? Number(query.get("max_close_ts")) * 1000 : null;
+        return (m) => {
+            const closeMs = Date.parse(m.close_time);
+            return (!query.get("series_ticker") || m.event_ticker.startsWith(`${query.get("series_ticker")}-`))
+                && (!query.get("event_ticker") || m.event_ticker === query.get("event_ticker"))
+                && (statuses.length === 0 || statuses.includes(m.status))
+                && (tickers.length === 0 || tickers.includes(m.ticker))
+                && (minClose === null || closeMs >= minClose)
+                && (maxClose === null || closeMs <= maxClose);
+        };
+    };
+
+    const publicMarket = (m) => Object.fromEntries(Object.entries(m).filter(([key]) => !key.startsWith("_")));
+
+    const routes = [
+        ["GET", /^\/exchange\/status$/, () => ({ exchange_active: true, trading_active: true })],
+        ["GET", /^\/series\/([^/]+)$/, (_, [ticker]) => {
+            if (ticker !== seriesTicker) throw new ApiError(404, "series_not_found", `Series ${ticker} not found`);
+            return {
+                series: {
+                    ticker: seriesTicker,
+                    frequency: "hourly",
+                    title: "Bitcoin price above/below (mock)",
+                    category: "Crypto",
+                    settlement_sources: [{ name: "Mock CF Benchmarks", url: "" }]
+                }
+            };
+        }],
+        ["GET", /^\/events$/, ({ query }) => {
+            const status = query.get("status");
+            const events = [...state.events.values()]
+                .filter(e => !query.get("series_ticker") || e.series_ticker === query.get("series_ticker"))
+                .filter(e => !status || e.markets.some(t => state.markets.get(t).status === status));
+            const { page, cursor } = paginate(events, query);
+            const nested = query.get("with_nested_markets") === "true";
+            return {
+                events: page.map(e => ({
+                    ...e,
+                    markets: nested ? e.markets.map(t => publicMarket(state.markets.get(t))) : undefined
+                })),
+                cursor
+            };
+        }],
+        ["GET", /^\/events\/([^/]+)$/, (_, [eventTicker]) => {
+            const event = state.events.get(eventTicker);
+            if (!event) throw new ApiError(404, "event_not_found", `Event ${eventTicker} not found`);
+            return { event: { ...event, markets: undefined }, markets: event.markets.map(t => publicMarket(state.markets.get(t))) };
+        }],
+        ["GET", /^\/markets$/, ({ query }) => {
+            const markets = [...state.markets.values()].filter(marketFilter(query));
+            const { page, cursor } = paginate(markets, query);
+            return { markets: page.map(publicMarket), cursor };
+        }],
+        ["GET", /^\/markets\/([^/]+)$/, (_, [ticker]) => {
+            const market = state.markets.get(ticker);
+            if (!market) throw new ApiError(404, "market_not_found", `Market ${ticker} not found`);
+            return { market: publicMarket(market) };
+        }],
+        ["GET", /^\/markets\/([^/]+)\/orderbook$/, ({ query }, [ticker]) => {
+            if (!state.markets.has(ticker)) throw new ApiError(404, "market_not_found", `Market ${ticker} not found`);
+            const book = visibleBook(ticker);
+            const levelDepth = parseInt(query.get("depth") || "0", 10);
+            const cut = (levels) => (levelDepth > 0 ? levels.slice(-levelDepth) : levels);
+            return { orderbook: { yes: cut(levelsToArray(book.yes)), no: cut(levelsToArray(book.no)) } };
+        }],
+
+        ["GET", /^\/portfolio\/balance$/, () => ({ balance: state.balance }), true],
+        ["GET", /^\/portfolio\/positions$/, ({ query }) => {
+            const rows = positionRows()
+                .filter(p => !query.get("ticker") || p.ticker === query.get("ticker"))
+                .filter(p => !query.get("event_ticker") || p.event_ticker === query.get("event_ticker"));
+            const { page, cursor } = paginate(rows, query);
+            const events = new Map();
+            for (const p of page) {
+                const e = events.get(p.event_ticker) || { event_ticker: p.event_ticker, event_exposure: 0, total_cost: 0, realized_pnl: 0, fees_paid: 0, resting_order_count: 0 };
+                e.event_exposure += p.market_exposure;
+                e.total_cost += p.total_traded;
+                e.realized_pnl += p.realized_pnl;
+                e.fees_paid += p.fees_paid;
+                e.resting_order_count += p.resting_orders_count;
+                events.set(p.event_ticker, e);
+            }
+            return { market_positions: page, event_positions: [...events.values()], cursor };
+        }, true],
+        ["GET", /^\/portfolio\/fills$/, ({ query }) => {
+            const minTs = query.get("min_ts") ? Number(query.get("min_ts")) * 1000 : null;
+            const maxTs = query.get("max_ts") ? Number(query.get("max_ts")) * 1000 : null;
+            const fills = state.fills
+                .filter(f => !query.get("ticker") || f.ticker === query.get("ticker"))
+                .filter(f => !query.get("order_id") || f.order_id === query.get("order_id"))
+                .filter(f => (minTs === null || Date.parse(f.created_time) >= minTs) && (maxTs === null || Date.parse(f.created_time) <= maxTs))
+                .slice()
+                .reverse();
+            const { page, cursor } = paginate(fills, query);
+            return { fills: page, cursor };
+        }, true],
+        ["GET", /^\/portfolio\/settlements$/, ({ query }) => {
+            const rows = state.settlements
+                .filter(s => !query.get("ticker") || s.ticker === query.get("ticker"))
+                .slice()
+                .reverse();
+            const { page, cursor } = paginate(rows, query);
+            return { settlements: page, cursor };
+        }, true],
+        ["GET", /^\/portfolio\/orders$/, ({ query }) => {
+            const orders = [...state.orders.values()]
+                .filter(o => !query.get("ticker") || o.ticker === query.get("ticker"))
+                .filter(o => !query.get("event_ticker") || state.markets.get(o.ticker)?.event_ticker === query.get("event_ticker"))
+                .filter(o => !query.get("status") || o.status === query.get("status"))
+                .reverse();
+            const { page, cursor } = paginate(orders, query);
+            return { orders: page.map(publicOrder), cursor };
+        }, true],
+        ["POST", /^\/portfolio\/orders$/, ({ body }) => ({ order: publicOrder(placeOrder(body)) }), true, 201],
+        ["POST", /^\/portfolio\/orders\/batched$/, ({ body }) => ({
+            orders: (body?.orders || []).map((o) => {
+                try {
+                    return { order: publicOrder(placeOrder(o)), error: null };
+                } catch (err) {
+                    return { order: null, error: { code: err.code || "internal_error", message: err.message } };
+                }
+            })
+        }), true, 201],
+        ["DELETE", /^\/portfolio\/orders\/batched$/, ({ body }) => ({
+            orders: (body?.ids || []).map((orderId) => {
+                try {
+                    const order = getOrder(orderId);
+                    const reducedBy = order.status === "resting" ? cancelOrder(order) : 0;
+                    return { order: publicOrder(order), reduced_by: reducedBy, error: null };
+                } catch (err) {
+                    return { order: null, reduced_by: 0, error: { code: err.code || "internal_error", message: err.message } };
+                }
+            })
+        }), true],
+        ["GET", /^\/portfolio\/orders\/([^/]+)$/, (_, [orderId]) => ({ order: publicOrder(getOrder(orderId)) }), true],
+        ["DELETE", /^\/portfolio\/orders\/([^/]+)$/, (_, [orderId]) => cancel(orderId), true],
+        ["POST", /^\/portfolio\/orders\/([^/]+)\/amend$/, ({ body }, [orderId]) => amendOrder(orderId, body), true],
+        ["POST", /^\/portfolio\/orders\/([^/]+)\/decrease$/, ({ body }, [orderId]) => ({ order: decreaseOrder(orderId, body) }), true]
+    ];
+
+    // Test controls, outside the API prefix and never authenticated
+    const adminRoutes = [
+        ["GET", /^\/_mock\/state$/, () => ({
+            spot: state.spot,
+            balance: state.balance,
+            events: [...state.events.keys()],
+            orders: [...state.orders.values()].map(publicOrder),
+            positions: positionRows(),
+            settlements: state.settlements
+        })],
+        ["POST", /^\/_mock\/spot$/, ({ body }) => {
+            state.spot = Number(body.price);
+            tick();
+            return { spot: state.spot };
+        }],
+        ["POST", /^\/_mock\/balance$/, ({ body }) => {
+            state.balance = Number(body.balance);
+            return { balance: state.balance };
+        }],
+        ["POST", /^\/_mock\/book$/, ({ body }) => {
+            setBook(body.ticker, body.yes || body.no ? { yes: body.yes, no: body.no } : null);
+            return { orderbook: { yes: levelsToArray(visibleBook(body.ticker).yes), no: levelsToArray(visibleBook(body.ticker).no) } };
+        }],
+        ["POST", /^\/_mock\/trade$/, ({ body }) => ({ filled: trade(body) })],
+        ["POST", /^\/_mock\/settle$/, ({ body }) => ({ settled: settle({ eventTicker: body?.event_ticker, price: body?.price ?? state.spot }) })]
+    ];
+
+    // ============================================
+    // COINBASE STAND-IN (spot, ticker, candles)
+    // ============================================
+    const candlesFromPrices = (granularity, start, end) => {
+        const stepMs = granularity * 1000;
+        const startMs = start ? Math.floor(Date.parse(start) / stepMs) * stepMs : -Infinity;
+        const endMs = end ? Date.parse(end) : Infinity;
+        const buckets = new Map();
+        for (const { time, price } of state.prices) {
+            if (time < startMs || time >= endMs + stepMs) continue;
+            const bucket = Math.floor(time / stepMs) * stepMs;
+            const c = buckets.get(bucket);
+            if (!c) buckets.set(bucket, { time: bucket, open: price, high: price, low: price, close: price, volume: 1 });
+            else Object.assign(c, { high: Math.max(c.high, price), low: Math.min(c.low, price), close: price, volume: c.volume + 1 });
+        }
+        // Coinbase order: newest first, [time, low, high, open, close, volume] with time in seconds
+        return [...buckets.values()]
+            .sort((a, b) => b.time - a.time)
+            .slice(0, 300)
+            .map(c => [c.time / 1000, c.low, c.high, c.open, c.close, c.volume]);
+    };
+
+    const coinbaseRoutes = [
+        ["GET", /^\/v2\/prices\/BTC-USD\/spot$/, () => ({ data: { amount: state.spot.toFixed(2), currency: "USD" } })],
+        ["GET", /^\/exchange\/products\/BTC-USD\/ticker$/, () => ({
+            price: state.spot.toFixed(2),
+            bid: (state.spot - 0.5).toFixed(2),
+            ask: (state.spot + 0.5).toFixed(2),
+            volume: "1000",
+            time: iso(now())
+        })],
+        ["GET", /^\/exchange\/products\/BTC-USD\/candles$/, ({ query }) => candlesFromPrices(
+            parseInt(query.get("granularity") || "60", 10),
+            query.get("start"),
+            query.get("end")
+        )],
+        ["GET", /^\/exchange\/products\/BTC-USD\/stats$/, () => ({ open: state.spot, high: state.spot, low: state.spot, volume: 1000, last: state.spot })]
+    ];
+
+    // Price history so the Coinbase stand-in has candles from the start
+    const seedPrices = () => {
+        const t = now();
+        let price = state.spot;
+        const history = [];
+        for (let i = 1; i <= 300; i += 1) {
+            history.push({ time: t - i * MINUTE_MS, price });
+            price /= Math.exp(sigmaPerMinute * gaussian());
+        }
+        state.prices.push(...history.reverse());
+    };
+
+    // ============================================
+    // HTTP SERVER
+    // ============================================
+    const readBody = (req) => new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", (c) => chunks.push(c));
+        req.on("end", () => {
+            const text = Buffer.concat(chunks).toString("utf8");
+            if (!text) return resolve(undefined);
+            try {
+                resolve(JSON.parse(text));
+            } catch {
+                reject(new ApiError(400, "invalid_json", "Request body is not valid JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+
+    const send = (res, status, body) => {
+        const text = JSON.stringify(body);
+        res.writeHead(status, { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(text) });
+        res.end(text);
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            tick();
+            let table;
+            let path;
+            if (url.pathname.startsWith(`${API_PREFIX}/`)) {
+                table = routes;
+                path = url.pathname.slice(API_PREFIX.length);
+            } else if (url.pathname.startsWith("/_mock/")) {
+                table = adminRoutes;
+                path = url.pathname;
+            } else if (url.pathname.startsWith("/coinbase/")) {
+                table = coinbaseRoutes;
+                path = url.pathname.slice("/coinbase".length);
+            } else {
+                throw new ApiError(404, "not_found", `No route for ${url.pathname}`);
+            }
+
+            const route = table.find(([method, pattern]) => method === req.method && pattern.test(path));
+            if (!route) throw new ApiError(404, "not_found", `No route for ${req.method} ${url.pathname}`);
+            const [, pattern, handler, authenticated = false, status = 200] = route;
+
+            if (authenticated && requireAuth) verifySignature(req.headers, req.method, url.pathname);
+            const body = await readBody(req);
+            send(res, status, handler({ query: url.searchParams, body }, pattern.exec(path).slice(1)));
+        } catch (err) {
+            if (err instanceof ApiError) {
+                send(res, err.status, { error: { code: err.code, message: err.message, details: "" } });
+            } else {
+                send(res, 500, { error: { code: "internal_error", message: err.message, details: "" } });
+            }
+        }
+    };
+
+    // ============================================
+    // WEBSOCKET FEED
+    // ============================================
+    function broadcast(channel, ticker, msg) {
+        for (const client of clients) {
+            for (const [sid, sub] of client.subs) {
+                if (sub.channel !== channel) continue;
+                if (channel !== "fill" && sub.tickers.length && !sub.tickers.includes(ticker)) continue;
+                sub.seq += 1;
+                client.ws.send(JSON.stringify({ type: channel, sid, seq: sub.seq, msg }));
+            }
+        }
+    }
+
+    function publishBooks() {
+        for (const client of clients) {
+            for (const [sid, sub] of client.subs) {
+                if (sub.channel !== "orderbook_delta" && sub.channel !== "ticker") continue;
+                for (const ticker of sub.tickers) {
+                    const market = state.markets.get(ticker);
+                    if (!market) continue;
+
+                    if (sub.channel === "ticker") {
+                        const quote = `${market.yes_bid}/${market.yes_ask}/${market.last_price}/${market.volume}`;
+                        if (sub.last.get(ticker) === quote) continue;
+                        sub.last.set(ticker, quote);
+                        sub.seq += 1;
+                        client.ws.send(JSON.stringify({
+                            type: "ticker",
+                            sid,
+                            seq: sub.seq,
+                            msg: { market_ticker: ticker, price: market.last_price, yes_bid: market.yes_bid, yes_ask: market.yes_ask, volume: market.volume, open_interest: market.open_interest, ts: Math.floor(now() / 1000) }
+                        }));
+                        continue;
+                    }
+
+                    const book = visibleBook(ticker);
+                    const previous = sub.last.get(ticker);
+                    sub.last.set(ticker, book);
+                    if (!previous) {
+                        sub.seq += 1;
+                        client.ws.send(JSON.stringify({
+                            type: "orderbook_snapshot",
+                            sid,
+                            seq: sub.seq,
+                            msg: { market_ticker: ticker, yes: levelsToArray(book.yes), no: levelsToArray(book.no) }
+                        }));
+                        continue;
+                    }
+                    for (const side of ["yes", "no"]) {
+                        const prices = new Set([...previous[side].keys(), ...book[side].keys()]);
+                        for (const price of [...prices].sort((a, b) => a - b)) {
+                            const delta = (book[side].get(price) || 0) - (previous[side].get(price) || 0);
+                            if (delta === 0) continue;
+                            sub.seq += 1;
+                            client.ws.send(JSON.stringify({ type: "orderbook_delta", sid, seq: sub.seq, msg: { market_ticker: ticker, price, delta, side } }));
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    const handleCommand = (client, raw) => {
+        let cmd;
+        try {
+            cmd = JSON.parse(raw);
+        } catch {
+            client.ws.send(JSON.stringify({ type: "error", msg: { code: 1, msg: "Invalid JSON" } }));
+            return;
+        }
+        const { id: cmdId, params = {} } = cmd;
+
+        if (cmd.cmd === "subscribe") {
+            for (const channel of params.channels || []) {
+                if (!["orderbook_delta", "ticker", "trade", "fill"].includes(channel)) {
+                    client.ws.send(JSON.stringify({ id: cmdId, type: "error", msg: { code: 8, msg: `Unknown channel ${channel}` } }));
+                    continue;
+                }
+                const sid = client.nextSid++;
+                client.subs.set(sid, { channel, tickers: params.market_tickers || (params.market_ticker ? [params.market_ticker] : []), seq: 0, last: new Map() });
+                client.ws.send(JSON.stringify({ id: cmdId, type: "subscribed", msg: { channel, sid } }));
+            }
+            publishBooks();
+        } else if (cmd.cmd === "unsubscribe") {
+            for (const sid of params.sids || []) {
+                client.subs.delete(sid);
+                client.ws.send(JSON.stringify({ id: cmdId, sid, type: "unsubscribed" }));
+            }
+        } else {
+            client.ws.send(JSON.stringify({ id: cmdId, type: "error", msg: { code: 5, msg: `Unknown command ${cmd.cmd}` } }));
+        }
+    };
+
+    const handleUpgrade = (req, socket, head) => {
+        const url = new URL(req.url, "http://localhost");
+        const reject = (status, text) => {
+            socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+        };
+        if (url.pathname !== WS_PATH || req.headers.upgrade?.toLowerCase() !== "websocket") {
+            reject(404, "Not Found");
+            return;
+        }
+        try {
+            if (requireAuth) verifySignature(req.headers, "GET", url.pathname);
+        } catch (err) {
+            reject(401, "Unauthorized");
+            return;
+        }
+
+        socket.write([
+            "HTTP/1.1 101 Switching Protocols",
+            "Upgrade: websocket",
+            "Connection: Upgrade",
+            `Sec-WebSocket-Accept: ${acceptKey(req.headers["sec-websocket-key"])}`,
+            "",
+            ""
+        ].join("\r\n"));
+        socket.setNoDelay(true);
+
+        const client = { ws: wrapSocket(socket, { mask: false, head }), subs: new Map(), nextSid: 1 };
+        clients.add(client);
+        client.ws.on("message", (raw) => handleCommand(client, raw));
+        client.ws.on("close", () => clients.delete(client));
+        client.ws.on("error", () => clients.delete(client));
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res);
+    });
+    server.on("upgrade", handleUpgrade);
+
+    seedPrices();
+    tick();
+
+    return {
+        server,
+        state,
+        tick,
+        setSpot: (price) => {
+            state.spot = price;
+            tick();
+        },
+        setBook,
+        trade,
+        settle,
+        placeOrder: (order) => publicOrder(placeOrder(order)),
+        cancelOrder: (orderId) => cancel(orderId).order,
+
+        /**
+         * Start listening; ticks once a second so books move, markets close and events roll
+         * @param {number} [port] - 0 picks a free port
+         * @param {string} [host]
+         * @returns {Promise<{baseUrl: string, wsUrl: string, coinbaseUrl: string, exchangeUrl: string}>}
+         */
+        listen(port = 0, host = "127.0.0.1") {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => {
+                    timer = setInterval(tick, 1000);
+                    timer.unref();
+                    const origin = `http://${host}:${server.address().port}`;
+                    resolve({
+                        baseUrl: `${origin}${API_PREFIX}`,
+                        wsUrl: `${origin.replace("http:", "ws:")}${WS_PATH}`,
+                        coinbaseUrl: `${origin}/coinbase/v2`,
+                        exchangeUrl: `${origin}/coinbase/exchange`
+                    });
+                });
+            });
+        },
+
+        close() {
+            clearInterval(timer);
+            for (const client of clients) client.ws.terminate();
+            clients.clear();
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+}
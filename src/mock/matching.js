@@ -0,0 +1,220 @@
+/**
+ * Mock Kalshi order matching - places, amends, decreases and cancels orders
+ * and matches them against the synthetic book and simulated counterparties.
+ * Every order is handled as a buy: selling a side at p is buying the other
+ * side at 100 - p (`_buySide` / `_buyPrice`), and the portfolio nets the pair.
+ */
+
+import crypto from "node:crypto";
+import { tradingFeeCents } from "../engines/fees.js";
+import { ApiError } from "./apiError.js";
+
+// Order without the internal `_` fields, as the API returns it
+export const publicOrder = (order) => Object.fromEntries(Object.entries(order).filter(([key]) => !key.startsWith("_")));
+
+/**
+ * Create the order side of a mock exchange
+ * @param {Object} options
+ * @param {Object} options.state - Exchange state (balance, markets, books, orders)
+ * @param {Function} options.now - Clock (ms)
+ * @param {(prefix: string) => string} options.id - Id generator
+ * @param {Function} options.recordFill - Portfolio fill: (order, count, buyPrice, isTaker)
+ * @param {(market: Object) => void} options.refreshQuotes - Recompute a market's bid/ask after the book changed
+ * @param {() => void} options.publishBooks - Push book and ticker updates to WebSocket subscribers
+ * @returns {Object} {placeOrder, getOrder, amendOrder, decreaseOrder, cancelOrder, cancel, matchAgainstBook, trade}
+ */
+export function createMatcher({ state, now, id, recordFill, refreshQuotes, publishBooks }) {
+    const iso = (ms) => new Date(ms).toISOString();
+
+    // Match a buy of `order._buySide` at up to `order._buyPrice` against the opposite synthetic bids
+    const matchAgainstBook = (order, isTaker) => {
+        const book = state.books.get(order.ticker);
+        const opposite = order._buySide === "yes" ? book.no : book.yes;
+        const prices = [...opposite.keys()].sort((a, b) => b - a);
+        for (const bid of prices) {
+            if (order.remaining_count === 0) break;
+            const askPrice = 100 - bid;
+            if (askPrice > order._buyPrice) break;
+            const take = Math.min(opposite.get(bid), order.remaining_count);
+            if (take <= 0) continue;
+            opposite.set(bid, opposite.get(bid) - take);
+            // Takers trade at the resting price, makers at their own limit
+            recordFill(order, take, isTaker ? askPrice : order._buyPrice, isTaker);
+        }
+    };
+
+    const available = (order) => {
+        const book = state.books.get(order.ticker);
+        const opposite = order._buySide === "yes" ? book.no : book.yes;
+        let total = 0;
+        for (const [bid, qty] of opposite) if (100 - bid <= order._buyPrice) total += qty;
+        return total;
+    };
+
+    const cancelOrder = (order) => {
+        const reducedBy = order.remaining_count;
+        order.status = "canceled";
+        order.remaining_count = 0;
+        order.last_update_time = iso(now());
+        return reducedBy;
+    };
+
+    const placeOrder = (body, { matchNow = true } = {}) => {
+        const { ticker, side, action = "buy", count, type = "limit", client_order_id: clientOrderId } = body || {};
+        const market = state.markets.get(ticker);
+        if (!market) throw new ApiError(404, "market_not_found", `Market ${ticker} not found`);
+        if (market.status !== "open") throw new ApiError(400, "market_closed", `Market ${ticker} is ${market.status}`);
+        if (side !== "yes" && side !== "no") throw new ApiError(400, "invalid_parameters", "side must be yes or no");
+        if (action !== "buy" && action !== "sell") throw new ApiError(400, "invalid_parameters", "action must be buy or sell");
+        if (!Number.isInteger(count) || count < 1) throw new ApiError(400, "invalid_parameters", "count must be a positive integer");
+        if (clientOrderId && [...state.orders.values()].some(o => o.client_order_id === clientOrderId)) {
+            throw new ApiError(409, "order_already_exists", `Order with client_order_id ${clientOrderId} already exists`);
+        }
+
+        // Price of `side`, given as either yes_price or no_price
+        const hasYes = body.yes_price !== undefined && body.yes_price !== null;
+        const hasNo = body.no_price !== undefined && body.no_price !== null;
+        let sidePrice;
+        if (type === "market") {
+            sidePrice = action === "buy" ? 99 : 1;
+        } else {
+            if (hasYes === hasNo) throw new ApiError(400, "invalid_parameters", "Exactly one of yes_price or no_price is required");
+            const yesPrice = hasYes ? body.yes_price : 100 - body.no_price;
+            if (!Number.isInteger(yesPrice) || yesPrice < 1 || yesPrice > 99) throw new ApiError(400, "invalid_parameters", "Price must be between 1 and 99 cents");
+            sidePrice = side === "yes" ? yesPrice : 100 - yesPrice;
+        }
+
+        // Selling a side at p is buying the other side at 100 - p, then netting
+        const buySide = action === "buy" ? side : (side === "yes" ? "no" : "yes");
+        const buyPrice = action === "buy" ? sidePrice : 100 - sidePrice;
+
+        const maxCost = buyPrice * count + tradingFeeCents(buyPrice, count);
+        if (action === "buy" && maxCost > state.balance) {
+            throw new ApiError(400, "insufficient_balance", `Order cost ${maxCost}¢ exceeds balance ${state.balance}¢`);
+        }
+
+        const yesPrice = side === "yes" ? sidePrice : 100 - sidePrice;
+        const order = {
+            order_id: id("order"),
+            user_id: "mock-user",
+            client_order_id: clientOrderId || crypto.randomUUID(),
+            ticker,
+            side,
+            action,
+            type,
+            status: "resting",
+            yes_price: yesPrice,
+            no_price: 100 - yesPrice,
+            initial_count: count,
+            fill_count: 0,
+            remaining_count: count,
+            taker_fill_count: 0,
+            maker_fill_count: 0,
+            taker_fill_cost: 0,
+            maker_fill_cost: 0,
+            taker_fees: 0,
+            maker_fees: 0,
+            time_in_force: body.time_in_force || null,
+            expiration_time: body.expiration_ts ? iso(body.expiration_ts * 1000) : null,
+            created_time: iso(now()),
+            last_update_time: iso(now()),
+            _buySide: buySide,
+            _buyPrice: buyPrice
+        };
+
+        const immediate = type === "market" || ["immediate_or_cancel", "fill_or_kill"].includes(body.time_in_force);
+        if (body.time_in_force === "fill_or_kill" && available(order) < count) {
+            order.status = "canceled";
+            order.remaining_count = 0;
+        } else if (matchNow) {
+            matchAgainstBook(order, true);
+            if (immediate && order.remaining_count > 0) cancelOrder(order);
+        }
+
+        state.orders.set(order.order_id, order);
+        refreshQuotes(market);
+        publishBooks();
+        return order;
+    };
+
+    const getOrder = (orderId) => {
+        const order = state.orders.get(orderId);
+        if (!order) throw new ApiError(404, "order_not_found", `Order ${orderId} not found`);
+        return order;
+    };
+
+    // DELETE /portfolio/orders/{id}: only resting orders can be canceled
+    const cancel = (orderId) => {
+        const order = getOrder(orderId);
+        if (order.status !== "resting") throw new ApiError(400, "order_not_resting", `Order ${orderId} is ${order.status}`);
+        const reducedBy = cancelOrder(order);
+        refreshQuotes(state.markets.get(order.ticker));
+        publishBooks();
+        return { order: publicOrder(order), reduced_by: reducedBy };
+    };
+
+    const amendOrder = (orderId, body = {}) => {
+        const order = getOrder(orderId);
+        if (order.status !== "resting") throw new ApiError(400, "order_not_resting", `Order ${orderId} is ${order.status}`);
+        const old = publicOrder(order);
+
+        if (body.yes_price !== undefined || body.no_price !== undefined) {
+            const yesPrice = body.yes_price !== undefined ? body.yes_price : 100 - body.no_price;
+            if (!Number.isInteger(yesPrice) || yesPrice < 1 || yesPrice > 99) throw new ApiError(400, "invalid_parameters", "Price must be between 1 and 99 cents");
+            order.yes_price = yesPrice;
+            order.no_price = 100 - yesPrice;
+            const sidePrice = order.side === "yes" ? yesPrice : 100 - yesPrice;
+            order._buyPrice = order.action === "buy" ? sidePrice : 100 - sidePrice;
+        }
+        if (body.count !== undefined) {
+            order.remaining_count = Math.max(0, body.count - order.fill_count);
+            if (order.remaining_count === 0) order.status = order.fill_count > 0 ? "executed" : "canceled";
+        }
+        if (body.updated_client_order_id) order.client_order_id = body.updated_client_order_id;
+        order.last_update_time = iso(now());
+
+        if (order.status === "resting") matchAgainstBook(order, true);
+        refreshQuotes(state.markets.get(order.ticker));
+        publishBooks();
+        return { old_order: old, order: publicOrder(order) };
+    };
+
+    const decreaseOrder = (orderId, body = {}) => {
+        const order = getOrder(orderId);
+        if (order.status !== "resting") throw new ApiError(400, "order_not_resting", `Order ${orderId} is ${order.status}`);
+        const target = body.reduce_to !== undefined ? body.reduce_to : order.remaining_count - (body.reduce_by || 0);
+        order.remaining_count = Math.max(0, Math.min(order.remaining_count, target));
+        if (order.remaining_count === 0) order.status = order.fill_count > 0 ? "executed" : "canceled";
+        order.last_update_time = iso(now());
+        refreshQuotes(state.markets.get(order.ticker));
+        publishBooks();
+        return publicOrder(order);
+    };
+
+    /**
+     * Simulate another participant taking liquidity: buys `count` of `side` at up
+     * to `price`, filling the user's resting bids on the other side first
+     * @param {{ticker: string, side: "yes"|"no", price: number, count: number}} trade
+     * @returns {number} Contracts of the user's orders filled
+     */
+    const trade = ({ ticker, side, price, count }) => {
+        let remaining = count;
+        let filled = 0;
+        const resting = [...state.orders.values()]
+            .filter(o => o.ticker === ticker && o.status === "resting" && o._buySide !== side && 100 - o._buyPrice <= price)
+            .sort((a, b) => b._buyPrice - a._buyPrice || Date.parse(a.created_time) - Date.parse(b.created_time));
+        for (const order of resting) {
+            if (remaining === 0) break;
+            const take = Math.min(order.remaining_count, remaining);
+            recordFill(order, take, order._buyPrice, false);
+            remaining -= take;
+            filled += take;
+        }
+        const market = state.markets.get(ticker);
+        if (market) refreshQuotes(market);
+        publishBooks();
+        return filled;
+    };
+
+    return { placeOrder, getOrder, amendOrder, decreaseOrder, cancelOrder, cancel, matchAgainstBook, trade };
+}
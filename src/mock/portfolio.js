@@ -0,0 +1,151 @@
+/**
+ * Mock Kalshi portfolio - positions, fills and settlement payouts
+ * Works on the exchange's shared state: debits and credits `state.balance`,
+ * appends to `state.fills` and `state.settlements`.
+ */
+
+import { tradingFeeCents } from "../engines/fees.js";
+
+/**
+ * Create the portfolio side of a mock exchange
+ * @param {Object} options
+ * @param {Object} options.state - Exchange state (balance, markets, orders, positions, fills, settlements)
+ * @param {Function} options.now - Clock (ms)
+ * @param {(prefix: string) => string} options.id - Id generator
+ * @param {(channel: string, ticker: string, msg: Object) => void} options.broadcast - WebSocket publisher
+ * @returns {{recordFill: Function, settleMarket: Function, positionRows: Function}}
+ */
+export function createPortfolio({ state, now, id, broadcast }) {
+    const iso = (ms) => new Date(ms).toISOString();
+
+    const positionFor = (ticker) => {
+        if (!state.positions.has(ticker)) {
+            state.positions.set(ticker, { yes: 0, no: 0, yesCost: 0, noCost: 0, realizedPnl: 0, feesPaid: 0, totalTraded: 0, updatedAt: now() });
+        }
+        return state.positions.get(ticker);
+    };
+
+    // Holding YES and NO in the same market nets out at $1 per pair, like on Kalshi
+    const netPosition = (pos) => {
+        const pairs = Math.min(pos.yes, pos.no);
+        if (pairs === 0) return;
+        const yesCost = Math.round(pos.yesCost * pairs / pos.yes);
+        const noCost = Math.round(pos.noCost * pairs / pos.no);
+        pos.realizedPnl += 100 * pairs - yesCost - noCost;
+        pos.yes -= pairs;
+        pos.no -= pairs;
+        pos.yesCost -= yesCost;
+        pos.noCost -= noCost;
+        state.balance += 100 * pairs;
+    };
+
+    /**
+     * Fill `count` contracts of an order at `buyPrice`: charge the balance and
+     * the fee, update the position and the order, publish the fill
+     * @returns {Object} Fill (Kalshi shape)
+     */
+    const recordFill = (order, count, buyPrice, isTaker) => {
+        const fee = tradingFeeCents(buyPrice, count, { schedule: isTaker ? "taker" : "maker" });
+        const market = state.markets.get(order.ticker);
+        const pos = positionFor(order.ticker);
+
+        state.balance -= buyPrice * count + fee;
+        pos[order._buySide] += count;
+        pos[`${order._buySide}Cost`] += buyPrice * count;
+        pos.feesPaid += fee;
+        pos.realizedPnl -= fee;
+        pos.totalTraded += buyPrice * count;
+        pos.updatedAt = now();
+        netPosition(pos);
+
+        order.fill_count += count;
+        order.remaining_count -= count;
+        order[isTaker ? "taker_fill_count" : "maker_fill_count"] += count;
+        order[isTaker ? "taker_fill_cost" : "maker_fill_cost"] += buyPrice * count;
+        order[isTaker ? "taker_fees" : "maker_fees"] += fee;
+        order.last_update_time = iso(now());
+        if (order.remaining_count === 0) order.status = "executed";
+
+        const yesPrice = order._buySide === "yes" ? buyPrice : 100 - buyPrice;
+        market.last_price = yesPrice;
+        market.volume += count;
+        market.open_interest += count;
+
+        const fill = {
+            trade_id: id("trade"),
+            order_id: order.order_id,
+            ticker: order.ticker,
+            side: order.side,
+            action: order.action,
+            count,
+            yes_price: yesPrice,
+            no_price: 100 - yesPrice,
+            is_taker: isTaker,
+            fee_cents: fee,
+            created_time: iso(now())
+        };
+        state.fills.push(fill);
+        broadcast("fill", order.ticker, {
+            trade_id: fill.trade_id,
+            order_id: fill.order_id,
+            market_ticker: fill.ticker,
+            is_taker: isTaker,
+            side: fill.side,
+            action: fill.action,
+            count,
+            yes_price: fill.yes_price,
+            no_price: fill.no_price,
+            ts: Math.floor(now() / 1000)
+        });
+        return fill;
+    };
+
+    /**
+     * Settle a market at `value`: YES if it finished above the strike. Pays
+     * $1 per winning contract and records a settlement for the held position.
+     */
+    const settleMarket = (market, value) => {
+        const result = value > market.floor_strike ? "yes" : "no";
+        market.status = "settled";
+        market.result = result;
+        market.expiration_value = value.toFixed(2);
+
+        const pos = state.positions.get(market.ticker);
+        if (!pos || (pos.yes === 0 && pos.no === 0)) return;
+        const revenue = 100 * (result === "yes" ? pos.yes : pos.no);
+        state.balance += revenue;
+        state.settlements.push({
+            ticker: market.ticker,
+            event_ticker: market.event_ticker,
+            market_result: result,
+            yes_count: pos.yes,
+            yes_total_cost: pos.yesCost,
+            no_count: pos.no,
+            no_total_cost: pos.noCost,
+            revenue,
+            settled_time: iso(now()),
+            value: market.expiration_value
+        });
+        pos.realizedPnl += revenue - pos.yesCost - pos.noCost;
+        pos.yes = 0;
+        pos.no = 0;
+        pos.yesCost = 0;
+        pos.noCost = 0;
+        pos.updatedAt = now();
+    };
+
+    // market_positions rows of GET /portfolio/positions
+    const positionRows = () => [...state.positions.entries()].map(([ticker, pos]) => ({
+        ticker,
+        event_ticker: state.markets.get(ticker)?.event_ticker ?? null,
+        position: pos.yes - pos.no,
+        market_exposure: pos.yesCost + pos.noCost,
+        realized_pnl: pos.realizedPnl,
+        total_traded: pos.totalTraded,
+        fees_paid: pos.feesPaid,
+        resting_orders_count: [...state.orders.values()].filter(o => o.ticker === ticker && o.status === "resting").length,
+        last_updated_ts: iso(pos.updatedAt)
+    }));
+
+    return { recordFill, settleMarket, positionRows };
+}
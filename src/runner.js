@@ -1,129 +1,171 @@
 #!/usr/bin/env node
 /**
  * Kalshi BTC Auto-Trader v2 - Fixed & Reliable
- * Runs on a schedule, places orders, notifies on fill
+ * Evaluates repeatedly inside an entry window each hour, places orders, notifies on fill
  * 
  * Usage:
  *   node src/runner.js              # Run once now
- *   node src/runner.js --daemon     # Run continuously on schedule
+ *   node src/runner.js --daemon     # Run continuously, entering between :45 and :58
+ *   node src/runner.js --daemon --window 50-59   # Custom entry window
+ *   node src/runner.js --paper      # Paper trade: virtual balance, fills against the real orderbook
  */
 
 import { CONFIG } from "./config.js";
 import { fetchSpotPrice, fetchCandles, fetchTicker } from "./data/coinbase.js";
 import {
     fetchMarkets,
-    fetchOrderBook,
     getNextEventMarkets,
-    pickBestMarket,
-    parseStrikePrice,
     parseExpiration,
+    hasCredentials,
+    fetchBalance,
+    fetchMarket,
+    fetchOrderBook,
+    fetchSettlements,
+    createOrder,
     summarizeOrderBook
 } from "./data/kalshi.js";
-import { computeRsi } from "./indicators/rsi.js";
-import { computeMacd } from "./indicators/macd.js";
-import { computeHeikenAshi, countConsecutive } from "./indicators/heikenAshi.js";
+import { createKalshiFeed } from "./data/kalshiWs.js";
+import { createStreamingPriceSource } from "./data/coinbaseWs.js";
+import { fetchReferencePrice } from "./data/referencePrice.js";
+import { httpFetch } from "./data/cassette.js";
+import { createPaperLedger, simulateFill, settlePaperPositions } from "./data/paperLedger.js";
+import { followOrder } from "./data/orderLifecycle.js";
+import { createTradeJournal, createSkipJournal, reconcileJournal, summarizeJournal } from "./data/tradeJournal.js";
+import { getSettlementWindow, createSettlementSampler } from "./engines/settlement.js";
+import { DECISION_DEFAULTS, ENTRY_WINDOW_DEFAULTS, decideTrade, orderLimitPrice } from "./engines/decision.js";
+import { createEntryGate, eventFull, nextEntryTime } from "./engines/entryWindow.js";
+import { getStrategy } from "./strategies/index.js";
+import { computeNetEv } from "./engines/fees.js";
+import { RISK_DEFAULTS, checkRisk, riskState } from "./engines/risk.js";
+import { createRegimeTracker } from "./engines/regime.js";
 import * as fs from "fs";
-import * as https from "https";
-import * as http from "http";
+import * as path from "path";
 import * as crypto from "crypto";
-
-// ============================================
-// HTTP AGENTS WITH KEEP-ALIVE (SPEED OPTIMIZATION)
-// ============================================
-const httpsAgent = new https.Agent({
-    keepAlive: true,
-    keepAliveMsecs: 30000,
-    maxSockets: 10
-});
-const httpAgent = new http.Agent({
-    keepAlive: true,
-    keepAliveMsecs: 30000,
-    maxSockets: 10
-});
+import { pathToFileURL } from "url";
+import { clock } from "./utils.js";
 
 // ============================================
 // CONFIGURATION
 // ============================================
+// Decision parameters (sizing, confidence, accuracy filters, entry window) live
+// in engines/decision.js so the backtester replays the same logic; account
+// limits (loss limits, exposure, cooldown) in engines/risk.js
 const TRADE_CONFIG = {
-    positionSizePct: 10,         // Position size as % of portfolio
-    minContracts: 1,             // Minimum contracts per trade
-    maxContracts: 100,           // Maximum contracts per trade
-    runAtMinute: 54,             // Run at :54 of each hour (6 min before settlement)
-    minConfidence: 50,           // Minimum confidence to trade
-    minEdge: 0,                  // Minimum edge vs market (0 = trade if any edge)
-
-    // ACCURACY IMPROVEMENTS
-    coinFlipThreshold: 20,       // Skip if price within $X of strike (lowered for more trades)
-    momentumPenalty: 10,         // Reduce confidence by X% if momentum against us
-    maxVolatility: 0.8,          // Skip if 5-min volatility > X% (raised for more trades)
-
+    ...DECISION_DEFAULTS,
+    ...RISK_DEFAULTS,
+    ...ENTRY_WINDOW_DEFAULTS,
     maxRetries: 2,
+    orderTimeoutMs: 15000,       // Reprice or cancel a resting remainder after 15s
+    orderPollMs: 1000,
+    repriceSteps: 2,             // Raise the limit 1¢ at a time, at most twice, while edge remains
+    cancelBeforeCloseSec: 60,    // Never leave an order resting into the close
     notifyWebhook: process.env.NOTIFY_WEBHOOK || null,
     logFile: "./trades.log"
 };
 
-// ============================================
-// KALSHI API AUTH
-// ============================================
-function getKalshiAuth() {
-    const keyId = process.env.KALSHI_API_KEY_ID;
-    const keyFile = process.env.KALSHI_PRIVATE_KEY_FILE;
+// --window 50-59 overrides the entry window
+const windowArg = process.argv[process.argv.indexOf("--window") + 1];
+if (process.argv.includes("--window") && /^\d{1,2}-\d{1,2}$/.test(windowArg || "")) {
+    [TRADE_CONFIG.entryWindowStart, TRADE_CONFIG.entryWindowEnd] = windowArg.split("-").map(Number);
+}
 
-    if (!keyId || !keyFile) {
-        return null;
-    }
+// Unknown strategy names fail at startup, not at the first evaluation
+getStrategy(TRADE_CONFIG.strategy);
+
+// Paper trading: same decisions, simulated fills, separate log and ledger
+const PAPER_MODE = process.argv.includes("--paper");
+if (PAPER_MODE) TRADE_CONFIG.logFile = TRADE_CONFIG.logFile.replace(/\.log$/, "-paper.log");
+const paperLedger = PAPER_MODE
+    ? createPaperLedger({
+        file: path.join(CONFIG.dataDir, `${path.basename(TRADE_CONFIG.logFile, ".log")}.json`),
+        startBalanceCents: Math.round(CONFIG.paper.startBalance * 100)
+    })
+    : null;
+
+// Every order with its decision context; outcomes are filled in after close
+const journal = createTradeJournal({
+    file: path.join(CONFIG.dataDir, `${path.basename(TRADE_CONFIG.logFile, ".log")}-journal.jsonl`)
+});
 
-    try {
-        const privateKey = fs.readFileSync(keyFile, "utf8");
-        return { keyId, privateKey };
-    } catch (e) {
-        console.error("Failed to read Kalshi private key:", e.message);
-        return null;
-    }
+// Skipped evaluations, kept apart so a minute-by-minute window doesn't bury the
+// orders that the risk checks and settlement read
+const skipJournal = createSkipJournal({
+    file: path.join(CONFIG.dataDir, `${path.basename(TRADE_CONFIG.logFile, ".log")}-skips.jsonl`)
+});
+
+// Regime carried across an event window's evaluations, so a single reading
+// can't flip it; reset when the next event's window opens
+const regimeTracker = createRegimeTracker();
+let regimeEvent = null;
+
+// Price source: Coinbase REST by default, the WebSocket stream in daemon mode
+// when COINBASE_USE_WS=true
+let prices = { fetchSpotPrice, fetchTicker, fetchCandles };
+
+// Index samples already inside the settlement averaging window (streaming only)
+let settlementSampler = null;
+
+// Live Kalshi orderbooks for the next event's strikes, in daemon mode when
+// KALSHI_USE_WS=true
+let bookFeed = null;
+let bookSub = null;
+let bookEvent = null;
+
+// Follow the event's books, switching the subscription when the event rolls over
+function watchEventBooks(eventMarkets) {
+    const eventTicker = eventMarkets[0].event_ticker;
+    if (!bookFeed || eventTicker === bookEvent) return;
+    if (bookSub !== null) bookFeed.unsubscribe(bookSub);
+    bookEvent = eventTicker;
+    bookSub = bookFeed.subscribe(["orderbook_delta"], eventMarkets.map(m => m.ticker));
 }
 
-function signRequest(method, path, auth) {
-    // Kalshi requires:
-    // 1. RSA-PSS with SHA256
-    // 2. Timestamp in MILLISECONDS
-    // 3. Message = timestamp + method + path (NO body)
-    const timestamp = Date.now();
-    const message = `${timestamp}${method}${path}`;
-
-    // Use RSA-PSS with SHA256
-    const signature = crypto.sign("sha256", Buffer.from(message), {
-        key: auth.privateKey,
-        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
-        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+// Quotes from the live books where a snapshot has arrived, REST quotes otherwise
+function withLiveQuotes(markets) {
+    if (!bookFeed) return markets;
+    return markets.map((m) => {
+        const book = bookFeed.getOrderBook(m.ticker);
+        if (!book) return m;
+        const { bestYesBid, bestNoBid } = summarizeOrderBook(book);
+        return {
+            ...m,
+            yes_bid: bestYesBid ?? 0,
+            no_bid: bestNoBid ?? 0,
+            yes_ask: bestNoBid === null ? 100 : 100 - bestNoBid,
+            no_ask: bestYesBid === null ? 100 : 100 - bestYesBid
+        };
     });
+}
 
-    return {
-        "KALSHI-ACCESS-KEY": auth.keyId,
-        "KALSHI-ACCESS-SIGNATURE": signature.toString("base64"),
-        "KALSHI-ACCESS-TIMESTAMP": timestamp.toString()
-    };
+function settlementFor(expiration) {
+    const averaging = getSettlementWindow(CONFIG.kalshi.seriesTicker, CONFIG.settlementWindowSeconds || null);
+    if (!prices.feed || !expiration) return { ...averaging, samples: [] };
+
+    if (!settlementSampler || settlementSampler.closeMs !== expiration.getTime()) {
+        settlementSampler = createSettlementSampler({ closeTime: expiration, ...averaging });
+    }
+    return { ...averaging, samples: settlementSampler.samples() };
 }
 
 // ============================================
-// KALSHI ORDER EXECUTION (FIXED)
+// KALSHI ORDER EXECUTION
 // ============================================
-async function placeOrder({ ticker, side, count, price }, retryCount = 0) {
-    const auth = getKalshiAuth();
-    if (!auth) {
+async function placeOrder({ ticker, side, count, price }, retryCount = 0, clientOrderId = crypto.randomUUID()) {
+    if (!hasCredentials()) {
         return { success: false, error: "No Kalshi API credentials configured" };
     }
 
-    const path = "/trade-api/v2/portfolio/orders";
-
     // Use limit order just slightly above ask for fast fill without overpaying
-    const fillPrice = Math.min(99, price + 1);  // Only +1¢ buffer
+    const fillPrice = orderLimitPrice(price);  // Only +1¢ buffer
 
     const orderBody = {
         ticker,
         side,           // "yes" or "no"
         action: "buy",
         count,
-        type: "limit"
+        type: "limit",
+        // Same id on every retry so Kalshi rejects duplicates instead of double-filling
+        client_order_id: clientOrderId
     };
 
     // Must provide exactly one price field
@@ -133,134 +175,165 @@ async function placeOrder({ ticker, side, count, price }, retryCount = 0) {
         orderBody.no_price = fillPrice;
     }
 
-    const body = JSON.stringify(orderBody);
+    try {
+        const order = await createOrder(orderBody, { timeoutMs: 5000 });
+        return { success: true, order, limitPrice: fillPrice };
+    } catch (e) {
+        // Retry on API or network failure
+        if (retryCount < TRADE_CONFIG.maxRetries) {
+            notify(`⚠️ Order failed, retrying (${retryCount + 1}/${TRADE_CONFIG.maxRetries})...`);
+            await sleep(500);
+            return placeOrder({ ticker, side, count, price }, retryCount + 1, clientOrderId);
+        }
+        return { success: false, error: e.message };
+    }
+}
 
-    const headers = {
-        ...signRequest("POST", path, auth),
-        "Content-Type": "application/json"
-    };
+// Same limit price as a live order, filled against the current orderbook
+async function placePaperOrder(decision) {
+    const { ticker, side, count, price, market, expiration, strikePrice, adjustedConfidence } = decision;
+    const limitPrice = orderLimitPrice(price);
 
-    return new Promise((resolve) => {
-        const req = https.request({
-            hostname: "api.elections.kalshi.com",
-            port: 443,
-            path,
-            method: "POST",
-            headers,
-            agent: httpsAgent,  // Keep-alive for speed
-            timeout: 5000  // Reduced timeout for speed
-        }, (res) => {
-            let data = "";
-            res.on("data", chunk => data += chunk);
-            res.on("end", async () => {
-                try {
-                    const json = JSON.parse(data);
-                    if (res.statusCode === 200 || res.statusCode === 201) {
-                        resolve({ success: true, order: json });
-                    } else {
-                        // FIX #2: Retry on failure
-                        if (retryCount < TRADE_CONFIG.maxRetries) {
-                            notify(`⚠️ Order failed, retrying (${retryCount + 1}/${TRADE_CONFIG.maxRetries})...`);
-                            await sleep(500);
-                            resolve(await placeOrder({ ticker, side, count, price }, retryCount + 1));
-                        } else {
-                            resolve({ success: false, error: json.message || data });
-                        }
-                    }
-                } catch (e) {
-                    resolve({ success: false, error: data });
-                }
-            });
-        });
+    try {
+        const orderbook = bookFeed?.getOrderBook(ticker) || await fetchOrderBook(ticker);
+        const fill = simulateFill({ orderbook, side, count, limitPrice });
+        const order = paperLedger.recordOrder({
+            ticker,
+            eventTicker: market.event_ticker,
+            side,
+            count,
+            limitPrice,
+            strikePrice,
+            confidence: adjustedConfidence,
+            closeTime: expiration ? expiration.toISOString() : null
+        }, fill);
+        return { success: true, order, fill: { ...fill, limitPrice } };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+}
 
-        req.on("error", async (e) => {
-            // FIX #2: Retry on network error
-            if (retryCount < TRADE_CONFIG.maxRetries) {
-                notify(`⚠️ Network error, retrying (${retryCount + 1}/${TRADE_CONFIG.maxRetries})...`);
-                await sleep(500);
-                resolve(await placeOrder({ ticker, side, count, price }, retryCount + 1));
-            } else {
-                resolve({ success: false, error: e.message });
-            }
-        });
+// Settle paper positions whose markets have a result (the journal reports each outcome)
+async function settlePaper() {
+    const settled = await settlePaperPositions(paperLedger, fetchMarket).catch((e) => {
+        notify(`⚠️ Paper settlement check failed: ${e.message}`);
+        return [];
+    });
+    if (settled.length) notifyPaperSummary();
+}
 
-        req.on("timeout", () => {
-            req.destroy();
-            resolve({ success: false, error: "Request timeout" });
-        });
+// ============================================
+// RISK
+// ============================================
+function killSwitchReason() {
+    if (CONFIG.risk.killSwitch) return "KILL_SWITCH is set";
+    if (fs.existsSync(CONFIG.risk.killSwitchFile)) return `${CONFIG.risk.killSwitchFile} exists`;
+    return null;
+}
 
-        req.write(body);
-        req.end();
-    });
+// Filled orders already journaled for an event
+function eventEntries(eventTicker) {
+    return journal.entries().filter(e => e.eventTicker === eventTicker && e.filled > 0).length;
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function eventIsFull(eventTicker) {
+    return eventFull(journal.entries(), eventTicker, TRADE_CONFIG);
 }
 
 // ============================================
-// FETCH PORTFOLIO BALANCE
+// OUTCOMES
 // ============================================
-async function fetchBalance() {
-    const auth = getKalshiAuth();
-    if (!auth) {
-        return null;
-    }
-
-    const path = "/trade-api/v2/portfolio/balance";
-    const headers = signRequest("GET", path, auth);
-
-    return new Promise((resolve) => {
-        const req = https.request({
-            hostname: "api.elections.kalshi.com",
-            port: 443,
-            path,
-            method: "GET",
-            headers,
-            agent: httpsAgent,  // Keep-alive for speed
-            timeout: 3000  // Fast timeout
-        }, (res) => {
-            let data = "";
-            res.on("data", chunk => data += chunk);
-            res.on("end", () => {
-                try {
-                    const json = JSON.parse(data);
-                    // Balance is in cents, convert to dollars
-                    resolve(json.balance ? json.balance / 100 : null);
-                } catch (e) {
-                    resolve(null);
-                }
-            });
-        });
-        req.on("error", () => resolve(null));
-        req.end();
+// Record win/loss for every journaled trade that has closed, including any
+// that settled while the runner was not running
+async function reconcileOutcomes() {
+    const settled = await reconcileJournal(journal, {
+        fetchMarket,
+        fetchSettlements: hasCredentials() ? fetchSettlements : null
+    }).catch((e) => {
+        notify(`⚠️ Outcome check failed: ${e.message}`);
+        return [];
     });
+
+    for (const e of settled) {
+        const { won, result, payoutCents, feeCents, pnlCents } = e.outcome;
+        notify(`${won ? "🏆 WON" : "💸 LOST"}: ${e.ticker} ${e.side.toUpperCase()} x ${e.filled} settled ${result.toUpperCase()} | Payout $${(payoutCents / 100).toFixed(2)} | Fees $${(feeCents / 100).toFixed(2)} | PnL ${fmtDollars(pnlCents)}`);
+    }
+    if (settled.length) {
+        const s = summarizeJournal(journal.entries());
+        const hitRate = s.hitRate === null ? "-" : `${(s.hitRate * 100).toFixed(1)}%`;
+        notify(`📓 Journal: ${s.settled} settled, ${s.open} open | ${s.wins}W/${s.losses}L (${hitRate}) | PnL ${fmtDollars(s.pnlCents)}`);
+    }
 }
 
+// Settlement pass in flight: the 5-minute timer and runTrade both settle, and
+// overlapping passes would settle (and notify) the same trade twice
+let settling = null;
+
 /**
- * Calculate position size based on portfolio balance
- * @param {number} balanceDollars - Portfolio balance in dollars
- * @param {number} pricePerContract - Price per contract in cents
- * @returns {number} Number of contracts to buy
+ * Settle paper positions and journal outcomes, joining a pass already running
+ * @returns {Promise<void>}
  */
-function calculatePositionSize(balanceDollars, pricePerContract) {
-    if (!balanceDollars || !pricePerContract) return TRADE_CONFIG.minContracts;
+export function settleOutcomes() {
+    if (!settling) {
+        settling = (async () => {
+            if (PAPER_MODE) await settlePaper();
+            await reconcileOutcomes();
+        })().finally(() => {
+            settling = null;
+        });
+    }
+    return settling;
+}
+
+function notifyPaperSummary() {
+    const s = paperLedger.summary();
+    const hitRate = s.hitRate === null ? "-" : `${(s.hitRate * 100).toFixed(1)}%`;
+    notify(`📒 Paper ledger: $${(s.balanceCents / 100).toFixed(2)} (started $${(s.startBalanceCents / 100).toFixed(2)}) | ${s.trades} trades, ${s.open} open | ${s.wins}W/${s.losses}L (${hitRate}) | PnL ${fmtDollars(s.pnlCents)} after $${(s.feesCents / 100).toFixed(2)} fees`);
+}
+
+// Highest limit that still clears the minimum edge: the ceiling for repricing
+function maxProfitablePrice(prob, count) {
+    let ceiling = 0;
+    for (let price = 1; price < 100; price += 1) {
+        const ev = computeNetEv({ prob, priceCents: price, count, schedule: TRADE_CONFIG.feeSchedule });
+        if (ev.netEvPerContractCents > TRADE_CONFIG.minEdge) ceiling = price;
+    }
+    return ceiling;
+}
 
-    // Calculate 10% of portfolio in cents
-    const maxSpendCents = balanceDollars * 100 * (TRADE_CONFIG.positionSizePct / 100);
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    // How many contracts can we buy?
-    const contracts = Math.floor(maxSpendCents / pricePerContract);
+function fmtCents(cents) {
+    return `${cents > 0 ? "+" : ""}${cents.toFixed(1)}¢`;
+}
 
-    // Clamp to min/max
-    return Math.max(TRADE_CONFIG.minContracts, Math.min(TRADE_CONFIG.maxContracts, contracts));
+function fmtDollars(cents) {
+    return `${cents < 0 ? "-" : "+"}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+// ============================================
+// FETCH PORTFOLIO BALANCE
+// ============================================
+async function fetchBalanceDollars() {
+    if (PAPER_MODE) {
+        return paperLedger.balanceCents() / 100;
+    }
+    if (!hasCredentials()) {
+        return null;
+    }
+
+    // Balance is in cents, convert to dollars
+    const cents = await fetchBalance();
+    return Number.isFinite(cents) ? cents / 100 : null;
 }
 
 // ============================================
 // NOTIFICATION
 // ============================================
 function notify(message) {
-    const timestamp = new Date().toISOString();
+    const timestamp = clock.date().toISOString();  // Follows the recorded clock when replaying
     const logLine = `[${timestamp}] ${message}\n`;
 
     console.log(logLine);
@@ -270,126 +343,65 @@ function notify(message) {
     } catch (e) { }
 
     if (TRADE_CONFIG.notifyWebhook) {
-        const url = new URL(TRADE_CONFIG.notifyWebhook);
-        const body = JSON.stringify({ text: message });
-
-        const req = https.request({
-            hostname: url.hostname,
-            port: 443,
-            path: url.pathname,
+        httpFetch(TRADE_CONFIG.notifyWebhook, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
-        });
-        req.write(body);
-        req.end();
-    }
-}
-
-// ============================================
-// PREDICTION LOGIC (FIXED - Clearer side determination)
-// ============================================
-function calculatePrediction({ currentPrice, strikePrice, ta, expiresInMinutes }) {
-    if (!currentPrice || !strikePrice) {
-        return { side: null, confidence: 0, reason: "Missing data" };
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ text: message })
+        }).catch(() => { });
     }
-
-    const priceDistance = currentPrice - strikePrice;
-    const priceDistancePct = Math.abs(priceDistance / strikePrice) * 100;
-    const isAboveStrike = priceDistance > 0;
-
-    // FIX #3: Clearer side logic
-    // If price is ABOVE strike -> YES wins (price will be above at settlement)
-    // If price is BELOW strike -> NO wins (price will NOT be above at settlement)
-
-    // Time weighting - closer to expiry = trust price position more
-    let priceWeight;
-    if (expiresInMinutes <= 5) {
-        priceWeight = 0.95;
-    } else if (expiresInMinutes <= 10) {
-        priceWeight = 0.85;
-    } else if (expiresInMinutes <= 20) {
-        priceWeight = 0.70;
-    } else {
-        priceWeight = 0.50;
-    }
-    const taWeight = 1 - priceWeight;
-
-    // Price position confidence (how far from strike)
-    let priceConfidence;
-    if (priceDistancePct >= 0.5) {
-        priceConfidence = 90;  // Very confident if 0.5%+ away
-    } else if (priceDistancePct >= 0.2) {
-        priceConfidence = 75;
-    } else if (priceDistancePct >= 0.1) {
-        priceConfidence = 60;
-    } else {
-        priceConfidence = 50;  // Too close to call
-    }
-
-    // TA adjustment (minor influence)
-    let taAdjustment = 0;
-    if (ta?.prediction?.upProbability) {
-        const taUp = ta.prediction.upProbability;
-        if (isAboveStrike && taUp > 55) taAdjustment = 5;
-        if (isAboveStrike && taUp < 45) taAdjustment = -10;  // TA disagrees
-        if (!isAboveStrike && taUp < 45) taAdjustment = 5;
-        if (!isAboveStrike && taUp > 55) taAdjustment = -10;  // TA disagrees
-    }
-
-    // Momentum check - is price moving toward or away from strike?
-    let momentumAdjustment = 0;
-    if (ta?.delta?.["1m"]) {
-        const movingUp = ta.delta["1m"] > 0;
-        // Bad momentum = moving toward strike (could cross)
-        if (isAboveStrike && !movingUp) momentumAdjustment = -5;  // Above but falling
-        if (!isAboveStrike && movingUp) momentumAdjustment = -5;  // Below but rising
-        // Good momentum = moving away from strike
-        if (isAboveStrike && movingUp) momentumAdjustment = 3;
-        if (!isAboveStrike && !movingUp) momentumAdjustment = 3;
-    }
-
-    // Final confidence
-    const baseConfidence = priceConfidence * priceWeight + 50 * taWeight;
-    const finalConfidence = Math.max(30, Math.min(95, baseConfidence + taAdjustment + momentumAdjustment));
-
-    // Determine side based on price position
-    const side = isAboveStrike ? "yes" : "no";
-
-    return {
-        side,
-        confidence: Math.round(finalConfidence),
-        isAboveStrike,
-        priceDistancePct: priceDistancePct.toFixed(3)
-    };
 }
 
 // ============================================
 // MAIN TRADING LOGIC
 // ============================================
-async function runTrade() {
+/**
+ * Evaluate the next event once and place (or skip) an order
+ * Exported so a cassette replay can drive it; importing the runner starts nothing.
+ * @returns {Promise<string|undefined>} "event_limit" once the event is fully entered
+ */
+export async function runTrade() {
     notify("🔍 Fetching market data...");
 
     try {
-        const startTime = Date.now();
+        await settleOutcomes();
+
+        const startTime = clock.now();
+
+        // The composite reuses the streamed Coinbase ticker instead of asking REST again
+        const streamed = prices.feed?.isLive() ? prices.feed.getTicker() : null;
 
         // SPEED OPTIMIZATION: Fetch ALL data in parallel including balance
-        const [spotData, ticker, candles, markets, balance] = await Promise.all([
-            fetchSpotPrice().catch(() => ({})),
-            fetchTicker().catch(() => ({})),
-            fetchCandles({ granularity: 60, limit: 30 }).catch(() => []),
+        const [spotData, ticker, candles, markets, balance, reference] = await Promise.all([
+            prices.fetchSpotPrice().catch(() => ({})),
+            prices.fetchTicker().catch(() => ({})),
+            prices.fetchCandles({ granularity: 60, limit: CONFIG.volLookbackMinutes + 1 }).catch(() => []),
             fetchMarkets(CONFIG.kalshi.seriesTicker, "open").catch(() => []),
-            fetchBalance().catch(() => null)  // Fetch balance in parallel!
+            fetchBalanceDollars().catch(() => null),  // Fetch balance in parallel!
+            fetchReferencePrice({ live: streamed ? { coinbase: streamed } : {} }).catch(() => null)
         ]);
 
-        const fetchTime = Date.now() - startTime;
+        const fetchTime = clock.now() - startTime;
         notify(`⚡ Data fetched in ${fetchTime}ms`);
 
-        const currentPrice = spotData.price || ticker.price;
+        // Compare strikes against the multi-venue composite (closer to the settlement
+        // index than Coinbase alone), falling back to Coinbase spot
+        const coinbasePrice = spotData.price || ticker.price;
+        const currentPrice = reference?.price || coinbasePrice;
         if (!currentPrice) {
             notify("❌ No price data available");
             return;
         }
 
+        if (reference?.price) {
+            const venues = reference.venues
+                .map(v => `${v.venue} ${v.price ? `$${v.price.toFixed(2)}` : "-"}${v.included ? "" : ` (${v.reason})`}`)
+                .join(" | ");
+            notify(`🌐 Composite: $${reference.price.toFixed(2)} from ${reference.included} venues, spread $${reference.spread.toFixed(2)} (${reference.spreadBps.toFixed(1)} bps)`);
+            notify(`   ${venues}`);
+        } else {
+            notify("⚠️ Composite price unavailable, using Coinbase spot");
+        }
+
         // Find the next expiring event's markets
         const nextEventMarkets = getNextEventMarkets(markets);
         if (!nextEventMarkets || nextEventMarkets.length === 0) {
@@ -397,170 +409,191 @@ async function runTrade() {
             return;
         }
 
-        // Pick market closest to current price
-        const bestMarket = pickBestMarket(nextEventMarkets, currentPrice);
-        if (!bestMarket) {
-            notify("❌ No suitable market found near current price");
-            return;
+        // One position per event (by default), however many times the window evaluates
+        const eventTicker = nextEventMarkets[0].event_ticker;
+        if (eventIsFull(eventTicker)) {
+            notify(`✋ Already entered ${eventTicker} (${eventEntries(eventTicker)}/${TRADE_CONFIG.maxEntriesPerEvent}), waiting for the next event`);
+            return "event_limit";
         }
 
-        const strikePrice = parseStrikePrice(bestMarket);
-        const expiration = parseExpiration(bestMarket);
-        const expiresInMinutes = expiration ? Math.round((expiration.getTime() - Date.now()) / 60000) : 999;
-
-        // Calculate TA
-        let ta = null;
-        if (candles.length > 10) {
-            const closes = candles.map(c => c.close);
-            const rsiNow = computeRsi(closes, 14);
-            const macd = computeMacd(closes, 12, 26, 9);
-            const ha = computeHeikenAshi(candles);
-            const consec = countConsecutive(ha);
-
-            const delta1m = closes.length >= 2 ? closes[closes.length - 1] - closes[closes.length - 2] : 0;
-            const delta5m = closes.length >= 6 ? closes[closes.length - 1] - closes[closes.length - 6] : 0;
-
-            let taUp = 50;
-            if (rsiNow > 55) taUp += 5;
-            if (rsiNow < 45) taUp -= 5;
-            if (macd?.hist > 0) taUp += 5;
-            if (macd?.hist < 0) taUp -= 5;
-            if (consec.color === "green") taUp += 3;
-            if (consec.color === "red") taUp -= 3;
-
-            ta = {
-                prediction: { upProbability: Math.max(30, Math.min(70, taUp)) },
-                delta: { "1m": delta1m, "5m": delta5m }
-            };
+        // Settlement is an average over the last minute, not the price at close
+        const settlement = settlementFor(parseExpiration(nextEventMarkets[0]));
+        if (settlement.samples.length > 0) {
+            notify(`⏱️ Settlement window open: ${settlement.samples.length} samples observed`);
         }
 
-        // Get prediction
-        const prediction = calculatePrediction({
-            currentPrice,
-            strikePrice,
-            ta,
-            expiresInMinutes
-        });
+        watchEventBooks(nextEventMarkets);
 
-        // Log analysis
-        const distance = Math.abs(currentPrice - strikePrice).toFixed(2);
-        const direction = prediction.isAboveStrike ? "ABOVE" : "BELOW";
-
-        notify(`📊 BTC: $${currentPrice.toFixed(2)} | Strike: $${strikePrice}`);
-        notify(`📍 Price is ${direction} strike by $${distance} (${prediction.priceDistancePct}%)`);
-        notify(`🎯 Prediction: BUY ${prediction.side.toUpperCase()} @ ${prediction.confidence}% confidence`);
-        notify(`⏰ Market expires in ${expiresInMinutes} minutes`);
-
-        // ============================================
-        // ACCURACY IMPROVEMENT #1: Skip coin flips
-        // ============================================
-        const distanceFromStrike = Math.abs(currentPrice - strikePrice);
-        if (distanceFromStrike < TRADE_CONFIG.coinFlipThreshold) {
-            notify(`🎲 COIN FLIP: Price only $${distanceFromStrike.toFixed(0)} from strike (< $${TRADE_CONFIG.coinFlipThreshold}). Skipping.`);
-            return;
+        if (eventTicker !== regimeEvent) {
+            regimeTracker.reset();
+            regimeEvent = eventTicker;
         }
 
-        // ============================================
-        // ACCURACY IMPROVEMENT #2: Momentum check
-        // ============================================
-        let adjustedConfidence = prediction.confidence;
-        if (candles.length >= 3) {
-            const recentCloses = candles.slice(-3).map(c => c.close);
-            const momentum = recentCloses[2] - recentCloses[0];  // Last 3 min movement
-            const movingTowardStrike = (prediction.isAboveStrike && momentum < 0) ||
-                (!prediction.isAboveStrike && momentum > 0);
-
-            if (movingTowardStrike) {
-                adjustedConfidence -= TRADE_CONFIG.momentumPenalty;
-                notify(`⚠️ Momentum against us! Confidence adjusted: ${prediction.confidence}% → ${adjustedConfidence}%`);
-            }
+        const decision = decideTrade({
+            currentPrice,
+            candles,
+            eventMarkets: withLiveQuotes(nextEventMarkets),
+            balance,
+            eventExposureCents: riskState(journal.entries()).exposureByEvent[eventTicker] || 0,
+            settlement,
+            config: TRADE_CONFIG,
+            regimeTracker,
+            log: notify
+        });
+        if (decision.action !== "BUY") {
+            // Skips are journaled too, so gating can be tuned against what happened next
+            skipJournal.record({
+                id: `skip-${clock.now()}`,
+                mode: PAPER_MODE ? "paper" : "live",
+                ticker: decision.ticker || null,
+                eventTicker,
+                side: decision.side || null,
+                filled: 0,
+                costCents: 0,
+                feeCents: 0,
+                skipped: {
+                    reason: decision.reason,
+                    message: decision.message,
+                    phase: decision.phase || null,
+                    regime: decision.regime || null,
+                    regimeReason: decision.regimeReason || null,
+                    confidence: decision.confidence ?? null,
+                    strikePrice: decision.strikePrice ?? null,
+                    expiresInMinutes: decision.expiresInMinutes ?? null,
+                    btcPrice: currentPrice
+                }
+            });
+            return;
         }
 
-        // ============================================
-        // ACCURACY IMPROVEMENT #3: Volatility filter
-        // ============================================
-        if (candles.length >= 5) {
-            const recentCandles = candles.slice(-5);
-            const high = Math.max(...recentCandles.map(c => c.high));
-            const low = Math.min(...recentCandles.map(c => c.low));
-            const volatilityPct = ((high - low) / currentPrice) * 100;
-
-            if (volatilityPct > TRADE_CONFIG.maxVolatility) {
-                notify(`🌊 HIGH VOLATILITY: ${volatilityPct.toFixed(2)}% in last 5 min (> ${TRADE_CONFIG.maxVolatility}%). Skipping.`);
-                return;
-            }
-        }
+        const { ticker: marketTicker, side, price: askPrice, orderEv, expiresInMinutes } = decision;
 
-        // Validate prediction makes sense
-        if (!prediction.side) {
-            notify("❌ Could not determine side. Skipping.");
+        // Account limits come last: they may block or shrink the order
+        const risk = checkRisk({
+            entries: journal.entries(),
+            order: { eventTicker: decision.market.event_ticker, count: decision.count, priceCents: orderLimitPrice(askPrice) },
+            limits: TRADE_CONFIG,
+            killSwitch: killSwitchReason()
+        });
+        if (!risk.ok) {
+            notify(risk.message);
+            journal.record({
+                id: `blocked-${clock.now()}`,
+                mode: PAPER_MODE ? "paper" : "live",
+                ticker: marketTicker,
+                eventTicker: decision.market.event_ticker,
+                side,
+                count: decision.count,
+                askPrice,
+                filled: 0,
+                costCents: 0,
+                feeCents: 0,
+                blocked: { reason: risk.reason, message: risk.message }
+            });
             return;
         }
-
-        // Check minimum confidence (using adjusted)
-        if (adjustedConfidence < TRADE_CONFIG.minConfidence) {
-            notify(`⚠️ Confidence too low (${adjustedConfidence}% < ${TRADE_CONFIG.minConfidence}%). Skipping.`);
-            return;
+        const contractCount = risk.count;
+        if (contractCount < decision.count) {
+            notify(`✂️ Exposure limits: order reduced from ${decision.count} to ${contractCount} contracts`);
         }
 
-        // Get the ask price for our side (market's implied probability)
-        const askPrice = prediction.side === "yes" ? bestMarket.yes_ask : bestMarket.no_ask;
+        // Place the order
+        notify(`🚀 Placing ${PAPER_MODE ? "paper " : ""}order: BUY ${side.toUpperCase()} x ${contractCount}`);
+        notify(`   Ticker: ${marketTicker}`);
+
+        const result = PAPER_MODE
+            ? await placePaperOrder({ ...decision, count: contractCount })
+            : await placeOrder({
+                ticker: marketTicker,
+                side,
+                count: contractCount,
+                price: askPrice
+            });
 
-        if (!askPrice || askPrice >= 100) {
-            notify(`⚠️ Ask price too high or unavailable (${askPrice}¢). Skipping.`);
+        if (!result.success) {
+            notify(`❌ Order failed: ${result.error}`);
             return;
         }
 
-        // EDGE CALCULATION: Compare our prediction vs market price
-        // askPrice = market's implied probability (in cents = %)
-        // Our confidence = our calculated probability
-        // Edge = how much we disagree with the market
-        const marketProb = askPrice;  // 60¢ = market thinks 60% chance
-        const ourProb = prediction.confidence;
-        const edge = ourProb - marketProb;
-
-        notify(`📊 Market odds: ${marketProb}% | Our calc: ${ourProb}% | Edge: ${edge > 0 ? '+' : ''}${edge}%`);
-
-        // REMOVED: Edge requirement - trade regardless of market pricing
-        // Trust our prediction, not the market
-        if (edge > 0) {
-            notify(`✅ Positive edge: +${edge}%`);
-        } else {
-            notify(`📉 Negative edge: ${edge}% (trading anyway!)`);
+        // A limit order can rest or fill partially: follow it and report what really executed
+        if (!PAPER_MODE) {
+            notify(`📨 Order ${result.order.order_id} placed at ${result.limitPrice}¢ (${result.order.status})`);
+            result.fill = await followOrder(result.order, {
+                side,
+                limitPrice: result.limitPrice,
+                closeTime: decision.expiration,
+                timeoutMs: TRADE_CONFIG.orderTimeoutMs,
+                pollMs: TRADE_CONFIG.orderPollMs,
+                repriceSteps: TRADE_CONFIG.repriceSteps,
+                maxPrice: maxProfitablePrice(orderEv.prob, contractCount),
+                cancelBeforeCloseMs: TRADE_CONFIG.cancelBeforeCloseSec * 1000,
+                log: notify
+            });
         }
 
-        // Balance already fetched in parallel above - check it's valid
-        if (!balance) {
-            notify("❌ Could not fetch portfolio balance. Skipping.");
+        const { filled, avgPrice, costCents, feeCents, limitPrice, cancelReason } = result.fill;
+        journal.record({
+            id: PAPER_MODE ? result.order.id : result.order.order_id,
+            mode: PAPER_MODE ? "paper" : "live",
+            ticker: marketTicker,
+            eventTicker: decision.market.event_ticker,
+            side,
+            count: contractCount,
+            askPrice,
+            limitPrice,
+            filled,
+            avgPrice,
+            costCents,
+            feeCents,
+            reprices: result.fill.reprices || 0,
+            cancelReason: cancelReason || null,
+            confidence: decision.adjustedConfidence,
+            closeTime: decision.expiration ? decision.expiration.toISOString() : null,
+            features: {
+                btcPrice: currentPrice,
+                coinbasePrice: coinbasePrice || null,
+                referenceSpread: reference?.spread ?? null,
+                strikePrice: decision.strikePrice,
+                distance: currentPrice - decision.strikePrice,
+                expiresInMinutes,
+                strategy: decision.prediction.strategy,
+                modelProbUp: decision.prediction.details.modelProbUp ?? null,
+                modelConfidence: decision.confidence,
+                sigmaPerMinute: decision.prediction.details.sigmaPerMinute ?? null,
+                recentVolPct: decision.recentVolPct,
+                phase: decision.phase,
+                regime: decision.regime,
+                edge: decision.edge,
+                taUpProbability: decision.ta?.prediction?.upProbability ?? null,
+                delta1m: decision.ta?.delta?.["1m"] ?? null,
+                delta5m: decision.ta?.delta?.["5m"] ?? null,
+                settlementSamples: settlement.samples.length,
+                netEvPerContractCents: decision.perContract.netEvPerContractCents,
+                kelly: decision.sizing.kelly,
+                balance
+            }
+        });
+        const prefix = PAPER_MODE ? "📝 PAPER " : "";
+        if (filled === 0) {
+            const why = PAPER_MODE
+                ? `no ${side.toUpperCase()} liquidity at ${limitPrice}¢ or better`
+                : `canceled ${cancelReason === "market_close" ? "before close" : "after timeout"} at ${limitPrice}¢`;
+            notify(`⌛ ${prefix}ORDER NOT FILLED: ${why}`);
             return;
         }
 
-        const contractCount = calculatePositionSize(balance, askPrice);
-        const estimatedCost = (askPrice * contractCount / 100).toFixed(2);
-        const pctOfPortfolio = ((askPrice * contractCount / 100) / balance * 100).toFixed(1);
+        const pctOfPortfolio = (costCents / 100 / balance * 100).toFixed(1);
+        const netEvCents = orderEv.prob * 100 * filled - costCents - feeCents;
 
-        notify(`💰 Portfolio: $${balance.toFixed(2)} | Sizing: ${TRADE_CONFIG.positionSizePct}% = ${contractCount} contracts`);
+        notify(filled < contractCount ? `🟡 ${prefix}PARTIAL FILL: ${filled} of ${contractCount}` : `✅ ${prefix}ORDER FILLED!`);
+        notify(`   ${marketTicker}`);
+        notify(`   ${side.toUpperCase()} x ${filled} @ ${avgPrice.toFixed(1)}¢ avg`);
+        notify(`   Cost: $${(costCents / 100).toFixed(2)} (${pctOfPortfolio}% of portfolio) + $${(feeCents / 100).toFixed(2)} fees`);
+        notify(`   Net EV: ${fmtCents(netEvCents)} on the fill`);
+        notify(`   Expires: ${expiresInMinutes} min`);
+        if (PAPER_MODE) notifyPaperSummary();
 
-        // Place the order
-        notify(`🚀 Placing order: BUY ${prediction.side.toUpperCase()} x ${contractCount}`);
-        notify(`   Ticker: ${bestMarket.ticker}`);
-
-        const result = await placeOrder({
-            ticker: bestMarket.ticker,
-            side: prediction.side,
-            count: contractCount,
-            price: askPrice
-        });
-
-        if (result.success) {
-            notify(`✅ ORDER FILLED!`);
-            notify(`   ${bestMarket.ticker}`);
-            notify(`   ${prediction.side.toUpperCase()} x ${contractCount} @ ~${askPrice}¢`);
-            notify(`   Cost: ~$${estimatedCost} (${pctOfPortfolio}% of portfolio)`);
-            notify(`   Expires: ${expiresInMinutes} min`);
-        } else {
-            notify(`❌ Order failed: ${result.error}`);
-        }
+        if (eventIsFull(eventTicker)) return "event_limit";
 
     } catch (err) {
         notify(`❌ Error: ${err.message}`);
@@ -569,48 +602,68 @@ async function runTrade() {
 }
 
 // ============================================
-// SCHEDULER (FIXED - uses setInterval for reliability)
+// SCHEDULER (entry window, checked every second)
 // ============================================
 function getNextRunTime() {
-    const now = new Date();
-    const next = new Date(now);
+    return nextEntryTime(clock.date(), TRADE_CONFIG);
+}
 
-    next.setMinutes(TRADE_CONFIG.runAtMinute);
-    next.setSeconds(0);
-    next.setMilliseconds(0);
+async function startDaemon() {
+    notify(`🤖 Kalshi Auto-Trader v2 started${PAPER_MODE ? " (PAPER)" : ""}`);
 
-    if (next <= now) {
-        next.setHours(next.getHours() + 1);
+    if (CONFIG.coinbase.useWebSocket) {
+        try {
+            prices = await createStreamingPriceSource({
+                onError: (e) => notify(`⚠️ Coinbase WebSocket error: ${e.message}`)
+            });
+            prices.feed.on("ticker", (t) => settlementSampler?.add(t.price, Date.parse(t.timestamp) || clock.now()));
+            notify("📡 Streaming BTC prices from Coinbase WebSocket");
+        } catch (e) {
+            notify(`⚠️ Coinbase WebSocket unavailable (${e.message}), using REST`);
+        }
     }
 
-    return next;
-}
-
-function startDaemon() {
-    notify(`🤖 Kalshi Auto-Trader v2 started`);
-    notify(`📅 Runs at :${TRADE_CONFIG.runAtMinute} each hour`);
-    notify(`💵 Position sizing: ${TRADE_CONFIG.positionSizePct}% of portfolio`);
-    notify(`🎯 Min confidence: ${TRADE_CONFIG.minConfidence}%`);
-
-    let lastRunHour = -1;  // Track last run to prevent double-runs
-
-    // Check every 10 seconds for reliable triggering
-    const checkAndRun = async () => {
-        const now = new Date();
-        const hour = now.getHours();
-        const minute = now.getMinutes();
-
-        // Run if we're at the target minute and haven't run this hour yet
-        if (minute === TRADE_CONFIG.runAtMinute && lastRunHour !== hour) {
-            lastRunHour = hour;
-            notify(`⏰ Triggered at ${now.toLocaleTimeString()}`);
-            await runTrade();
+    if (CONFIG.kalshi.useWebSocket) {
+        const feed = createKalshiFeed();
+        feed.on("error", (e) => notify(`⚠️ Kalshi WebSocket error: ${e.message}`));
+        try {
+            await feed.connect();
+            bookFeed = feed;
+            notify("📡 Streaming Kalshi orderbooks over WebSocket");
+        } catch (e) {
+            feed.close();
+            notify(`⚠️ Kalshi WebSocket unavailable (${e.message}), using REST quotes`);
         }
-    };
+    }
+
+    notify(`📅 Entry window :${String(TRADE_CONFIG.entryWindowStart).padStart(2, "0")}-:${String(TRADE_CONFIG.entryWindowEnd).padStart(2, "0")} each hour, evaluating every ${TRADE_CONFIG.evalIntervalSec}s, max ${TRADE_CONFIG.maxEntriesPerEvent} entr${TRADE_CONFIG.maxEntriesPerEvent === 1 ? "y" : "ies"} per event`);
+    notify(`💵 Position sizing: ${TRADE_CONFIG.kellyMultiplier}x Kelly, max ${TRADE_CONFIG.maxTradePct}% per trade / ${TRADE_CONFIG.maxEventPct}% per event`);
+    notify(`🎯 Strategy: ${TRADE_CONFIG.strategy} | Min confidence: ${TRADE_CONFIG.minConfidence}%`);
+    notify(`🛡️ Risk: max loss $${TRADE_CONFIG.maxDailyLoss}/day, $${TRADE_CONFIG.maxWeeklyLoss}/week | exposure $${TRADE_CONFIG.maxEventExposure}/event, $${TRADE_CONFIG.maxTotalExposure} total | ${TRADE_CONFIG.maxTradesPerDay} trades/day | cooldown ${TRADE_CONFIG.cooldownMinutes} min after ${TRADE_CONFIG.maxConsecutiveLosses} losses`);
+    notify(`   Kill switch: KILL_SWITCH=1 or create ${CONFIG.risk.killSwitchFile}`);
+
+    if (PAPER_MODE) {
+        notify(`📝 Paper trading, ledger ${paperLedger.file}`);
+        notifyPaperSummary();
+    }
+
+    // Catch up on outcomes missed while stopped, then keep checking:
+    // results are published a few minutes after close
+    notify(`📓 Journal: ${journal.file}`);
+    setInterval(settleOutcomes, 5 * 60_000);
+    await settleOutcomes();
+
+    // One evaluation at a time, evalIntervalSec apart, none once the hour's event is full
+    const gate = createEntryGate(TRADE_CONFIG);
+
+    const checkAndRun = () => gate.run((now) => {
+        notify(`⏰ Evaluating at ${now.toLocaleTimeString()}`);
+        return runTrade();
+    });
 
     // Initial status
     const next = getNextRunTime();
-    const delay = Math.round((next.getTime() - Date.now()) / 60000);
+    const delay = Math.round((next.getTime() - clock.now()) / 60000);
     notify(`⏳ Next run at ${next.toLocaleTimeString()} (in ${delay} min)`);
 
     // Check every 1 second for FASTEST triggering
@@ -624,10 +677,11 @@ function startDaemon() {
 // ENTRY POINT
 // ============================================
 const args = process.argv.slice(2);
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
 
-if (args.includes("--daemon")) {
+if (isMain && args.includes("--daemon")) {
     startDaemon();
-} else {
+} else if (isMain) {
     runTrade().then(() => {
         if (!args.includes("--no-exit")) {
             process.exit(0);
@@ -0,0 +1,74 @@
+import { lognormalStrategy } from "./lognormal.js";
+import { timeWeightedStrategy } from "./timeWeighted.js";
+import { taScoreStrategy } from "./taScore.js";
+import { createIndicatorCache } from "../indicators/index.js";
+import { clock } from "../utils.js";
+
+/**
+ * Strategy interface
+ *
+ *   { name, description, predict(inputs) -> prediction }
+ *
+ * inputs:
+ *   market     - Kalshi market being priced (strike, asks, close time)
+ *   book       - summarizeOrderBook() of its orderbook, or null
+ *   candles    - 1-minute Coinbase candles, oldest first
+ *   spot       - Current BTC price
+ *   clock      - { now, expiration, minutesLeft }
+ *   settlement - Settlement window from getSettlementWindow(), or null
+ *   side       - "yes" | "no" to price a side chosen elsewhere, or null to let the strategy pick
+ *   indicators - Indicator cache over `candles`: indicators.get("wilderRsi", {period: 14});
+ *                predict() creates one when the caller doesn't pass it
+ *
+ * prediction:
+ *   side        - "yes" | "no", or null when the strategy cannot decide
+ *   probability - Chance the side wins (0-1), null with side
+ *   explanation - Short human-readable reasons
+ *   details     - Strategy-specific numbers for logs and the journal
+ */
+
+const registry = new Map();
+
+export function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.predict !== "function") {
+    throw new Error("A strategy needs a name and a predict() function");
+  }
+  registry.set(strategy.name, strategy);
+  return strategy;
+}
+
+export function unregisterStrategy(name) {
+  return registry.delete(name);
+}
+
+export function getStrategy(name) {
+  const strategy = registry.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown strategy "${name}" (available: ${listStrategies().map((s) => s.name).join(", ")})`);
+  }
+  return strategy;
+}
+
+export function listStrategies() {
+  return [...registry.values()];
+}
+
+// Clock for a market: time left until its close
+export function strategyClock(expiration, now = clock.now()) {
+  return {
+    now,
+    expiration,
+    minutesLeft: expiration ? (expiration.getTime() - now) / 60000 : null
+  };
+}
+
+// Run a strategy by name, tagging the result with the strategy that produced it
+export function predict(name, inputs) {
+  const strategy = getStrategy(name);
+  const indicators = inputs.indicators || createIndicatorCache(inputs.candles || []);
+  return { strategy: strategy.name, ...strategy.predict({ ...inputs, indicators }) };
+}
+
+registerStrategy(lognormalStrategy);
+registerStrategy(timeWeightedStrategy);
+registerStrategy(taScoreStrategy);
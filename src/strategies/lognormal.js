@@ -0,0 +1,79 @@
+import { CONFIG } from "../config.js";
+import { parseStrikePrice } from "../data/kalshi.js";
+import { priceStrikeMarket } from "../engines/strikeProbability.js";
+import { computeTa } from "./ta.js";
+
+// The auto-trader's model: lognormal strike probability, nudged a few points by TA and momentum
+export const lognormalStrategy = {
+  name: "lognormal",
+  description: "Lognormal P(settle above strike) from realized volatility, small TA and momentum nudges",
+
+  predict({ market, candles, spot, clock, settlement = null, side: chosenSide = null }) {
+    const strikePrice = parseStrikePrice(market);
+    if (!spot || !strikePrice) {
+      return { side: null, probability: null, explanation: ["Missing data"], details: {} };
+    }
+
+    // P(BTC > strike at close) from spot, time left and realized volatility
+    const model = priceStrikeMarket({
+      spot,
+      strike: strikePrice,
+      expiration: clock.expiration,
+      candles,
+      now: clock.now,
+      estimator: CONFIG.volEstimator,
+      lookback: CONFIG.volLookbackMinutes,
+      minSigmaPerMinute: CONFIG.minSigmaPerMinute,
+      settlement
+    });
+
+    if (model.probUp === null) {
+      return { side: null, probability: null, explanation: ["Could not price strike (missing expiry or volatility)"], details: {} };
+    }
+
+    // YES if settlement above strike is more likely, unless the caller picked the side
+    const side = chosenSide || (model.probUp >= 0.5 ? "yes" : "no");
+    const sideUp = side === "yes";
+    const modelConfidence = (sideUp ? model.probUp : model.probDown) * 100;
+    const ta = computeTa(candles);
+
+    // TA adjustment (minor influence)
+    let taAdjustment = 0;
+    if (ta?.prediction?.upProbability) {
+      const taUp = ta.prediction.upProbability;
+      if (sideUp && taUp > 55) taAdjustment = 2;
+      if (sideUp && taUp < 45) taAdjustment = -4;  // TA disagrees
+      if (!sideUp && taUp < 45) taAdjustment = 2;
+      if (!sideUp && taUp > 55) taAdjustment = -4;  // TA disagrees
+    }
+
+    // Momentum check - is price moving with or against our side?
+    let momentumAdjustment = 0;
+    if (ta?.delta?.["1m"]) {
+      const movingUp = ta.delta["1m"] > 0;
+      if (sideUp && !movingUp) momentumAdjustment = -2;  // YES but falling
+      if (!sideUp && movingUp) momentumAdjustment = -2;  // NO but rising
+      if (sideUp && movingUp) momentumAdjustment = 1;
+      if (!sideUp && !movingUp) momentumAdjustment = 1;
+    }
+
+    const confidence = Math.round(Math.max(1, Math.min(99, modelConfidence + taAdjustment + momentumAdjustment)));
+
+    const explanation = [`Model P(above) ${(model.probUp * 100).toFixed(1)}%, σ ${(model.sigmaPerMinute * 100).toFixed(3)}%/min`];
+    if (taAdjustment !== 0) explanation.push(`TA ${taAdjustment > 0 ? "agrees" : "disagrees"} (${taAdjustment > 0 ? "+" : ""}${taAdjustment})`);
+    if (momentumAdjustment !== 0) explanation.push(`Momentum ${momentumAdjustment > 0 ? "favorable" : "unfavorable"} (${momentumAdjustment > 0 ? "+" : ""}${momentumAdjustment})`);
+
+    return {
+      side,
+      probability: confidence / 100,
+      explanation,
+      details: {
+        modelProbUp: model.probUp,
+        sigmaPerMinute: model.sigmaPerMinute,
+        expectedMove: model.expectedMove,
+        minutesLeft: model.minutesLeft,
+        ta
+      }
+    };
+  }
+};
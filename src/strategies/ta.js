@@ -0,0 +1,38 @@
+import { computeRsi } from "../indicators/rsi.js";
+import { computeMacd } from "../indicators/macd.js";
+import { computeHeikenAshi, countConsecutive } from "../indicators/heikenAshi.js";
+
+// How loudly RSI, MACD and Heiken Ashi vote on P(up): lognormal only nudges
+// its model with TA, time-weighted blends TA in as a score of its own
+export const TA_WEIGHTS = {
+  nudge: { minCandles: 11, rsiBand: 5, rsi: 5, macd: 5, heikenAshi: 3, heikenAshiMaxRun: 1, range: [30, 70] },
+  blend: { minCandles: 1, rsiBand: 10, rsi: 10, macd: 10, heikenAshi: 5, heikenAshiMaxRun: 3, range: [10, 90] }
+};
+
+// TA vote on direction plus the last 1- and 5-minute moves, or null without enough candles
+export function computeTa(candles, weights = TA_WEIGHTS.nudge) {
+  if (candles.length < weights.minCandles) return null;
+
+  const closes = candles.map((c) => c.close);
+  const rsiNow = computeRsi(closes, 14);
+  const macd = computeMacd(closes, 12, 26, 9);
+  const consec = countConsecutive(computeHeikenAshi(candles));
+
+  const delta1m = closes.length >= 2 ? closes[closes.length - 1] - closes[closes.length - 2] : 0;
+  const delta5m = closes.length >= 6 ? closes[closes.length - 1] - closes[closes.length - 6] : 0;
+
+  const heikenAshi = weights.heikenAshi * Math.min(consec.count, weights.heikenAshiMaxRun);
+  let taUp = 50;
+  if (rsiNow !== null && rsiNow > 50 + weights.rsiBand) taUp += weights.rsi;
+  if (rsiNow !== null && rsiNow < 50 - weights.rsiBand) taUp -= weights.rsi;
+  if (macd?.hist > 0) taUp += weights.macd;
+  if (macd?.hist < 0) taUp -= weights.macd;
+  if (consec.color === "green") taUp += heikenAshi;
+  if (consec.color === "red") taUp -= heikenAshi;
+
+  const [low, high] = weights.range;
+  return {
+    prediction: { upProbability: Math.max(low, Math.min(high, taUp)) },
+    delta: { "1m": delta1m, "5m": delta5m }
+  };
+}
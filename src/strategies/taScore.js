@@ -0,0 +1,73 @@
+import { CONFIG } from "../config.js";
+import { computeVwapSeries, computeVwapSlope } from "../indicators/vwap.js";
+import { computeRsi, slopeLast } from "../indicators/rsi.js";
+import { createIndicatorCache } from "../indicators/index.js";
+import { scoreDirection, applyTimeAwareness } from "../engines/probability.js";
+
+const EVENT_MINUTES = 60;  // Hourly events: a full hour left means full TA weight
+
+export function directionInputs(candles, spot = null, indicators = createIndicatorCache(candles)) {
+  const closes = candles.map((c) => c.close);
+  const price = spot ?? closes[closes.length - 1] ?? null;
+
+  const vwapSeries = computeVwapSeries(candles);
+  const vwap = vwapSeries[vwapSeries.length - 1] ?? null;
+  const vwapSlope = computeVwapSlope(vwapSeries, CONFIG.vwapSlopeLookbackMinutes);  // Same slope as the regime and the "vwap" indicator
+
+  const rsiSeries = [];
+  for (let i = Math.max(0, closes.length - 3); i < closes.length; i += 1) {
+    const rsi = computeRsi(closes.slice(0, i + 1), CONFIG.rsiPeriod);
+    if (rsi !== null) rsiSeries.push(rsi);
+  }
+
+  const consec = indicators.get("heikenAshi");
+
+  // Dropped back under VWAP right after closing above it
+  const failedVwapReclaim = vwap !== null && vwapSeries.length >= 2 && closes.length >= 2
+    ? closes[closes.length - 1] < vwap && closes[closes.length - 2] > vwapSeries[vwapSeries.length - 2]
+    : false;
+
+  return {
+    price,
+    vwap,
+    vwapSlope,
+    rsi: rsiSeries[rsiSeries.length - 1] ?? null,
+    rsiSlope: rsiSeries.length >= 2 ? slopeLast(rsiSeries, rsiSeries.length) : null,
+    macd: indicators.get("macd"),
+    heikenColor: consec.color,
+    heikenCount: consec.count,
+    failedVwapReclaim
+  };
+}
+
+// Indicator vote for the direction of BTC, faded toward 50/50 as the event runs out.
+// Direction only: P(up) is read as P(YES), so it is best suited to strikes near spot.
+export const taScoreStrategy = {
+  name: "ta-score",
+  description: "VWAP/RSI/MACD/Heiken Ashi direction vote, faded toward 50% as expiry nears",
+
+  predict({ candles, spot, clock, indicators, side: chosenSide = null }) {
+    if (!candles?.length) {
+      return { side: null, probability: null, explanation: ["No candles"], details: {} };
+    }
+
+    const inputs = directionInputs(candles, spot, indicators);
+    const { upScore, downScore, rawUp } = scoreDirection(inputs);
+    const { timeDecay, adjustedUp } = applyTimeAwareness(rawUp, clock.minutesLeft ?? EVENT_MINUTES, EVENT_MINUTES);
+
+    const side = chosenSide || (adjustedUp >= 0.5 ? "yes" : "no");
+    const probability = side === "yes" ? adjustedUp : 1 - adjustedUp;
+
+    const explanation = [`Score up ${upScore} / down ${downScore}`];
+    if (inputs.vwap !== null) explanation.push(`Price ${inputs.price > inputs.vwap ? "above" : "below"} VWAP`);
+    if (inputs.failedVwapReclaim) explanation.push("Failed VWAP reclaim");
+    explanation.push(`Time decay ${(timeDecay * 100).toFixed(0)}%`);
+
+    return {
+      side,
+      probability: Math.min(0.99, Math.max(0.01, probability)),
+      explanation,
+      details: { upScore, downScore, rawUp, timeDecay, inputs }
+    };
+  }
+};
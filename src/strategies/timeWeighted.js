@@ -0,0 +1,110 @@
+import { CONFIG } from "../config.js";
+import { parseStrikePrice } from "../data/kalshi.js";
+import { scaleVol } from "../indicators/volatility.js";
+import { priceStrikeMarket } from "../engines/strikeProbability.js";
+import { computeTa, TA_WEIGHTS } from "./ta.js";
+
+// With lots of time TA matters more; close to expiry price position dominates
+function timeWeights(minutesLeft) {
+  if (minutesLeft <= 5) return { ta: 0.05, price: 0.95 };
+  if (minutesLeft <= 15) return { ta: 0.20, price: 0.80 };
+  if (minutesLeft <= 30) return { ta: 0.40, price: 0.60 };
+  return { ta: 0.60, price: 0.40 };
+}
+
+// tool.js's model: strike probability and TA blended by time left, plus momentum,
+// orderbook imbalance and a volatility penalty
+export const timeWeightedStrategy = {
+  name: "time-weighted",
+  description: "Strike probability and TA blended by time left, with momentum, orderbook and volatility adjustments",
+
+  predict({ market, book = null, candles, spot, clock, settlement = null, side: chosenSide = null }) {
+    const strikePrice = parseStrikePrice(market);
+    if (!spot || !strikePrice) {
+      return { side: null, probability: null, explanation: ["Missing data"], details: {} };
+    }
+
+    const priceDistance = spot - strikePrice;
+    const priceDistancePct = Math.abs(priceDistance / strikePrice) * 100;
+    const isAboveStrike = priceDistance > 0;
+    const minutesLeft = clock.minutesLeft ?? 999;
+    const weights = timeWeights(minutesLeft);
+
+    // Lognormal P(price > strike at close), in percent
+    const model = priceStrikeMarket({
+      spot,
+      strike: strikePrice,
+      expiration: clock.expiration,
+      candles,
+      now: clock.now,
+      estimator: CONFIG.volEstimator,
+      lookback: CONFIG.volLookbackMinutes,
+      minSigmaPerMinute: CONFIG.minSigmaPerMinute,
+      settlement
+    });
+    const priceScore = model.probUp === null ? 50 : model.probUp * 100;
+
+    const ta = computeTa(candles, TA_WEIGHTS.blend);
+    const taScore = ta?.prediction?.upProbability || 50;
+
+    // Moving toward the strike is bad, moving away is good
+    let momentumAdj = 0;
+    if (ta?.delta?.["1m"]) {
+      const delta1m = ta.delta["1m"];
+      if (isAboveStrike && delta1m < 0) momentumAdj = -5;
+      if (!isAboveStrike && delta1m > 0) momentumAdj = -5;
+      if (isAboveStrike && delta1m > 0) momentumAdj = 5;
+      if (!isAboveStrike && delta1m < 0) momentumAdj = 5;
+    }
+
+    // A book heavily weighted to one side nudges slightly
+    let orderbookAdj = 0;
+    const total = (book?.yesLiquidity || 0) + (book?.noLiquidity || 0);
+    if (total > 0) {
+      const yesBias = book.yesLiquidity / total;
+      if (yesBias > 0.6) orderbookAdj = 3;
+      if (yesBias < 0.4) orderbookAdj = -3;
+    }
+
+    // Realized 1σ move over the next 5 minutes, as % of price
+    let volatilityPenalty = 0;
+    const sigma5m = scaleVol(model.sigmaPerMinute, 5);
+    if (sigma5m !== null) {
+      if (sigma5m * 100 > 0.2) volatilityPenalty = 10;
+      if (sigma5m * 100 > 0.4) volatilityPenalty = 20;
+    }
+
+    const combinedScore = (priceScore * weights.price) + (taScore * weights.ta) + momentumAdj + orderbookAdj;
+    const finalConfidence = Math.max(1, Math.min(99, combinedScore - volatilityPenalty));
+
+    const side = chosenSide || (finalConfidence > 50 ? "yes" : "no");
+    const confidence = Math.round(side === "yes" ? finalConfidence : 100 - finalConfidence);
+
+    const explanation = [];
+    if (priceDistancePct > 0.1) {
+      explanation.push(`Price $${Math.abs(priceDistance).toFixed(0)} ${isAboveStrike ? "ABOVE" : "BELOW"} strike`);
+    }
+    if (minutesLeft <= 15) {
+      explanation.push(`${Math.round(minutesLeft)}min left (price-weighted)`);
+    }
+    if (momentumAdj !== 0) {
+      explanation.push(`Momentum ${momentumAdj > 0 ? "favorable" : "unfavorable"}`);
+    }
+    if (volatilityPenalty > 0) {
+      explanation.push(`Volatility penalty -${volatilityPenalty}`);
+    }
+
+    return {
+      side,
+      probability: confidence / 100,
+      explanation,
+      details: {
+        modelProbUp: model.probUp,
+        sigmaPerMinute: model.sigmaPerMinute,
+        expectedMove: model.expectedMove,
+        weights,
+        ta
+      }
+    };
+  }
+};
@@ -1,6 +1,19 @@
 import fs from "node:fs";
 import path from "node:path";
 
+// Every time read in the tool goes through clock.now() so a cassette replay or
+// a test can swap in its own time source with setClock() (null restores it)
+let timeSource = null;
+
+export const clock = {
+  now: () => (timeSource ? timeSource() : Date.now()),
+  date: () => new Date(clock.now())
+};
+
+export function setClock(source) {
+  timeSource = source;
+}
+
 export function clamp(x, min, max) {
   return Math.max(min, Math.min(max, x));
 }
@@ -23,7 +36,7 @@ export function formatPct(x, digits = 2) {
 }
 
 export function getCandleWindowTiming(windowMinutes) {
-  const nowMs = Date.now();
+  const nowMs = clock.now();
   const windowMs = windowMinutes * 60_000;
   const startMs = Math.floor(nowMs / windowMs) * windowMs;
   const endMs = startMs + windowMs;
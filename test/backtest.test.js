@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runBacktest } from "../src/engines/backtest.js";
+import { DECISION_DEFAULTS, ENTRY_WINDOW_DEFAULTS } from "../src/engines/decision.js";
+import { RISK_DEFAULTS } from "../src/engines/risk.js";
+import { MINUTE, risingCandles, eventMarkets } from "./fixtures.js";
+
+const HOUR = 60 * MINUTE;
+const start = Date.parse("2026-10-19T12:00:00Z");
+const config = { ...DECISION_DEFAULTS, ...RISK_DEFAULTS, ...ENTRY_WINDOW_DEFAULTS };
+
+// Three hourly events quoted every minute; strikes below $99,900 settle YES
+const candles = risingCandles(start + 3 * HOUR, { count: 240, step: 0.5 });
+const snapshots = [];
+const results = {};
+for (let h = 0; h < 3; h += 1) {
+  const markets = eventMarkets(start + (h + 1) * HOUR, undefined, `KXBTCD-EV${h}`);
+  for (const m of markets) results[m.ticker] = m.floor_strike < 99_900 ? "yes" : "no";
+  for (let m = 0; m < 60; m += 1) snapshots.push({ time: start + h * HOUR + m * MINUTE, markets });
+}
+
+const run = (extra = {}, runAtMinute = null) => runBacktest({ candles, snapshots, results, runAtMinute, config: { ...config, ...extra } });
+const minutes = (report) => report.tradeLog.map((t) => t.time.slice(11, 16));
+
+test("enters once per event, at the first evaluation in the window that passes", () => {
+  const report = run();
+  assert.deepEqual(report.window, { start: 45, end: 58 });
+  assert.deepEqual(minutes(report), ["12:45", "13:45", "14:45"]);
+  assert.equal(report.wins, 3);
+  assert.equal(report.evaluations, 3);
+});
+
+test("a one-minute window evaluates only at that minute", () => {
+  const report = run({}, 54);
+  assert.deepEqual(report.window, { start: 54, end: 54 });
+  assert.deepEqual(minutes(report), ["12:54", "13:54", "14:54"]);
+});
+
+test("later entries in an event are sized against its open exposure", () => {
+  const report = run({ maxEntriesPerEvent: 2 });
+  assert.deepEqual(minutes(report), ["12:45", "12:46", "13:45", "13:46", "14:45", "14:46"]);
+  const [, , , , third, fourth] = report.tradeLog;
+  assert.ok(fourth.count < third.count);
+});
+
+test("PnL reaches the balance when the market closes", () => {
+  const [first, second] = run().tradeLog;
+  assert.equal(first.balance, 100 + first.pnlCents / 100);
+  assert.equal(second.balance, first.balance + second.pnlCents / 100);
+});
+
+test("account risk limits block entries", () => {
+  const report = run({ maxTradesPerDay: 2 });
+  assert.deepEqual(minutes(report), ["12:45", "13:45"]);
+  assert.equal(report.skips.max_trades_per_day, 14);
+});
+
+test("no snapshots means no hours evaluated", () => {
+  const report = runBacktest({ candles, snapshots: [], results, config });
+  assert.equal(report.hours, 0);
+  assert.equal(report.trades, 0);
+});
+
+test("entries fill at the runner's ask + 1¢ limit", () => {
+  const [first] = run().tradeLog;
+  assert.equal(first.price, first.ask + 1);
+  assert.equal(first.costCents, first.price * first.count + first.feeCents);
+});
+
+test("sizing sees the cash left after unsettled positions", () => {
+  const balances = [];
+  const log = (line) => {
+    const match = line.match(/^💰 Portfolio: \$([\d.]+)/);
+    if (match) balances.push(Number(match[1]));
+  };
+  const report = runBacktest({ candles, snapshots, results, config: { ...config, maxEntriesPerEvent: 2 }, log });
+  const [first] = report.tradeLog;
+  assert.equal(balances[0], 100);
+  assert.equal(balances[1], Number((100 - first.costCents / 100).toFixed(2)));
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { CONFIG } from "../src/config.js";
+import { startReplay, stopReplay } from "../src/data/cassette.js";
+import { createCandleStore, fillGaps } from "../src/data/candleStore.js";
+import { setClock } from "../src/utils.js";
+import { MINUTE } from "./fixtures.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "candles-test-"));
+const midnight = Date.parse("2026-10-19T00:00:00Z");
+const t = (minutes) => midnight + minutes * MINUTE;
+
+setClock(() => t(60));
+test.after(() => {
+  stopReplay();
+  setClock(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const candle = (minutes, close) => ({ time: t(minutes), open: close - 1, high: close + 2, low: close - 2, close, volume: 3 });
+const flat = (minutes, close) => ({ time: t(minutes), open: close, high: close, low: close, close, volume: 0 });
+
+test("fillGaps carries the previous close through missing minutes", () => {
+  const candles = [candle(0, 100), candle(3, 103)];
+  assert.deepEqual(fillGaps(candles), [candle(0, 100), flat(1, 100), flat(2, 100), candle(3, 103)]);
+  assert.equal(candles.length, 2);
+});
+
+test("fillGaps fills from start after `previous` and up to end", () => {
+  assert.deepEqual(fillGaps([candle(2, 102)], { start: t(0), end: t(4), previous: candle(-1, 99) }), [
+    flat(0, 99), flat(1, 99), candle(2, 102), flat(3, 102)
+  ]);
+  // Nothing before the first candle to carry, so the leading gap stays open
+  assert.deepEqual(fillGaps([candle(2, 102)], { start: t(0), end: t(3) }), [candle(2, 102)]);
+  assert.deepEqual(fillGaps([], { start: t(0), end: t(2), previous: candle(-1, 99) }), [flat(0, 99), flat(1, 99)]);
+});
+
+// A cassette interaction for one Coinbase candle page, rows newest first as Coinbase sends them
+function page(startMinutes, endMinutes, candles) {
+  const url = new URL(`${CONFIG.coinbase.exchangeUrl}/products/BTC-USD/candles`);
+  url.searchParams.set("granularity", "60");
+  url.searchParams.set("start", new Date(t(startMinutes)).toISOString());
+  url.searchParams.set("end", new Date(t(endMinutes)).toISOString());
+  const rows = [...candles].reverse().map((c) => [c.time / 1000, c.low, c.high, c.open, c.close, c.volume]);
+  return {
+    time: new Date(t(60)).toISOString(),
+    request: { method: "GET", url: url.href },
+    response: { status: 200, headers: { "content-type": "application/json" }, body: JSON.stringify(rows) }
+  };
+}
+
+test("backfill fills gaps and splits the range into UTC day files", async () => {
+  const store = createCandleStore({ dir, productId: "BTC-USD" });
+  // 23:55 through 00:04, with no trades at 23:57, 23:58, 00:00 and 00:04
+  startReplay([
+    page(-5, 4, [candle(-5, 95), candle(-4, 96), candle(-1, 99), candle(1, 101), candle(2, 102), candle(3, 103)])
+  ], { freezeClock: false });
+
+  const stats = await store.backfill({ start: t(-5), end: t(5), pageDelayMs: 0 });
+  assert.deepEqual(stats, { requests: 1, fetched: 6, filled: 4, days: 2 });
+  assert.deepEqual(store.days(), ["2026-10-18", "2026-10-19"]);
+
+  const lines = (day) => fs.readFileSync(path.join(store.root, `${day}.jsonl`), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(lines("2026-10-18"), [candle(-5, 95), candle(-4, 96), flat(-3, 96), flat(-2, 96), candle(-1, 99)]);
+  assert.deepEqual(lines("2026-10-19"), [flat(0, 99), candle(1, 101), candle(2, 102), candle(3, 103), flat(4, 103)]);
+
+  // Read back across midnight as one continuous series
+  assert.deepEqual(store.query({ start: t(-2), end: t(2) }).map((c) => c.time), [t(-2), t(-1), t(0), t(1)]);
+});
+
+test("backfill skips pages already stored and carries the stored close into a new page", async () => {
+  const store = createCandleStore({ dir, productId: "BTC-USD" });
+  assert.deepEqual(await store.backfill({ start: t(-5), end: t(5), pageDelayMs: 0 }), { requests: 0, fetched: 0, filled: 0, days: 0 });
+
+  // 00:05 had no trades: it takes the close stored for 00:04 on disk
+  startReplay([page(5, 7, [candle(6, 106), candle(7, 107)])], { freezeClock: false });
+  const stats = await store.backfill({ start: t(5), end: t(8), pageDelayMs: 0 });
+  assert.deepEqual([stats.requests, stats.filled], [1, 1]);
+  assert.deepEqual(store.query({ start: t(4), end: t(8) }).slice(0, 2), [flat(4, 103), flat(5, 103)]);
+});
+
+test("backfill leaves the forming minute and the one before it for later", async () => {
+  const store = createCandleStore({ dir, productId: "BTC-USD" });
+  // The clock is at 01:00, so the last closed minute stored is 00:58
+  startReplay([page(57, 58, [candle(57, 157), candle(58, 158)])], { freezeClock: false });
+  const stats = await store.backfill({ start: t(57), end: t(61), pageDelayMs: 0 });
+  assert.equal(stats.requests, 1);
+  assert.deepEqual(store.query({ start: t(57), end: t(61) }).map((c) => c.time), [t(57), t(58)]);
+});
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG } from "../src/config.js";
+import { createCandleBuilder, createCoinbaseFeed, createStreamingPriceSource } from "../src/data/coinbaseWs.js";
+import { createIndicatorSet } from "../src/indicators/streaming.js";
+import { MINUTE, startWsServer, waitFor } from "./fixtures.js";
+
+const base = Math.floor(Date.now() / MINUTE) * MINUTE - 10 * MINUTE;
+const at = (minute, second = 0) => base + minute * MINUTE + second * 1000;
+
+function restCandle(minute, close) {
+  return { time: at(minute), open: close - 1, high: close + 2, low: close - 2, close, volume: 3 };
+}
+
+test("skipped minutes are left missing and reported", () => {
+  const gaps = [];
+  const closed = [];
+  const builder = createCandleBuilder({ onClose: (c) => closed.push(c.time), onGap: (g) => gaps.push(g) });
+
+  builder.addTrade({ price: 100, size: 1, time: at(0, 5) });
+  builder.addTrade({ price: 101, size: 1, time: at(1, 5) });
+  builder.addTrade({ price: 104, size: 1, time: at(4, 5) });
+
+  assert.deepEqual(closed, [at(0), at(1)]);
+  assert.deepEqual(gaps, [{ start: at(2), end: at(4) }]);
+  assert.deepEqual(builder.getGaps(), gaps);
+  assert.deepEqual(builder.getCandles().map((c) => c.time), [at(0), at(1), at(4)]);
+});
+
+test("fill() backfills the gap and closes it", () => {
+  const builder = createCandleBuilder();
+  builder.addTrade({ price: 100, size: 1, time: at(0, 5) });
+  builder.addTrade({ price: 104, size: 1, time: at(3, 5) });
+
+  // Candles outside the gap (or already built) are ignored
+  const added = builder.fill([restCandle(0, 90), restCandle(1, 101), restCandle(2, 102)]);
+
+  assert.deepEqual(added, [restCandle(1, 101), restCandle(2, 102)]);
+  assert.deepEqual(builder.getGaps(), []);
+  assert.deepEqual(builder.getCandles().map((c) => [c.time, c.close]), [[at(0), 100], [at(1), 101], [at(2), 102], [at(3), 104]]);
+});
+
+test("a gap stays open until REST reaches its last minute", () => {
+  const builder = createCandleBuilder();
+  builder.addTrade({ price: 100, size: 1, time: at(0, 5) });
+  builder.addTrade({ price: 104, size: 1, time: at(4, 5) });
+
+  builder.fill([restCandle(1, 101)]);
+  assert.deepEqual(builder.getGaps(), [{ start: at(1), end: at(4) }]);
+
+  // Minute 2 had no trades, so Coinbase has no candle for it
+  builder.fill([restCandle(1, 101), restCandle(3, 103)]);
+  assert.deepEqual(builder.getGaps(), []);
+  assert.deepEqual(builder.getCandles().map((c) => c.time), [at(0), at(1), at(3), at(4)]);
+});
+
+test("the feed backfills minutes missed while reconnecting", async () => {
+  let connections = 0;
+  const server = await startWsServer((ws) => {
+    connections += 1;
+    const trades = connections === 1 ? [[0, 100], [1, 101]] : [[4, 104]];
+    ws.on("message", () => {
+      for (const [minute, price] of trades) {
+        ws.send(JSON.stringify({ type: "match", price: String(price), size: "0.5", side: "buy", time: new Date(at(minute, 10)).toISOString() }));
+      }
+    });
+  });
+
+  const requests = [];
+  const feed = createCoinbaseFeed({
+    url: server.url,
+    fetchPage: async (range) => {
+      requests.push(range);
+      return [restCandle(1, 101), restCandle(2, 102), restCandle(3, 103)];
+    }
+  });
+  const closed = [];
+  feed.on("candle", (c) => closed.push(c.time));
+
+  try {
+    await feed.connect();
+    await waitFor(feed, "match", (t) => t.time === at(1, 10));
+
+    server.dropClients();
+    await waitFor(feed, "candle", (c) => c.time === at(3));
+
+    assert.deepEqual(requests, [{ granularity: 60, start: at(2), end: at(3) }]);
+    assert.deepEqual(closed, [at(0), at(1), at(2), at(3)]);
+    assert.deepEqual(feed.candles.getGaps(), []);
+    assert.deepEqual(feed.candles.getCandles().map((c) => c.time), [at(0), at(1), at(2), at(3), at(4)]);
+  } finally {
+    const done = waitFor(feed, "close");
+    feed.close();
+    await done;
+    await server.close();
+  }
+});
+
+test("a gap backfilled after later candles closed is folded into the indicators", async () => {
+  const server = await startWsServer((ws) => {
+    ws.on("message", () => {
+      for (const [minute, price] of [[0, 100], [1, 101], [4, 104], [5, 105]]) {
+        ws.send(JSON.stringify({ type: "match", price: String(price), size: "0.5", side: "buy", time: new Date(at(minute, 10)).toISOString() }));
+      }
+    });
+  });
+
+  // REST answers only once minute 4 has closed, so the backfill lands behind the head
+  let answer;
+  const page = new Promise((resolve) => (answer = resolve));
+  const source = await createStreamingPriceSource({
+    url: server.url,
+    onError: () => {},
+    fetchHistory: async () => [],
+    fetchPage: () => page
+  });
+  const { feed } = source;
+
+  try {
+    await waitFor(feed, "candle", (c) => c.time === at(4));
+    const backfilled = waitFor(feed, "candle", (c) => c.time === at(3));
+    answer([restCandle(2, 102), restCandle(3, 103)]);
+    await backfilled;
+
+    const expected = createIndicatorSet({
+      rsiPeriod: CONFIG.rsiPeriod,
+      macdFast: CONFIG.macdFast,
+      macdSlow: CONFIG.macdSlow,
+      macdSignal: CONFIG.macdSignal,
+      vwapWindow: 240
+    });
+    const all = feed.candles.getCandles();
+    assert.deepEqual(all.map((c) => c.time), [at(0), at(1), at(2), at(3), at(4), at(5)]);
+    for (const c of all) expected.update(c);
+    assert.deepEqual(source.getIndicators(), expected.values());
+  } finally {
+    const done = waitFor(feed, "close");
+    feed.close();
+    await done;
+    await server.close();
+  }
+});
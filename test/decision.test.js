@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DECISION_DEFAULTS, decideTrade } from "../src/engines/decision.js";
+import { lognormalStrategy } from "../src/strategies/lognormal.js";
+import { registerStrategy, unregisterStrategy } from "../src/strategies/index.js";
+import { MINUTE, risingCandles, eventMarkets } from "./fixtures.js";
+
+const now = Date.parse("2026-10-19T14:57:00Z");
+
+function decide(extra = {}) {
+  return decideTrade({
+    currentPrice: 100_000,
+    candles: risingCandles(now),
+    eventMarkets: eventMarkets(now + 3 * MINUTE),
+    balance: 100,
+    now,
+    ...extra
+  });
+}
+
+test("decideTrade buys the best strike, capped per trade", () => {
+  const decision = decide();
+  assert.equal(decision.action, "BUY");
+  assert.equal(decision.side, "yes");
+  assert.equal(decision.price, 70);
+  assert.deepEqual(decision.sizing.caps, ["per_trade"]);
+});
+
+test("exposure already in the event shrinks the order", () => {
+  const fresh = decide();
+  const partial = decide({ eventExposureCents: 1500 });
+  assert.equal(partial.action, "BUY");
+  assert.ok(partial.count < fresh.count);
+  assert.ok(partial.sizing.caps.includes("per_event"));
+});
+
+test("a full event leaves nothing to size", () => {
+  const decision = decide({ eventExposureCents: 2000 });
+  assert.equal(decision.action, "SKIP");
+  assert.equal(decision.reason, "zero_size");
+});
+
+test("a model without an expected move still logs and decides", (t) => {
+  t.after(() => unregisterStrategy("no-move"));
+  registerStrategy({
+    name: "no-move",
+    predict: (inputs) => {
+      const prediction = lognormalStrategy.predict(inputs);
+      return { ...prediction, details: { ...prediction.details, expectedMove: null } };
+    }
+  });
+  const lines = [];
+  const decision = decide({ config: { ...DECISION_DEFAULTS, strategy: "no-move" }, log: (line) => lines.push(line) });
+  assert.equal(decision.action, "BUY");
+  assert.ok(!lines.some((line) => line.startsWith("📐")));
+});
+
+test("a strategy backing the other side than the ladder skips", (t) => {
+  t.after(() => unregisterStrategy("contrarian"));
+  registerStrategy({
+    name: "contrarian",
+    predict: (inputs) => {
+      const prediction = lognormalStrategy.predict(inputs);
+      return { ...prediction, side: prediction.side === "yes" ? "no" : "yes", probability: 1 - prediction.probability };
+    }
+  });
+  const decision = decide({ config: { ...DECISION_DEFAULTS, strategy: "contrarian" } });
+  assert.equal(decision.action, "SKIP");
+  assert.equal(decision.reason, "side_disagrees");
+  assert.equal(decision.side, "no");
+});
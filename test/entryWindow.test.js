@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { inEntryWindow, nextEntryTime, eventFull, createEntryGate } from "../src/engines/entryWindow.js";
+import { ENTRY_WINDOW_DEFAULTS } from "../src/engines/decision.js";
+import { clock, setClock } from "../src/utils.js";
+
+// Local wall-clock times, as the runner reads them
+const at = (hour, minute, second = 0) => new Date(2026, 9, 19, hour, minute, second);
+
+let now = at(14, 0);
+setClock(() => now.getTime());
+test.after(() => setClock(null));
+
+test("the entry window runs from :45:00 through :58:59", () => {
+  const cases = [
+    [at(14, 44, 59), false],
+    [at(14, 45, 0), true],
+    [at(14, 50, 30), true],
+    [at(14, 58, 59), true],
+    [at(14, 59, 0), false],
+    [at(15, 0, 0), false]
+  ];
+  for (const [date, expected] of cases) assert.equal(inEntryWindow(date), expected, date.toTimeString());
+
+  now = at(14, 45);
+  assert.equal(inEntryWindow(), true);
+  assert.equal(inEntryWindow(clock.date(), { entryWindowStart: 50, entryWindowEnd: 55 }), false);
+});
+
+test("nextEntryTime is now inside the window, else the next :45", () => {
+  assert.deepEqual(nextEntryTime(at(14, 10, 12)), at(14, 45));
+  assert.deepEqual(nextEntryTime(at(14, 44, 59)), at(14, 45));
+  assert.deepEqual(nextEntryTime(at(14, 52)), at(14, 52));
+  assert.deepEqual(nextEntryTime(at(14, 59)), at(15, 45));
+  assert.deepEqual(nextEntryTime(at(23, 59, 30)), at(24, 45));
+
+  now = at(9, 3);
+  assert.deepEqual(nextEntryTime(), at(9, 45));
+});
+
+test("eventFull counts only filled entries in the same event", () => {
+  const entries = [
+    { eventTicker: "KXBTCD-A", filled: 0 },
+    { eventTicker: "KXBTCD-B", filled: 3 }
+  ];
+  assert.equal(eventFull(entries, "KXBTCD-A"), false);
+  assert.equal(eventFull(entries, "KXBTCD-B"), true);
+  assert.equal(eventFull(entries, "KXBTCD-B", { maxEntriesPerEvent: 2 }), false);
+  assert.equal(eventFull([...entries, { eventTicker: "KXBTCD-B", filled: 1 }], "KXBTCD-B", { maxEntriesPerEvent: 2 }), true);
+});
+
+test("the gate evaluates once per interval inside the window", async () => {
+  const gate = createEntryGate();
+  const runs = [];
+  const evaluate = (date) => { runs.push(date.getTime()); };
+
+  now = at(14, 44, 59);
+  assert.deepEqual(await gate.run(evaluate), { skipped: "outside_window" });
+
+  now = at(14, 45);
+  assert.deepEqual(await gate.run(evaluate), { result: undefined });
+  now = at(14, 45, ENTRY_WINDOW_DEFAULTS.evalIntervalSec - 1);
+  assert.deepEqual(await gate.run(evaluate), { skipped: "too_soon" });
+  now = at(14, 45, ENTRY_WINDOW_DEFAULTS.evalIntervalSec);
+  assert.deepEqual(await gate.run(evaluate), { result: undefined });
+
+  assert.deepEqual(runs, [at(14, 45).getTime(), at(14, 46).getTime()]);
+});
+
+test("the gate runs one evaluation at a time", async () => {
+  const gate = createEntryGate();
+  let release;
+  now = at(14, 50);
+  const first = gate.run(() => new Promise((resolve) => { release = resolve; }));
+
+  now = at(14, 52);
+  assert.equal(gate.blocked(), "running");
+  release("done");
+  assert.deepEqual(await first, { result: "done" });
+  assert.equal(gate.blocked(), null);
+});
+
+test("once the event is full the gate waits for the next hour", async () => {
+  const gate = createEntryGate();
+  now = at(14, 47);
+  assert.deepEqual(await gate.run(() => "event_limit"), { result: "event_limit" });
+
+  now = at(14, 55);
+  assert.equal(gate.blocked(), "event_done");
+  now = at(15, 45);
+  assert.equal(gate.blocked(), null);
+});
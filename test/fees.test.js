@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tradingFeeCents, computeNetEv, TAKER_FEE_RATE, MAKER_FEE_RATE } from "../src/engines/fees.js";
+
+// Kalshi's fee table: fee = ceil(rate · C · P · (1 - P)) rounded up to the cent.
+// Rows are [price ¢, contracts, taker fee ¢, maker fee ¢].
+const table = [
+  [1, 1, 1, 1],
+  [10, 1, 1, 1],
+  [50, 1, 2, 1],
+  [90, 1, 1, 1],
+  [99, 1, 1, 1],
+  [1, 100, 7, 2],
+  [5, 100, 34, 9],
+  [10, 100, 63, 16],
+  [25, 100, 132, 33],
+  [50, 100, 175, 44],
+  [75, 100, 132, 33],
+  [90, 100, 63, 16],
+  [99, 100, 7, 2]
+];
+
+test("the taker and maker rates are 7% and 1.75%", () => {
+  assert.equal(TAKER_FEE_RATE, 0.07);
+  assert.equal(MAKER_FEE_RATE, 0.0175);
+});
+
+test("tradingFeeCents matches the fee table for both schedules", () => {
+  for (const [price, count, taker, maker] of table) {
+    assert.equal(tradingFeeCents(price, count), taker, `taker ${count} @ ${price}¢`);
+    assert.equal(tradingFeeCents(price, count, { schedule: "maker" }), maker, `maker ${count} @ ${price}¢`);
+  }
+});
+
+test("the whole order is rounded up once, per-contract rounding is an upper bound", () => {
+  // 0.07 · 0.5 · 0.5 = 1.75¢ a contract: 10 contracts are 17.5¢ -> 18¢, or 2¢ each
+  assert.equal(tradingFeeCents(50, 10), 18);
+  assert.equal(tradingFeeCents(50, 10, { rounding: "contract" }), 20);
+  // Exactly whole cents are not pushed up by float noise: 0.07 · 100 · 0.5 · 0.5 = 175¢
+  assert.equal(tradingFeeCents(50, 100), 175);
+});
+
+test("tradingFeeCents charges nothing outside 1-99¢ and rejects unknown schedules", () => {
+  assert.equal(tradingFeeCents(0, 10), 0);
+  assert.equal(tradingFeeCents(100, 10), 0);
+  assert.equal(tradingFeeCents(50, 0), 0);
+  assert.equal(tradingFeeCents(50, 100, { schedule: 0.035 }), 88);
+  assert.throws(() => tradingFeeCents(50, 1, { schedule: "vip" }), /Unknown fee schedule/);
+});
+
+test("computeNetEv nets the fee out of the expected payout", () => {
+  const ev = computeNetEv({ prob: 0.7, priceCents: 60, count: 10 });
+  // Fee: 0.07 · 10 · 0.6 · 0.4 = 16.8¢ -> 17¢, 1.7¢ a contract
+  assert.equal(ev.feeCents, 17);
+  assert.ok(Math.abs(ev.grossEvPerContractCents - 10) < 1e-9);
+  assert.ok(Math.abs(ev.netEvPerContractCents - 8.3) < 1e-9);
+  assert.ok(Math.abs(ev.netEvCents - 83) < 1e-9);
+  assert.equal(ev.costCents, 617);
+  assert.ok(Math.abs(ev.breakEvenProb - 0.617) < 1e-9);
+
+  assert.equal(computeNetEv({ prob: null, priceCents: 60 }), null);
+  assert.equal(computeNetEv({ prob: 0.7, priceCents: 100 }), null);
+});
@@ -0,0 +1,79 @@
+import http from "node:http";
+import { acceptKey, wrapSocket } from "../src/data/websocket.js";
+
+// Shared test data: a gently rising hour of 1-minute candles, a small strike
+// ladder for one hourly event, and a local WebSocket server.
+
+export const MINUTE = 60_000;
+
+export function risingCandles(endMs, { count = 60, start = 99_800, step = 3 } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const p = start + i * step + (i % 2 ? 4 : -4);
+    return { time: endMs - (count - i) * MINUTE, open: p - 2, high: p + 6, low: p - 6, close: p + 2, volume: 5 + (i % 3) };
+  });
+}
+
+export function eventMarkets(closeMs, strikes = [[99_500, 80], [99_750, 70], [100_250, 10]], eventTicker = "KXBTCD-26OCT1911") {
+  const close = new Date(closeMs).toISOString();
+  return strikes.map(([strike, yesAsk]) => ({
+    ticker: `${eventTicker}-T${(strike - 0.01).toFixed(2)}`,
+    event_ticker: eventTicker,
+    floor_strike: strike - 0.01,
+    strike_type: "greater",
+    status: "active",
+    close_time: close,
+    expiration_time: close,
+    yes_ask: yesAsk,
+    yes_bid: yesAsk - 2,
+    no_ask: 102 - yesAsk,
+    no_bid: 100 - yesAsk
+  }));
+}
+
+// WebSocket server on a free local port; onSocket(ws) gets each connection
+export async function startWsServer(onSocket) {
+  const sockets = new Set();
+  const server = http.createServer((req, res) => res.writeHead(404).end());
+  server.on("upgrade", (req, socket, head) => {
+    socket.write([
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${acceptKey(req.headers["sec-websocket-key"])}`,
+      "",
+      ""
+    ].join("\r\n"));
+    const ws = wrapSocket(socket, { mask: false, head });
+    sockets.add(ws);
+    ws.on("close", () => sockets.delete(ws));
+    ws.on("error", () => sockets.delete(ws));
+    onSocket(ws);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    dropClients: () => sockets.forEach((ws) => ws.terminate()),
+    close: () => new Promise((resolve) => {
+      sockets.forEach((ws) => ws.terminate());
+      server.close(resolve);
+    })
+  };
+}
+
+// Resolve with the first `event` payload from `emitter` that passes `accept`
+export function waitFor(emitter, event, accept = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    const listener = (payload) => {
+      if (!accept(payload)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolve(payload);
+    };
+    emitter.on(event, listener);
+  });
+}
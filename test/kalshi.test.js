@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { CONFIG } from "../src/config.js";
+import {
+  hasCredentials,
+  getAuthHeaders,
+  fetchBalance,
+  fetchMarket,
+  fetchOrders,
+  createOrder,
+  amendOrder,
+  batchCancelOrders
+} from "../src/data/kalshi.js";
+
+// A local server that records each request and answers with an empty object
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+    const delay = body.includes("SLOW") ? 500 : 0;
+    setTimeout(() => res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify({ balance: 1234, order: { ticker: "T" } })), delay);
+  });
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+const previous = { kalshi: { ...CONFIG.kalshi }, cassette: { ...CONFIG.cassette } };
+Object.assign(CONFIG.kalshi, {
+  baseUrl: `http://127.0.0.1:${server.address().port}/trade-api/v2`,
+  apiKeyId: "test-key",
+  privateKey: privateKey.export({ type: "pkcs8", format: "pem" })
+});
+
+test.after(async () => {
+  Object.assign(CONFIG.kalshi, previous.kalshi);
+  Object.assign(CONFIG.cassette, previous.cassette);
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const verify = (message, signature) => crypto.verify("sha256", Buffer.from(message), {
+  key: publicKey,
+  padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+  saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+}, Buffer.from(signature, "base64"));
+
+// The signed string is timestamp + METHOD + full pathname, nothing else
+function assertSigned(request, method, pathname) {
+  const timestamp = request.headers["kalshi-access-timestamp"];
+  const signature = request.headers["kalshi-access-signature"];
+  assert.equal(request.headers["kalshi-access-key"], "test-key");
+  assert.ok(verify(`${timestamp}${method}${pathname}`, signature), `signature over ${method} ${pathname}`);
+}
+
+const last = () => requests[requests.length - 1];
+
+test("getAuthHeaders signs timestamp, upper-case method and path", () => {
+  const headers = getAuthHeaders("get", "/trade-api/v2/portfolio/balance");
+  const timestamp = headers["KALSHI-ACCESS-TIMESTAMP"];
+  assert.match(timestamp, /^\d{13}$/);
+  assert.ok(verify(`${timestamp}GET/trade-api/v2/portfolio/balance`, headers["KALSHI-ACCESS-SIGNATURE"]));
+  assert.ok(!verify(`${timestamp}GET/portfolio/balance`, headers["KALSHI-ACCESS-SIGNATURE"]));
+});
+
+test("a query string is sent but left out of the signature", async () => {
+  await fetchOrders({ ticker: "KXBTCD-26OCT1917-T99749.99", status: "resting", cursor: undefined });
+  const request = last();
+  assert.equal(request.url, "/trade-api/v2/portfolio/orders?ticker=KXBTCD-26OCT1917-T99749.99&status=resting");
+  assertSigned(request, "GET", "/trade-api/v2/portfolio/orders");
+});
+
+test("POST and DELETE bodies are sent as JSON but not signed", async () => {
+  await createOrder({ ticker: "T", side: "yes", action: "buy", count: 3, type: "limit", yes_price: 41 });
+  let request = last();
+  assertSigned(request, "POST", "/trade-api/v2/portfolio/orders");
+  assert.equal(request.headers["content-type"], "application/json");
+  assert.equal(request.body.yes_price, 41);
+  assert.match(request.body.client_order_id, /^[0-9a-f-]{36}$/);
+
+  await amendOrder("ord-1", { ticker: "T", side: "yes", action: "buy", count: 2, yes_price: 42 });
+  assertSigned(last(), "POST", "/trade-api/v2/portfolio/orders/ord-1/amend");
+
+  await batchCancelOrders(["ord-1", "ord-2"]);
+  request = last();
+  assertSigned(request, "DELETE", "/trade-api/v2/portfolio/orders/batched");
+  assert.deepEqual(request.body, { ids: ["ord-1", "ord-2"] });
+});
+
+test("public reads go out unsigned", async () => {
+  await fetchMarket("KXBTCD-26OCT1917-T99749.99");
+  assert.equal(last().headers["kalshi-access-signature"], undefined);
+});
+
+test("a request slower than timeoutMs is aborted", async () => {
+  await assert.rejects(createOrder({ ticker: "SLOW", count: 1 }, { timeoutMs: 50 }), { name: "TimeoutError" });
+});
+
+test("missing keys fail authenticated calls, replaying or not", async () => {
+  const apiKeyId = CONFIG.kalshi.apiKeyId;
+  CONFIG.kalshi.apiKeyId = "";
+  try {
+    for (const mode of ["off", "replay"]) {
+      CONFIG.cassette.mode = mode;
+      assert.equal(hasCredentials(), false);
+      await assert.rejects(fetchBalance(), /credentials not configured/);
+    }
+  } finally {
+    CONFIG.kalshi.apiKeyId = apiKeyId;
+    CONFIG.cassette.mode = previous.cassette.mode;
+  }
+  assert.equal(await fetchBalance(), 1234);
+});
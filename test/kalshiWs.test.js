@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createKalshiFeed } from "../src/data/kalshiWs.js";
+import { startWsServer, waitFor } from "./fixtures.js";
+
+// Recorded orderbook messages, one round per subscribe command the server receives
+const session = JSON.parse(fs.readFileSync(new URL("./data/kalshi-ws-session.json", import.meta.url), "utf8"));
+
+// Stand-in for Kalshi's WebSocket endpoint: acknowledges each subscribe with a
+// fresh sid and replays the next recorded round on it
+async function startStandIn(rounds) {
+  const commands = [];
+  let round = 0;
+  let nextSid = 1;
+
+  const server = await startWsServer((ws) => {
+    ws.on("message", (raw) => {
+      const cmd = JSON.parse(raw);
+      commands.push(cmd);
+      if (cmd.cmd === "unsubscribe") {
+        ws.send(JSON.stringify({ id: cmd.id, sid: cmd.params.sids[0], type: "unsubscribed" }));
+        return;
+      }
+      const sid = nextSid++;
+      ws.send(JSON.stringify({ id: cmd.id, type: "subscribed", msg: { channel: cmd.params.channels[0], sid } }));
+      for (const message of rounds[round++] || []) ws.send(JSON.stringify({ ...message, sid }));
+    });
+  });
+  return { ...server, url: `${server.url}/trade-api/ws/v2`, commands };
+}
+
+async function withFeed(rounds, run) {
+  const server = await startStandIn(rounds);
+  const feed = createKalshiFeed({ url: server.url });
+  const errors = [];
+  feed.on("error", (err) => errors.push(err));
+  try {
+    await feed.connect();
+    await run(feed, server);
+    assert.deepEqual(errors, []);
+  } finally {
+    const closed = waitFor(feed, "close");
+    feed.close();
+    await closed;
+    await server.close();
+  }
+}
+
+test("builds the book from a snapshot and its deltas", async () => {
+  const [first] = session.rounds;
+  await withFeed([first.slice(0, 4)], async (feed) => {
+    const done = waitFor(feed, "book", () => feed.getOrderBook(session.ticker)?.no.length === 4);
+    feed.subscribe(["orderbook_delta"], [session.ticker]);
+    await done;
+
+    assert.deepEqual(feed.getOrderBook(session.ticker), {
+      yes: [[67, 80], [66, 100]],
+      no: [[31, 10], [30, 25], [29, 60], [28, 150]]
+    });
+  });
+});
+
+test("a sequence gap resubscribes and rebuilds from the new snapshot", async () => {
+  await withFeed(session.rounds.slice(0, 2), async (feed, server) => {
+    const gap = waitFor(feed, "gap");
+    const rebuilt = waitFor(feed, "book", () => server.commands.length === 3 && feed.getOrderBook(session.ticker)?.yes[0][1] === 20);
+    feed.subscribe(["orderbook_delta"], [session.ticker]);
+
+    assert.deepEqual(await gap, { sid: 1, expected: 5, received: 6 });
+    await rebuilt;
+
+    assert.deepEqual(server.commands.map((c) => c.cmd), ["subscribe", "unsubscribe", "subscribe"]);
+    assert.deepEqual(server.commands[1].params, { sids: [1] });
+    assert.deepEqual(feed.getOrderBook(session.ticker), {
+      yes: [[69, 20], [67, 80]],
+      no: [[31, 10], [30, 25], [29, 60]]
+    });
+  });
+});
+
+test("resubscribes after the connection drops", async () => {
+  await withFeed([session.rounds[1], session.rounds[2]], async (feed, server) => {
+    const first = waitFor(feed, "book");
+    feed.subscribe(["orderbook_delta"], [session.ticker]);
+    await first;
+
+    const closed = waitFor(feed, "close");
+    const reopened = waitFor(feed, "book", () => feed.getOrderBook(session.ticker)?.yes[0][0] === 70);
+    server.dropClients();
+    await closed;
+    assert.equal(feed.getOrderBook(session.ticker), null);
+
+    await reopened;
+    assert.deepEqual(server.commands.map((c) => c.cmd), ["subscribe", "subscribe"]);
+    assert.deepEqual(feed.getOrderBook(session.ticker), { yes: [[70, 50]], no: [[27, 90]] });
+  });
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { evaluateLadder } from "../src/engines/ladder.js";
+import { MINUTE, eventMarkets } from "./fixtures.js";
+
+const now = Date.parse("2026-10-19T14:00:00Z");
+const flat = Array.from({ length: 40 }, (_, i) => ({ time: now - (40 - i) * MINUTE, open: 100_000, high: 100_000, low: 100_000, close: 100_000, volume: 1 }));
+
+// Flat candles have no volatility, so the 0.1%/min floor sets it: σ√t = 0.001·√60 over the hour.
+// P(above) = N(d2): 99,500 -> 0.7400, 99,750 -> 0.6252, 100,000 -> 0.4985, 100,500 -> 0.2586.
+// Net EV per contract = 100·P(side) - ask - fee, with a 2¢ taker fee at these asks (1¢ at 88 and 14).
+const asks = {
+  99_500: { yes: 60, no: 42 },   // YES +12.00, NO -18.00
+  99_750: { yes: 88, no: 14 },   // YES -26.48, NO +22.48
+  100_000: { yes: 45, no: 57 },  // YES +2.85, NO -8.85
+  100_500: { yes: 20, no: 82 },  // YES +3.86, NO -9.86
+  101_000: { yes: 100, no: 0 }   // Nothing to buy
+};
+
+function ladderMarkets(closeMs = now + 60 * MINUTE) {
+  return eventMarkets(closeMs, Object.keys(asks).map((strike) => [Number(strike), 50])).map((m) => {
+    const quote = asks[Math.round(m.floor_strike)];
+    return { ...m, yes_ask: quote.yes, no_ask: quote.no };
+  });
+}
+
+const evaluate = (options = {}) => evaluateLadder(ladderMarkets(), { spot: 100_000, candles: flat, now, minSigmaPerMinute: 0.001, ...options });
+const summary = (ladder) => ladder.map((row) => [Math.round(row.strike), row.bestSide, row.bestEv === null ? null : Math.round(row.bestEv * 100) / 100]);
+
+test("evaluateLadder ranks strikes by the best net EV across both sides", () => {
+  assert.deepEqual(summary(evaluate()), [
+    [99_750, "no", 22.48],
+    [99_500, "yes", 12],
+    [100_500, "yes", 3.86],
+    [100_000, "yes", 2.85],
+    [101_000, null, null]
+  ]);
+});
+
+test("minProbability leaves only sides likely enough to win", () => {
+  // YES at 100,000 (49.85%), NO at 99,750 (37.48%) and YES at 100,500 (25.86%) drop out
+  assert.deepEqual(summary(evaluate({ minProbability: 0.5 })), [
+    [99_500, "yes", 12],
+    [100_000, "no", -8.85],
+    [100_500, "no", -9.86],
+    [99_750, "yes", -26.48],
+    [101_000, null, null]
+  ]);
+});
+
+test("each row carries both sides with their fees", () => {
+  const row = evaluate().find((r) => Math.round(r.strike) === 99_750);
+  assert.equal(row.minutesLeft, 60);
+  assert.equal(row.sigmaPerMinute, 0.001);
+  assert.deepEqual([row.yes.ask, row.yes.fee, row.no.ask, row.no.fee], [88, 1, 14, 1]);
+  assert.ok(Math.abs(row.probUp - 0.6252477) < 1e-6);
+});
+
+test("closed markets and a missing spot leave nothing to rank", () => {
+  assert.deepEqual(evaluateLadder(ladderMarkets(now - MINUTE), { spot: 100_000, candles: flat, now, minSigmaPerMinute: 0.001 }), []);
+  assert.deepEqual(evaluateLadder(ladderMarkets(), { spot: null, candles: flat, now }), []);
+});
@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { createMockKalshiExchange } from "../src/mock/kalshiExchange.js";
+import { tradingFeeCents } from "../src/engines/fees.js";
+
+const now = Date.parse("2026-10-19T14:10:00Z");
+const clock = () => now;
+
+// Strikes sit at $250 steps around the $100,000 spot; tests trade the first event to close
+function exchangeWithMarkets(options = {}) {
+  const exchange = createMockKalshiExchange({ requireAuth: false, balanceCents: 100_000, now: clock, ...options });
+  const markets = [...exchange.state.markets.values()];
+  const eventTicker = markets.sort((a, b) => Date.parse(a.close_time) - Date.parse(b.close_time))[0].event_ticker;
+  const strike = (floor) => markets.find((m) => m.event_ticker === eventTicker && m.floor_strike === floor);
+  return { exchange, eventTicker, below: strike(99_749.99), above: strike(100_249.99) };
+}
+
+test("a buy at the ask fills as taker and pays price plus fee", () => {
+  const { exchange, below } = exchangeWithMarkets();
+  const ask = below.yes_ask;
+  const order = exchange.placeOrder({ ticker: below.ticker, side: "yes", action: "buy", count: 5, type: "limit", yes_price: ask });
+
+  assert.equal(order.status, "executed");
+  assert.equal(order.taker_fill_count, 5);
+  assert.equal(order.taker_fill_cost, ask * 5);
+  assert.equal(order.taker_fees, tradingFeeCents(ask, 5));
+  assert.equal(exchange.state.balance, 100_000 - ask * 5 - tradingFeeCents(ask, 5));
+  assert.equal(exchange.state.positions.get(below.ticker).yes, 5);
+});
+
+test("a bid below the ask rests, fills as maker against a counterparty and cancels", () => {
+  const { exchange, below } = exchangeWithMarkets();
+  const price = below.yes_ask - 5;
+  const order = exchange.placeOrder({ ticker: below.ticker, side: "yes", action: "buy", count: 3, type: "limit", yes_price: price });
+  assert.equal(order.status, "resting");
+  assert.equal(exchange.state.balance, 100_000);  // Nothing is charged until it fills
+
+  // Someone buys NO at our YES bid's complement
+  assert.equal(exchange.trade({ ticker: below.ticker, side: "no", price: 100 - price, count: 2 }), 2);
+  const stored = exchange.state.orders.get(order.order_id);
+  assert.equal(stored.maker_fill_count, 2);
+  assert.equal(stored.maker_fees, tradingFeeCents(price, 2, { schedule: "maker" }));
+  assert.equal(stored.remaining_count, 1);
+
+  const canceled = exchange.cancelOrder(order.order_id);
+  assert.equal(canceled.status, "canceled");
+  assert.equal(canceled.remaining_count, 0);
+  assert.throws(() => exchange.cancelOrder(order.order_id), { code: "order_not_resting" });
+});
+
+test("a fill-or-kill order larger than the book is canceled unfilled", () => {
+  const { exchange, below } = exchangeWithMarkets({ depth: 1, levelSize: 10 });
+  const order = exchange.placeOrder({ ticker: below.ticker, side: "yes", count: 11, yes_price: 99, time_in_force: "fill_or_kill" });
+  assert.equal(order.status, "canceled");
+  assert.equal(order.fill_count, 0);
+  assert.equal(exchange.state.balance, 100_000);
+});
+
+test("settlement pays $1 per winning contract and nothing for losers", () => {
+  const { exchange, eventTicker, below, above } = exchangeWithMarkets();
+  exchange.placeOrder({ ticker: below.ticker, side: "yes", count: 4, yes_price: below.yes_ask });
+  exchange.placeOrder({ ticker: above.ticker, side: "yes", count: 2, yes_price: above.yes_ask });
+  const afterBuys = exchange.state.balance;
+
+  // $100,000 finishes above the lower strike and below the upper one
+  assert.equal(exchange.settle({ eventTicker, price: 100_000 }), 17);
+  assert.equal(exchange.state.markets.get(below.ticker).result, "yes");
+  assert.equal(exchange.state.markets.get(above.ticker).result, "no");
+  assert.equal(exchange.state.balance, afterBuys + 400);
+
+  const byTicker = Object.fromEntries(exchange.state.settlements.map((s) => [s.ticker, s]));
+  assert.equal(byTicker[below.ticker].revenue, 400);
+  assert.equal(byTicker[above.ticker].revenue, 0);
+  assert.equal(exchange.state.positions.get(below.ticker).yes, 0);
+});
+
+test("portfolio requests need a valid RSA-PSS signature", async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const exchange = createMockKalshiExchange({
+    now: clock,
+    publicKeys: { "test-key": publicKey.export({ type: "spki", format: "pem" }) }
+  });
+  const { baseUrl } = await exchange.listen(0);
+
+  const sign = (key, message) => crypto.sign("sha256", Buffer.from(message), {
+    key,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+  }).toString("base64");
+  const balance = async ({ key = privateKey, keyId = "test-key", timestamp = now, signedPath = "/trade-api/v2/portfolio/balance", query = "" } = {}) => {
+    const res = await fetch(`${baseUrl}/portfolio/balance${query}`, {
+      headers: {
+        "KALSHI-ACCESS-KEY": keyId,
+        "KALSHI-ACCESS-TIMESTAMP": String(timestamp),
+        "KALSHI-ACCESS-SIGNATURE": sign(key, `${timestamp}GET${signedPath}`)
+      }
+    });
+    const body = await res.json();
+    return { status: res.status, code: body.error?.code ?? null };
+  };
+
+  try {
+    assert.deepEqual(await balance(), { status: 200, code: null });
+    // The query string is not part of the signed path
+    assert.deepEqual(await balance({ query: "?subaccount=0" }), { status: 200, code: null });
+
+    assert.deepEqual(await balance({ key: otherKey }), { status: 401, code: "invalid_signature" });
+    assert.deepEqual(await balance({ signedPath: "/trade-api/v2/portfolio/positions" }), { status: 401, code: "invalid_signature" });
+    assert.deepEqual(await balance({ timestamp: now - 10 * 60_000 }), { status: 401, code: "stale_timestamp" });
+    assert.deepEqual(await balance({ keyId: "someone-else" }), { status: 401, code: "unknown_api_key" });
+
+    const unsigned = await fetch(`${baseUrl}/portfolio/balance`);
+    assert.equal(unsigned.status, 401);
+    assert.equal((await unsigned.json()).error.code, "missing_auth_headers");
+
+    // Market data stays public
+    assert.equal((await fetch(`${baseUrl}/markets`)).status, 200);
+  } finally {
+    await exchange.close();
+  }
+});
@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { CONFIG } from "../src/config.js";
+import { createMockKalshiExchange } from "../src/mock/kalshiExchange.js";
+import { followOrder } from "../src/data/orderLifecycle.js";
+import { tradingFeeCents } from "../src/engines/fees.js";
+
+// followOrder talks to the mock exchange through the real signed Kalshi client
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const exchange = createMockKalshiExchange({ publicKeys: { "lifecycle-key": publicKey.export({ type: "spki", format: "pem" }) } });
+const { baseUrl } = await exchange.listen(0);
+const previous = { ...CONFIG.kalshi };
+Object.assign(CONFIG.kalshi, {
+  baseUrl,
+  apiKeyId: "lifecycle-key",
+  privateKey: privateKey.export({ type: "pkcs8", format: "pem" })
+});
+
+test.after(async () => {
+  Object.assign(CONFIG.kalshi, previous);
+  await exchange.close();
+});
+
+// A market whose book is pinned so YES asks at 50¢ and the best YES bid is 40¢
+function pinnedMarket() {
+  const market = [...exchange.state.markets.values()].find((m) => m.status === "open" && !exchange.state.books.get(m.ticker).pinned);
+  exchange.setBook(market.ticker, { yes: [[40, 100]], no: [[50, 100]] });
+  return market;
+}
+
+const restingBid = (market, price, count = 5) =>
+  exchange.placeOrder({ ticker: market.ticker, side: "yes", action: "buy", count, type: "limit", yes_price: price });
+
+test("a resting remainder is repriced a cent at a time until it fills", async () => {
+  const market = pinnedMarket();
+  const order = restingBid(market, 48);
+  assert.equal(order.status, "resting");
+
+  const lines = [];
+  const result = await followOrder(order, { side: "yes", limitPrice: 48, timeoutMs: 40, pollMs: 10, repriceSteps: 3, log: (line) => lines.push(line) });
+  assert.equal(result.reprices, 2);
+  assert.equal(result.limitPrice, 50);
+  assert.equal(result.filled, 5);
+  assert.equal(result.avgPrice, 50);
+  assert.equal(result.feeCents, tradingFeeCents(50, 5));
+  assert.equal(result.canceled, false);
+  assert.equal(lines.filter((line) => line.startsWith("🔁")).length, 2);
+});
+
+test("repricing stops at maxPrice and the remainder is canceled", async () => {
+  const market = pinnedMarket();
+  const order = restingBid(market, 47);
+  const result = await followOrder(order, { side: "yes", limitPrice: 47, timeoutMs: 40, pollMs: 10, repriceSteps: 5, maxPrice: 48 });
+  assert.equal(result.reprices, 1);
+  assert.equal(result.limitPrice, 48);
+  assert.equal(result.filled, 0);
+  assert.equal(result.canceled, true);
+  assert.equal(result.cancelReason, "timeout");
+  assert.equal(exchange.state.orders.get(order.order_id).status, "canceled");
+});
+
+test("a partly filled order is canceled on timeout and reports what executed", async () => {
+  const market = pinnedMarket();
+  const order = restingBid(market, 45);
+  exchange.trade({ ticker: market.ticker, side: "no", price: 55, count: 2 });
+
+  const result = await followOrder(order, { side: "yes", limitPrice: 45, timeoutMs: 40, pollMs: 10 });
+  assert.equal(result.canceled, true);
+  assert.equal(result.cancelReason, "timeout");
+  assert.equal(result.requested, 5);
+  assert.equal(result.filled, 2);
+  assert.equal(result.remaining, 0);
+  assert.equal(result.avgPrice, 45);
+  assert.equal(result.feeCents, tradingFeeCents(45, 2, { schedule: "maker" }));
+});
+
+test("anything still resting is canceled before the market closes", async () => {
+  const market = pinnedMarket();
+  const order = restingBid(market, 45);
+  const started = Date.now();
+  const result = await followOrder(order, {
+    side: "yes",
+    limitPrice: 45,
+    closeTime: new Date(started + 100),
+    cancelBeforeCloseMs: 60,
+    timeoutMs: 10_000,
+    pollMs: 10,
+    repriceSteps: 3
+  });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(result.canceled, true);
+  assert.equal(result.cancelReason, "market_close");
+  assert.equal(result.reprices, 0);
+  assert.equal(exchange.state.orders.get(order.order_id).status, "canceled");
+});
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { simulateFill, createPaperLedger } from "../src/data/paperLedger.js";
+
+// Buying YES lifts NO bids: YES at 55, 56 and 60 for 3, 5 and 10 contracts
+const orderbook = { yes: [[52, 4], [50, 0]], no: [[40, 10], [45, 3], [44, 5]] };
+
+test("simulateFill walks the book from the best price up to the limit", () => {
+  const fill = simulateFill({ orderbook, side: "yes", count: 10, limitPrice: 56 });
+  assert.deepEqual(fill.levels, [{ price: 55, count: 3 }, { price: 56, count: 5 }]);
+  assert.equal(fill.filled, 8);
+  assert.equal(fill.costCents, 55 * 3 + 56 * 5);
+  assert.equal(fill.avgPrice, 445 / 8);
+});
+
+test("simulateFill rounds the fee up at each price level", () => {
+  const fill = simulateFill({ orderbook, side: "yes", count: 10, limitPrice: 56 });
+  // 0.07·3·0.55·0.45 = 5.20¢ -> 6¢ and 0.07·5·0.56·0.44 = 8.62¢ -> 9¢; one
+  // rounding over the whole 13.82¢ would charge 14¢
+  assert.equal(fill.feeCents, 15);
+});
+
+test("simulateFill buys NO against YES bids and skips empty levels", () => {
+  const fill = simulateFill({ orderbook, side: "no", count: 5, limitPrice: 50 });
+  assert.deepEqual(fill.levels, [{ price: 48, count: 4 }]);
+  assert.equal(fill.filled, 4);
+
+  const none = simulateFill({ orderbook, side: "no", count: 5, limitPrice: 47 });
+  assert.equal(none.filled, 0);
+  assert.equal(none.avgPrice, null);
+  assert.equal(simulateFill({ orderbook: null, side: "yes", count: 1, limitPrice: 99 }).filled, 0);
+});
+
+test("a settled win counts as a win even when fees eat the PnL", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-ledger-"));
+  try {
+    const ledger = createPaperLedger({ file: path.join(dir, "ledger.json"), startBalanceCents: 10_000 });
+    const buy = (ticker, side, orderbook) =>
+      ledger.recordOrder({ ticker, side, count: 1, limitPrice: 99 }, simulateFill({ orderbook, side, count: 1, limitPrice: 99 }));
+
+    // YES at 99¢ plus a 1¢ fee pays back exactly 100¢
+    const atNinetyNine = buy("T-A", "yes", { yes: [], no: [[1, 1]] });
+    const cheap = buy("T-B", "no", { yes: [[60, 1]], no: [] });
+    assert.equal(atNinetyNine.costCents + atNinetyNine.feeCents, 100);
+
+    const won = ledger.settle(atNinetyNine.id, "yes");
+    const lost = ledger.settle(cheap.id, "yes");
+    assert.equal(won.won, true);
+    assert.equal(won.pnlCents, 0);
+    assert.equal(lost.won, false);
+
+    const summary = ledger.summary();
+    assert.equal(summary.wins, 1);
+    assert.equal(summary.losses, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
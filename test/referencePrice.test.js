@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { CONFIG } from "../src/config.js";
+import { weightedMedian, computeComposite, fetchReferencePrice } from "../src/data/referencePrice.js";
+
+test("weightedMedian takes the price where half the weight is reached", () => {
+  assert.equal(weightedMedian([{ price: 3, weight: 1 }, { price: 1, weight: 1 }, { price: 2, weight: 1 }]), 2);
+  assert.equal(weightedMedian([{ price: 1, weight: 1 }, { price: 2, weight: 5 }, { price: 3, weight: 1 }]), 2);
+  assert.equal(weightedMedian([{ price: 1, weight: 6 }, { price: 2, weight: 1 }, { price: 3, weight: 1 }]), 1);
+});
+
+test("weightedMedian averages the two middle prices on an exact split", () => {
+  assert.equal(weightedMedian([{ price: 100, weight: 2 }, { price: 102, weight: 2 }]), 101);
+});
+
+test("weightedMedian ignores rows without a price or weight", () => {
+  assert.equal(weightedMedian([{ price: NaN, weight: 5 }, { price: 7, weight: 0 }, { price: 4, weight: 1 }]), 4);
+  assert.equal(weightedMedian([]), null);
+});
+
+test("computeComposite drops venues too far from the median", () => {
+  const composite = computeComposite([
+    { venue: "coinbase", price: 100_000, volume: 10 },
+    { venue: "kraken", price: 100_020, volume: 30 },
+    { venue: "bitstamp", price: 99_990, volume: 5 },
+    { venue: "gemini", price: 101_000, volume: 100 }
+  ], { maxDeviationPct: 0.5 });
+
+  assert.equal(composite.included, 3);
+  const gemini = composite.venues.find((v) => v.venue === "gemini");
+  assert.equal(gemini.included, false);
+  assert.equal(gemini.reason, "outlier");
+  // Volume-weighted median of the rest: kraken carries 30 of 45
+  assert.equal(composite.price, 100_020);
+  assert.equal(composite.spread, 30);
+});
+
+test("computeComposite weights venues without volume by the others' average", () => {
+  const composite = computeComposite([
+    { venue: "coinbase", price: 100_000, volume: 10 },
+    { venue: "kraken", price: 100_010, volume: null },
+    { venue: "bitstamp", price: 100_020, volume: 30 }
+  ]);
+  assert.equal(composite.venues.find((v) => v.venue === "kraken").weight, 20);
+  // 10 + 20 is exactly half of 60, so the median sits between kraken and bitstamp
+  assert.equal(composite.price, 100_015);
+});
+
+test("computeComposite has no price with fewer than the minimum venues", () => {
+  const quotes = [
+    { venue: "coinbase", price: 100_000, volume: 10 },
+    { venue: "kraken", price: null, volume: null, error: "timeout" },
+    { venue: "gemini", price: 103_000, volume: 10 }
+  ];
+  // The plain median of two venues sits between them: both are outliers at 0.5%
+  const composite = computeComposite(quotes, { minVenues: 2 });
+  assert.equal(composite.price, null);
+  assert.equal(composite.included, 0);
+  assert.equal(composite.venues.find((v) => v.venue === "kraken").reason, "timeout");
+
+  assert.equal(computeComposite(quotes, { maxDeviationPct: 5, minVenues: 2 }).included, 2);
+  assert.equal(computeComposite([], { minVenues: 1 }).price, null);
+});
+
+test("fetchReferencePrice uses a streamed quote instead of fetching the venue", async () => {
+  const composite = await fetchReferencePrice({ venues: ["coinbase"], live: { coinbase: { price: 100_123, volume: 9 } } });
+  assert.equal(composite.price, 100_123);
+  assert.deepEqual(composite.venues.map((v) => [v.venue, v.volume]), [["coinbase", 9]]);
+});
+
+test("the coinbase venue gives up after timeoutMs", async () => {
+  const server = http.createServer(() => {});  // Never answers
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const previous = CONFIG.coinbase.exchangeUrl;
+  CONFIG.coinbase.exchangeUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const started = Date.now();
+    const composite = await fetchReferencePrice({ venues: ["coinbase"], timeoutMs: 100 });
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(composite.price, null);
+    assert.match(composite.venues[0].error, /abort|timeout/i);
+  } finally {
+    CONFIG.coinbase.exchangeUrl = previous;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRegimeTracker, computeRegimeInputs } from "../src/engines/regime.js";
+import { directionInputs } from "../src/strategies/taScore.js";
+import { createIndicatorCache } from "../src/indicators/index.js";
+import { MINUTE } from "./fixtures.js";
+
+const reading = (regime) => ({ regime, reason: `${regime.toLowerCase()}_reason` });
+
+test("a new regime needs its confirmations before it takes over", () => {
+  const tracker = createRegimeTracker({ confirmations: 3 });
+  assert.equal(tracker.update(reading("TREND_UP"), 1).regime, "TREND_UP");
+
+  assert.equal(tracker.update(reading("CHOP"), 2).regime, "TREND_UP");
+  assert.equal(tracker.update(reading("CHOP"), 3).pendingCount, 2);
+  const switched = tracker.update(reading("CHOP"), 4);
+  assert.equal(switched.regime, "CHOP");
+  assert.equal(switched.changed, true);
+  assert.equal(switched.since, 4);
+});
+
+test("reset lets the next event's first reading take over at once", () => {
+  const tracker = createRegimeTracker({ confirmations: 3 });
+  tracker.update(reading("TREND_UP"), 1);
+  tracker.update(reading("TREND_DOWN"), 2);
+
+  tracker.reset();
+  assert.equal(tracker.current(), null);
+
+  const seeded = tracker.update(reading("TREND_DOWN"), 3);
+  assert.equal(seeded.regime, "TREND_DOWN");
+  assert.equal(seeded.pendingCount, 0);
+  assert.deepEqual(tracker.history().map((h) => h.regime), ["TREND_UP", "TREND_DOWN"]);
+});
+
+test("ta-score, the regime and the vwap indicator read the same VWAP slope", () => {
+  // Uneven volume so the VWAP bends instead of tracking the closes
+  const candles = Array.from({ length: 40 }, (_, i) => {
+    const close = 100 + Math.sin(i / 4) * 3 + i * 0.1;
+    return { time: i * MINUTE, open: close - 0.2, high: close + 0.5, low: close - 0.6, close, volume: 1 + (i % 7) };
+  });
+  const slope = computeRegimeInputs(candles).vwapSlope;
+  assert.ok(Number.isFinite(slope));
+  assert.equal(directionInputs(candles).vwapSlope, slope);
+  assert.equal(createIndicatorCache(candles).get("vwap").slope, slope);
+});
@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { RISK_DEFAULTS, checkRisk, riskState } from "../src/engines/risk.js";
+import { MINUTE } from "./fixtures.js";
+
+const HOUR = 60 * MINUTE;
+const now = Date.parse("2026-10-21T15:00:00Z");  // Wednesday; the UTC week began Monday 19th
+const iso = (ms) => new Date(ms).toISOString();
+
+// Journal entries as the runner writes them: filled at `ago`, settled `settledAgo` before now
+function settled(ago, pnlCents, { won = pnlCents > 0, settledAgo = ago, eventTicker = "EV-OLD" } = {}) {
+  return {
+    time: iso(now - ago),
+    eventTicker,
+    filled: 1,
+    costCents: 50,
+    feeCents: 2,
+    outcome: { won, pnlCents, settledAt: iso(now - settledAgo) }
+  };
+}
+
+function open(eventTicker, costCents, feeCents = 0) {
+  return { time: iso(now - 10 * MINUTE), eventTicker, filled: 1, costCents, feeCents, outcome: null };
+}
+
+const order = { eventTicker: "EV-NEXT", count: 5, priceCents: 50 };
+const losses = (n, lastAgo) => Array.from({ length: n }, (_, i) => settled(lastAgo + (n - 1 - i) * HOUR, -100));
+const wins = (n, ago) => Array.from({ length: n }, () => settled(ago, 0, { won: true }));
+
+// One row per limit: the entries just past it block, the entries just inside it pass
+const cases = [
+  {
+    limit: "daily loss",
+    reason: "daily_loss_limit",
+    blocked: [settled(2 * HOUR, -1500), settled(HOUR, -1000, { won: false })],
+    allowed: [settled(2 * HOUR, -1500), settled(HOUR, -900, { won: false }), settled(20 * HOUR, -2000, { settledAgo: 16 * HOUR })],
+    limits: { maxConsecutiveLosses: 99 }
+  },
+  {
+    limit: "weekly loss",
+    reason: "weekly_loss_limit",
+    blocked: [settled(40 * HOUR, -3500), settled(30 * HOUR, -2500)],
+    allowed: [settled(40 * HOUR, -3500), settled(64 * HOUR, -2500)],  // Sunday's loss belongs to last week
+    limits: { maxConsecutiveLosses: 99 }
+  },
+  {
+    limit: "loss streak cooldown",
+    reason: "loss_streak_cooldown",
+    blocked: losses(3, HOUR),
+    allowed: losses(3, 181 * MINUTE)
+  },
+  {
+    limit: "trades per day",
+    reason: "max_trades_per_day",
+    blocked: wins(12, HOUR),
+    allowed: [...wins(11, HOUR), ...wins(5, 20 * HOUR)]
+  },
+  {
+    limit: "exposure",
+    reason: "max_exposure",
+    blocked: [open("EV-NEXT", 1960)],
+    allowed: [open("EV-NEXT", 1940)]
+  }
+];
+
+for (const { limit, reason, blocked, allowed, limits = {} } of cases) {
+  test(`checkRisk: ${limit} limit`, () => {
+    const merged = { ...RISK_DEFAULTS, ...limits };
+    const block = checkRisk({ entries: blocked, order, now, limits: merged });
+    assert.equal(block.ok, false);
+    assert.equal(block.reason, reason);
+    assert.ok(block.message);
+
+    const pass = checkRisk({ entries: allowed, order, now, limits: merged });
+    assert.equal(pass.ok, true, pass.message);
+  });
+}
+
+test("checkRisk: a win ends the loss streak", () => {
+  const risk = checkRisk({ entries: [...losses(3, 2 * HOUR), settled(HOUR, 50)], order, now });
+  assert.equal(risk.ok, true);
+  assert.equal(risk.state.lossStreak, 0);
+});
+
+test("checkRisk: exposure caps shrink the order to what fits", () => {
+  // Cost + fee at 50¢: 3 contracts are 150 + 6, 4 are 200 + 7
+  const rows = [
+    { entries: [], count: 5, cap: "none" },
+    { entries: [open("EV-NEXT", 1800)], count: 3, cap: "event: $2 left of $20" },
+    { entries: [open("EV-A", 1950), open("EV-B", 1950)], count: 1, cap: "total: $1 left of $40" }
+  ];
+  for (const { entries, count, cap } of rows) {
+    const risk = checkRisk({ entries, order, now });
+    assert.equal(risk.ok, true, cap);
+    assert.equal(risk.count, count, cap);
+  }
+});
+
+test("checkRisk: the kill switch blocks before any other limit", () => {
+  const risk = checkRisk({ entries: losses(3, HOUR), order, now, killSwitch: "KILL file present" });
+  assert.equal(risk.ok, false);
+  assert.equal(risk.reason, "kill_switch");
+  assert.match(risk.message, /KILL file present/);
+});
+
+test("riskState sums PnL by UTC day and week, exposure by event and ignores unfilled orders", () => {
+  const entries = [
+    settled(HOUR, 300),
+    settled(3 * HOUR, -200, { won: false }),
+    settled(20 * HOUR, -400, { settledAgo: 18 * HOUR }),  // Tuesday
+    settled(70 * HOUR, -800, { settledAgo: 68 * HOUR }),  // Sunday, last week
+    open("EV-NEXT", 150, 6),
+    open("EV-NEXT", 100, 4),
+    open("EV-LATER", 60, 3),
+    { ...open("EV-NEXT", 500), filled: 0 }
+  ];
+  const state = riskState(entries, now);
+  assert.equal(state.dailyPnlCents, 100);
+  assert.equal(state.weeklyPnlCents, -300);
+  assert.deepEqual(state.exposureByEvent, { "EV-NEXT": 260, "EV-LATER": 63 });
+  assert.equal(state.totalExposureCents, 323);
+  assert.equal(state.lossStreak, 0);  // The latest settlement was a win
+  assert.equal(state.tradesToday, 5);
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeWilderRsiSeries, computeWilderRsi, computeRsiMa } from "../src/indicators/rsi.js";
+
+// StockCharts' 14-period RSI worked example: closes and the published RSI from
+// the 15th close on, rounded to two decimals
+const closes = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+  46.0328, 45.614, 46.282, 46.282, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521,
+  45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314
+];
+const published = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46,
+  41.87, 45.46, 37.3, 33.08, 37.77
+];
+
+function near(actual, expected, eps) {
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+}
+
+test("computeWilderRsiSeries matches the published Wilder RSI", () => {
+  const series = computeWilderRsiSeries(closes, 14);
+  assert.equal(series.length, closes.length);
+  assert.deepEqual(series.slice(0, 14), Array(14).fill(null));
+  series.slice(14).forEach((rsi, i) => near(rsi, published[i], 0.005));
+  near(computeWilderRsi(closes, 14), 37.77, 0.005);
+});
+
+test("computeWilderRsiSeries needs period + 1 closes", () => {
+  assert.deepEqual(computeWilderRsiSeries(closes.slice(0, 14), 14), Array(14).fill(null));
+  assert.equal(computeWilderRsi(closes.slice(0, 14), 14), null);
+  assert.deepEqual(computeWilderRsiSeries(null, 14), []);
+});
+
+test("computeRsiMa averages the last RSI values, skipping the warm-up", () => {
+  const series = computeWilderRsiSeries(closes, 14);
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+  near(computeRsiMa(series, 3), mean(published.slice(-3)), 0.005);
+  near(computeRsiMa(series, 14), mean(published.slice(-14)), 0.005);
+  assert.equal(computeRsiMa(series, published.length + 1), null);
+});
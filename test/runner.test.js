@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// A paper run recorded against the mock exchange (src/mock-kalshi.js --port 8799),
+// markets trimmed to the next event. The runner reads its config and flags at
+// import, so everything is set before loading it.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "runner-test-"));
+const mock = "http://127.0.0.1:8799";
+Object.assign(process.env, {
+  DATA_DIR: dir,
+  CASSETTE_MODE: "replay",
+  CASSETTE_FILE: fileURLToPath(new URL("./data/runner-cassette.jsonl", import.meta.url)),
+  KALSHI_BASE_URL: `${mock}/trade-api/v2`,
+  COINBASE_BASE_URL: `${mock}/coinbase/v2`,
+  COINBASE_EXCHANGE_URL: `${mock}/coinbase/exchange`,
+  REFERENCE_VENUES: "coinbase",
+  STRATEGY: "lognormal"
+});
+delete process.env.NOTIFY_WEBHOOK;
+process.argv.push("--paper");
+process.chdir(dir);  // trades-paper.log
+
+const log = console.log;
+console.log = () => {};
+const { runTrade, settleOutcomes } = await import("../src/runner.js");
+
+const readJournal = () => fs.readFileSync(path.join(dir, "trades-paper-journal.jsonl"), "utf8")
+  .trim().split("\n").map((line) => JSON.parse(line));
+
+test.after(() => {
+  console.log = log;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("replaying the cassette repeats the recorded paper order", async () => {
+  await runTrade();
+
+  const [entry] = readJournal();
+  assert.equal(entry.mode, "paper");
+  assert.equal(entry.ticker, "KXBTCD-26OCT1917-T99749.99");
+  assert.equal(entry.side, "yes");
+  assert.equal(entry.count, 13);
+  assert.equal(entry.filled, 13);
+  assert.equal(entry.avgPrice, 70);
+  assert.equal(entry.costCents, 910);
+  assert.equal(entry.closeTime, "2026-10-19T21:00:00.000Z");
+  // Stamped on the recorded clock, not today's
+  assert.ok(entry.time.startsWith("2026-10-19T20:22:3"), entry.time);
+
+  const ledger = JSON.parse(fs.readFileSync(path.join(dir, "trades-paper.json"), "utf8"));
+  assert.equal(ledger.balanceCents, 9070);
+});
+
+test("a second run in the same event stops at the event limit", async () => {
+  assert.equal(await runTrade(), "event_limit");
+  assert.equal(readJournal().length, 1);
+});
+
+test("overlapping settlement passes share one run", async () => {
+  const first = settleOutcomes();
+  assert.equal(settleOutcomes(), first);
+  await first;
+  assert.notEqual(settleOutcomes(), first);
+});
@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { CONFIG } from "../src/config.js";
+import { startReplay, stopReplay } from "../src/data/cassette.js";
+import { collectSettledMarkets, datasetPaths, loadSettledMarkets } from "../src/data/settledMarkets.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "settled-test-"));
+const HOUR = 3_600_000;
+const base = Date.parse("2026-10-18T00:00:00Z");
+
+test.after(() => {
+  stopReplay();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function market(hour, strike, result) {
+  const close = new Date(base + hour * HOUR).toISOString();
+  return {
+    ticker: `KXBTCD-H${hour}-T${strike}`,
+    event_ticker: `KXBTCD-H${hour}`,
+    status: "settled",
+    floor_strike: strike,
+    strike_type: "greater",
+    close_time: close,
+    expiration_time: close,
+    result,
+    expiration_value: "100010.5"
+  };
+}
+
+// A cassette interaction for one /markets page; a request the collector
+// makes with any other query has no recorded answer and fails
+function page(query, markets, cursor = null) {
+  const url = new URL(`${CONFIG.kalshi.baseUrl}/markets`);
+  for (const [key, value] of Object.entries({ series_ticker: "KXBTCD", status: "settled", limit: 2, ...query })) {
+    url.searchParams.set(key, String(value));
+  }
+  return {
+    time: new Date(base).toISOString(),
+    request: { method: "GET", url: url.href },
+    response: { status: 200, headers: { "content-type": "application/json" }, body: JSON.stringify({ markets, cursor }) }
+  };
+}
+
+const collect = (options) => collectSettledMarkets({ seriesTicker: "KXBTCD", statuses: ["settled"], dir, pageLimit: 2, pageDelayMs: 0, ...options });
+const readState = () => JSON.parse(fs.readFileSync(datasetPaths("KXBTCD", dir).stateFile, "utf8"));
+
+test("an interrupted run resumes from the saved cursor", async () => {
+  startReplay([
+    page({}, [market(1, 100_000, "yes"), market(2, 100_000, "no")], "page-2"),
+    page({ cursor: "page-2" }, [market(3, 100_000, "yes")])
+  ], { freezeClock: false });
+
+  const first = await collect({ maxPages: 1 });
+  assert.equal(first.complete, false);
+  assert.equal(first.added, 2);
+  assert.equal(readState().statuses.settled.cursor, "page-2");
+
+  // The second run asks for page 2 only, not the first page again
+  const second = await collect();
+  assert.deepEqual([second.pages, second.fetched, second.added, second.total, second.complete], [1, 1, 1, 3, true]);
+
+  const progress = readState().statuses.settled;
+  assert.equal(progress.cursor, null);
+  assert.equal(progress.watermark, (base + 3 * HOUR) / 1000);
+  assert.deepEqual(loadSettledMarkets(first.file).map((r) => [r.ticker, r.result, r.expirationValue]), [
+    ["KXBTCD-H1-T100000", "yes", 100010.5],
+    ["KXBTCD-H2-T100000", "no", 100010.5],
+    ["KXBTCD-H3-T100000", "yes", 100010.5]
+  ]);
+});
+
+test("the next run re-reads the overlap before the watermark and picks up changes", async () => {
+  const watermark = (base + 3 * HOUR) / 1000;
+  const revised = { ...market(3, 100_000, "no"), expiration_value: "99990.25" };
+  startReplay([
+    page({ min_close_ts: watermark - 2 * 3600 }, [market(2, 100_000, "no"), revised], "page-2"),
+    page({ min_close_ts: watermark - 2 * 3600, cursor: "page-2" }, [market(4, 100_000, "yes")])
+  ], { freezeClock: false });
+
+  const run = await collect({ overlapHours: 2 });
+  assert.deepEqual([run.pages, run.added, run.updated, run.total, run.complete], [2, 1, 1, 4, true]);
+  assert.equal(readState().statuses.settled.watermark, (base + 4 * HOUR) / 1000);
+
+  // Superseded lines are dropped once the run completes
+  const lines = fs.readFileSync(run.file, "utf8").trim().split("\n");
+  assert.equal(lines.length, 4);
+  const h3 = loadSettledMarkets(run.file).find((r) => r.ticker === "KXBTCD-H3-T100000");
+  assert.deepEqual([h3.result, h3.expirationValue], ["no", 99990.25]);
+});
+
+test("a closed snapshot without a result never replaces a known one", async () => {
+  const watermark = (base + 4 * HOUR) / 1000;
+  startReplay([
+    page({ min_close_ts: watermark - 3600 }, [{ ...market(4, 100_000, ""), status: "closed" }])
+  ], { freezeClock: false });
+
+  const run = await collect({ overlapHours: 1 });
+  assert.deepEqual([run.added, run.updated], [0, 0]);
+  assert.equal(loadSettledMarkets(run.file).find((r) => r.ticker === "KXBTCD-H4-T100000").result, "yes");
+});
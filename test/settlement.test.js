@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSettlementSampler, settlementTerms } from "../src/engines/settlement.js";
+
+const closeMs = Date.parse("2026-10-19T15:00:00Z");
+const windowStart = closeMs - 60_000;
+const sec = (s) => windowStart + s * 1000;
+
+test("samples every second, carrying the last price through quiet seconds", () => {
+  const sampler = createSettlementSampler({ closeTime: new Date(closeMs) });
+  sampler.add(100, sec(-3));
+  sampler.add(101, sec(1.2));
+  sampler.add(102, sec(1.8));
+  sampler.add(105, sec(4.5));
+
+  // Seconds 0-4 have completed; the one in progress is not a sample yet
+  assert.deepEqual(sampler.samples(sec(5.5)), [100, 102, 102, 102, 105]);
+  assert.deepEqual(sampler.samples(sec(4.9)), [100, 102, 102, 102]);
+});
+
+test("the sample count follows the clock, not the update count", () => {
+  const sampler = createSettlementSampler({ closeTime: closeMs });
+  sampler.add(100, sec(-10));
+  assert.equal(sampler.samples(sec(30)).length, 30);
+  assert.equal(sampler.samples(closeMs + 5000).length, 60);
+  assert.deepEqual(sampler.samples(sec(-1)), []);
+});
+
+test("intervals before the first update take its price", () => {
+  const sampler = createSettlementSampler({ closeTime: closeMs });
+  assert.deepEqual(sampler.samples(sec(3)), []);
+  sampler.add(101, sec(2.5));
+  assert.deepEqual(sampler.samples(sec(3.1)), [101, 101, 101]);
+});
+
+test("updates at or after close are ignored", () => {
+  const sampler = createSettlementSampler({ closeTime: closeMs, windowSeconds: 2 });
+  sampler.add(100, closeMs - 1500);
+  sampler.add(200, closeMs);
+  assert.deepEqual(sampler.samples(closeMs + 1000), [100, 100]);
+});
+
+test("settlementTerms counts what remains of the window", () => {
+  const sampler = createSettlementSampler({ closeTime: closeMs });
+  sampler.add(100, sec(-1));
+  const terms = settlementTerms({ spot: 100, strike: 99, secondsToClose: 20, samples: sampler.samples(sec(40)) });
+  assert.equal(terms.observed, 40);
+  assert.equal(terms.remaining, 20);
+  assert.equal(terms.adjustedStrike, (60 * 99 - 40 * 100) / 20);
+});
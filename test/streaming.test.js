@@ -0,0 +1,166 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createEma,
+  createMacd,
+  createRsi,
+  createSessionVwap,
+  createHeikenAshi,
+  createIndicatorSet
+} from "../src/indicators/streaming.js";
+import { computeRsi } from "../src/indicators/rsi.js";
+import { computeSessionVwap } from "../src/indicators/vwap.js";
+import { computeHeikenAshi, countConsecutive } from "../src/indicators/heikenAshi.js";
+import { MINUTE } from "./fixtures.js";
+
+// Choppy but deterministic 1-minute candles
+function makeCandles(n) {
+  const out = [];
+  let price = 100;
+  for (let i = 0; i < n; i += 1) {
+    const open = price;
+    const close = price + Math.sin(i * 1.7) * 0.8 + Math.cos(i * 0.45) * 0.5;
+    out.push({
+      time: i * MINUTE,
+      open,
+      high: Math.max(open, close) + 0.3 + (i % 3) * 0.1,
+      low: Math.min(open, close) - 0.25,
+      close,
+      volume: 1 + (i % 5)
+    });
+    price = close;
+  }
+  return out;
+}
+
+const candles = makeCandles(80);
+const closes = candles.map((c) => c.close);
+
+function near(actual, expected, eps = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+}
+
+// Textbook EMA seeded with the first value, reported once `period` values are in
+function referenceEma(values, period) {
+  const k = 2 / (period + 1);
+  let prev = null;
+  return values.map((x, i) => {
+    prev = i === 0 ? x : x * k + prev * (1 - k);
+    return i >= period - 1 ? prev : null;
+  });
+}
+
+// MACD line from the two EMAs, signal line as an EMA of the MACD line
+function referenceMacd(values, fast, slow, signal) {
+  const fastEma = referenceEma(values, fast);
+  const slowEma = referenceEma(values, slow);
+  const line = values.slice(slow - 1).map((_, j) => fastEma[j + slow - 1] - slowEma[j + slow - 1]);
+  const sig = referenceEma(line, signal);
+  const hist = line.map((m, j) => (sig[j] === null ? null : m - sig[j]));
+  const last = line.length - 1;
+  return { macd: line[last], signal: sig[last], hist: hist[last], histDelta: hist[last] - hist[last - 1] };
+}
+
+// Run the first `split` inputs, carry the state through JSON into a fresh
+// instance and finish there; the result must match an uninterrupted run
+function resumed(create, inputs, split) {
+  const first = create();
+  for (const x of inputs.slice(0, split)) first.update(x);
+  const second = create();
+  second.restore(JSON.parse(JSON.stringify(first.snapshot())));
+  let value = second.value();
+  for (const x of inputs.slice(split)) value = second.update(x);
+  return value;
+}
+
+test("createEma matches a textbook EMA at every step", () => {
+  const ema = createEma(10);
+  const expected = referenceEma(closes, 10);
+  closes.forEach((x, i) => {
+    const value = ema.update(x);
+    if (expected[i] === null) assert.equal(value, null);
+    else near(value, expected[i]);
+  });
+});
+
+test("createMacd matches the EMA-difference MACD", () => {
+  const macd = createMacd(12, 26, 9);
+  closes.forEach((x, i) => {
+    const value = macd.update(x);
+    if (i + 1 < 26 + 9) {
+      assert.equal(value, null);
+      return;
+    }
+    const expected = referenceMacd(closes.slice(0, i + 1), 12, 26, 9);
+    for (const key of ["macd", "signal", "hist", "histDelta"]) near(value[key], expected[key]);
+  });
+});
+
+test("createRsi matches computeRsi on every prefix", () => {
+  const rsi = createRsi(14);
+  closes.forEach((x, i) => {
+    const value = rsi.update(x);
+    const expected = computeRsi(closes.slice(0, i + 1), 14);
+    if (expected === null) assert.equal(value, null);
+    else near(value, expected);
+  });
+});
+
+test("createSessionVwap matches computeSessionVwap and resets", () => {
+  const vwap = createSessionVwap();
+  candles.forEach((c, i) => near(vwap.update(c), computeSessionVwap(candles.slice(0, i + 1))));
+
+  vwap.reset();
+  assert.equal(vwap.value(), null);
+  near(vwap.update(candles[5]), computeSessionVwap([candles[5]]));
+});
+
+test("a windowed VWAP matches the batch VWAP over the same candles", () => {
+  const vwap = createSessionVwap({ window: 20 });
+  // 80 candles: four full windows rolled through
+  candles.forEach((c, i) => assert.equal(vwap.update(c), computeSessionVwap(candles.slice(Math.max(0, i - 19), i + 1))));
+
+  const set = createIndicatorSet({ vwapWindow: 20 });
+  for (const c of candles) set.update(c);
+  assert.equal(set.values().vwap, computeSessionVwap(candles.slice(-20)));
+  assert.equal(set.peek(candles[0]).vwap, computeSessionVwap([...candles.slice(-19), candles[0]]));
+});
+
+test("createHeikenAshi matches computeHeikenAshi and countConsecutive", () => {
+  const ha = createHeikenAshi();
+  candles.forEach((c, i) => {
+    const value = ha.update(c);
+    const series = computeHeikenAshi(candles.slice(0, i + 1));
+    assert.deepEqual(value.candle, series[series.length - 1]);
+    assert.deepEqual({ color: value.color, count: value.count }, countConsecutive(series));
+  });
+});
+
+test("snapshot and restore resume where the stream left off", () => {
+  const series = computeHeikenAshi(candles);
+  const macd = createMacd(12, 26, 9);
+  for (const x of closes) macd.update(x);
+
+  for (const split of [0, 5, 30, 79]) {
+    assert.equal(resumed(() => createEma(10), closes, split), referenceEma(closes, 10).at(-1));
+    assert.deepEqual(resumed(() => createMacd(12, 26, 9), closes, split), macd.value());
+    assert.equal(resumed(() => createRsi(14), closes, split), computeRsi(closes, 14));
+    assert.equal(resumed(createSessionVwap, candles, split), computeSessionVwap(candles));
+    assert.equal(resumed(() => createSessionVwap({ window: 20 }), candles, split), computeSessionVwap(candles.slice(-20)));
+    assert.deepEqual(resumed(createHeikenAshi, candles, split), { candle: series.at(-1), ...countConsecutive(series) });
+  }
+});
+
+test("createIndicatorSet.peek reads a forming candle without keeping it", () => {
+  const set = createIndicatorSet();
+  for (const c of candles.slice(0, -1)) set.update(c);
+  const before = set.values();
+
+  const peeked = set.peek(candles.at(-1));
+  assert.deepEqual(set.values(), before);
+
+  const full = createIndicatorSet();
+  for (const c of candles) full.update(c);
+  assert.deepEqual(peeked, full.values());
+  assert.deepEqual(set.update(candles.at(-1)), peeked);
+});
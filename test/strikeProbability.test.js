@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalCdf, probabilityAboveStrike, priceStrikeMarket } from "../src/engines/strikeProbability.js";
+import { MINUTE } from "./fixtures.js";
+
+function near(actual, expected, eps = 2e-7) {
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+}
+
+test("normalCdf matches standard normal table values", () => {
+  // Φ(x) from the erf identity, to the A&S 7.1.26 error bound
+  const table = [
+    [0, 0.5],
+    [0.5, 0.6914624612740131],
+    [1, 0.8413447460685429],
+    [-1, 0.15865525393145707],
+    [1.96, 0.9750021048517796],
+    [-2.5, 0.006209665325776159]
+  ];
+  for (const [x, expected] of table) near(normalCdf(x), expected);
+  near(normalCdf(1.3) + normalCdf(-1.3), 1, 1e-12);
+});
+
+test("probabilityAboveStrike is N(d2) of a driftless lognormal", () => {
+  // σ√t = 0.01·√400 = 0.2: at the money d2 = -σ√t/2 = -0.1
+  near(probabilityAboveStrike({ spot: 100, strike: 100, minutesLeft: 400, sigmaPerMinute: 0.01 }), 0.460172162722971);
+  // σ√t = 0.1: d2 = (ln 1.05 - 0.005) / 0.1 = 0.43790
+  near(probabilityAboveStrike({ spot: 105, strike: 100, minutesLeft: 100, sigmaPerMinute: 0.01 }), 0.6692712072570187);
+  // Tiny volatility at the money is a coin flip
+  near(probabilityAboveStrike({ spot: 100, strike: 100, minutesLeft: 1, sigmaPerMinute: 1e-6 }), 0.5, 1e-6);
+});
+
+test("probabilityAboveStrike with no time or no volatility is decided by the spot", () => {
+  const cases = [
+    [{ spot: 101, strike: 100, minutesLeft: 0, sigmaPerMinute: 0.001 }, 1],
+    [{ spot: 99, strike: 100, minutesLeft: 0, sigmaPerMinute: 0.001 }, 0],
+    [{ spot: 100, strike: 100, minutesLeft: 0, sigmaPerMinute: 0.001 }, 0.5],
+    [{ spot: 101, strike: 100, minutesLeft: 30, sigmaPerMinute: 0 }, 1],
+    [{ spot: 99, strike: 100, minutesLeft: 30, sigmaPerMinute: null }, 0],
+    [{ spot: 101, strike: 100, minutesLeft: -5, sigmaPerMinute: 0.001 }, 1]
+  ];
+  for (const [inputs, expected] of cases) assert.equal(probabilityAboveStrike(inputs), expected, JSON.stringify(inputs));
+  assert.equal(probabilityAboveStrike({ spot: 0, strike: 100, minutesLeft: 30, sigmaPerMinute: 0.001 }), null);
+  assert.equal(probabilityAboveStrike({ spot: 100, strike: null, minutesLeft: 30, sigmaPerMinute: 0.001 }), null);
+});
+
+test("priceStrikeMarket prices the strike over the time left to expiry", () => {
+  const now = Date.parse("2026-10-19T14:00:00Z");
+  const expiration = new Date(now + 60 * MINUTE);
+  const priced = priceStrikeMarket({ spot: 100_000, strike: 100_250, expiration, now, sigmaPerMinute: 0.0008 });
+
+  // d2 = (ln(100000/100250) - 0.5·0.0008²·60) / (0.0008·√60) = -0.40603
+  assert.equal(priced.minutesLeft, 60);
+  near(priced.probUp, 0.34236002311419783);
+  near(priced.probDown, 1 - 0.34236002311419783);
+  near(priced.expectedMove, 619.6773353931867, 1e-6);
+});
+
+test("priceStrikeMarket floors sigma and has no price without an expiry", () => {
+  const now = Date.parse("2026-10-19T14:00:00Z");
+  const expiration = new Date(now + 60 * MINUTE);
+  const floored = priceStrikeMarket({ spot: 100_000, strike: 100_250, expiration, now, sigmaPerMinute: 0.0001, minSigmaPerMinute: 0.0008 });
+  assert.equal(floored.sigmaPerMinute, 0.0008);
+  near(floored.probUp, 0.34236002311419783);
+
+  const noExpiry = priceStrikeMarket({ spot: 100_000, strike: 100_250, expiration: null, now, sigmaPerMinute: 0.0008 });
+  assert.equal(noExpiry.probUp, null);
+  assert.equal(noExpiry.probDown, null);
+
+  const expired = priceStrikeMarket({ spot: 100_300, strike: 100_250, expiration, now: now + 61 * MINUTE, sigmaPerMinute: 0.0008 });
+  assert.equal(expired.minutesLeft, 0);
+  assert.equal(expired.probUp, 1);
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createTradeJournal, createSkipJournal } from "../src/data/tradeJournal.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const readLines = (file) => fs.readFileSync(file, "utf8").split("\n").filter((line) => line.trim());
+
+test("reopening a journal keeps the last line per id and compacts the rest", () => {
+  const file = path.join(dir, "journal.jsonl");
+  const journal = createTradeJournal({ file });
+  const entry = journal.record({ ticker: "T1", side: "yes", filled: 2, costCents: 80, feeCents: 2 });
+  journal.record({ ticker: "T2", side: "no", filled: 1, costCents: 30, feeCents: 1 });
+  journal.update(entry.id, { outcome: { won: true, pnlCents: 118 } });
+  assert.equal(readLines(file).length, 3);
+
+  const reopened = createTradeJournal({ file });
+  assert.deepEqual(reopened.entries().map((e) => [e.ticker, e.outcome?.pnlCents ?? null]), [["T1", 118], ["T2", null]]);
+  assert.equal(readLines(file).length, 2);
+});
+
+test("a torn last line is dropped and the next entry starts on its own line", () => {
+  const file = path.join(dir, "torn.jsonl");
+  fs.writeFileSync(file, JSON.stringify({ id: "a", ticker: "T1", filled: 1 }) + "\n{\"id\":\"b\",\"tick");
+
+  const journal = createTradeJournal({ file });
+  assert.deepEqual(journal.entries().map((e) => e.id), ["a"]);
+  journal.record({ id: "c", ticker: "T3", filled: 1 });
+  assert.deepEqual(createTradeJournal({ file }).entries().map((e) => e.id), ["a", "c"]);
+});
+
+test("entries longer than a read chunk load intact, multi-byte characters included", () => {
+  const file = path.join(dir, "long.jsonl");
+  const note = "🏆é".repeat(30_000);
+  createTradeJournal({ file }).record({ id: "long", ticker: "T1", filled: 1, note });
+  assert.equal(createTradeJournal({ file }).entries()[0].note, note);
+});
+
+test("the skip journal only appends and never reads the file back", () => {
+  const file = path.join(dir, "skips.jsonl");
+  // Not JSON: the skip journal has no reason to parse what is already there
+  fs.writeFileSync(file, "not json");
+
+  const skips = createSkipJournal({ file });
+  const stored = skips.record({ ticker: "T1", skipped: { reason: "coin_flip" } });
+  assert.match(stored.id, /^skip-/);
+  assert.ok(stored.time);
+  assert.deepEqual(fs.readFileSync(file, "utf8").split("\n"), ["not json", JSON.stringify(stored), ""]);
+});
+
+test("the skip journal rotates once the file reaches maxBytes", () => {
+  const file = path.join(dir, "rotating-skips.jsonl");
+  const skips = createSkipJournal({ file, maxBytes: 200 });
+  const written = Array.from({ length: 6 }, (_, i) => skips.record({ id: `skip-${i}`, skipped: { reason: "edge_below_0.1", message: "x".repeat(40) } }));
+
+  const current = readLines(file).map((line) => JSON.parse(line).id);
+  const rotated = readLines(`${file}.1`).map((line) => JSON.parse(line).id);
+  assert.ok(fs.statSync(file).size < 200 + JSON.stringify(written[0]).length + 1);
+  assert.equal(current[current.length - 1], "skip-5");
+  assert.deepEqual([...rotated, ...current], written.slice(-rotated.length - current.length).map((e) => e.id));
+});
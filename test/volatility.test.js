@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  candleMinutes,
+  closeToCloseVol,
+  parkinsonVol,
+  garmanKlassVol,
+  ewmaVol,
+  toPerMinute,
+  scaleVol,
+  estimateVolPerMinute,
+  computeVolatility
+} from "../src/indicators/volatility.js";
+
+const MINUTE = 60_000;
+
+function candle(i, { open, high, low, close }, minutes = 1) {
+  return { time: i * minutes * MINUTE, open, high, low, close, volume: 1 };
+}
+
+function closes(values, minutes = 1) {
+  return values.map((close, i) => candle(i, { open: close, high: close, low: close, close }, minutes));
+}
+
+function near(actual, expected, eps = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+}
+
+test("candleMinutes reads the candle spacing", () => {
+  assert.equal(candleMinutes(closes([1, 2, 3])), 1);
+  assert.equal(candleMinutes(closes([1, 2, 3], 5)), 5);
+  assert.equal(candleMinutes([]), 1);
+});
+
+test("closeToCloseVol is the sample stdev of log returns", () => {
+  // ln(1.1) and ln(0.9), sample (n-1) variance
+  near(closeToCloseVol(closes([100, 110, 99])), 0.14189560954670769);
+  // Constant log returns have no dispersion
+  near(closeToCloseVol(closes([100, 110, 121, 133.1])), 0);
+  assert.equal(closeToCloseVol(closes([100, 110])), null);
+});
+
+test("closeToCloseVol only uses the last `lookback` returns", () => {
+  const candles = closes([50, 100, 200, 100, 110, 99]);
+  near(closeToCloseVol(candles, 2), 0.14189560954670769);
+});
+
+test("parkinsonVol uses the high/low range", () => {
+  const bar = { open: 100, high: 100 * Math.exp(0.1), low: 100, close: 100 };
+  const candles = [candle(0, bar), candle(1, bar)];
+  // 0.1 / sqrt(4 ln 2)
+  near(parkinsonVol(candles), 0.0600561204393225);
+  assert.equal(parkinsonVol([candles[0]]), null);
+});
+
+test("garmanKlassVol combines range and open-to-close", () => {
+  const bar = { open: 100, high: 110, low: 95, close: 105 };
+  near(garmanKlassVol([candle(0, bar), candle(1, bar)]), 0.09912983040222308);
+
+  // Without an open-to-close move it is sqrt(0.5) * ln(H/L)
+  const flat = { open: 100, high: 100 * Math.exp(0.1), low: 100, close: 100 };
+  near(garmanKlassVol([candle(0, flat), candle(1, flat)]), Math.sqrt(0.5) * 0.1);
+});
+
+test("ewmaVol seeds with the first squared return then decays", () => {
+  // sqrt(0.94 * ln(1.1)^2 + 0.06 * ln(0.9)^2)
+  near(ewmaVol(closes([100, 110, 99])), 0.09594289367875959);
+  // lambda 0 keeps only the last return
+  near(ewmaVol(closes([100, 110, 99]), 0), Math.abs(Math.log(0.9)));
+  assert.equal(ewmaVol(closes([100, 110])), null);
+});
+
+test("estimators skip invalid candles", () => {
+  const candles = [...closes([100, 110, 99]), { time: 3 * MINUTE, open: 0, high: 0, low: 0, close: 0 }];
+  near(closeToCloseVol(candles), 0.14189560954670769);
+});
+
+test("toPerMinute divides by sqrt of the candle length", () => {
+  near(toPerMinute(0.02, 4), 0.01);
+  near(toPerMinute(0.02), 0.02);
+  assert.equal(toPerMinute(null, 1), null);
+  assert.equal(toPerMinute(0.02, 0), null);
+});
+
+test("scaleVol grows with sqrt of time", () => {
+  near(scaleVol(0.001, 25), 0.005);
+  assert.equal(scaleVol(0.001, -5), 0);
+  assert.equal(scaleVol(null, 5), null);
+  assert.equal(scaleVol(0.001, null), null);
+});
+
+test("estimateVolPerMinute converts 5-minute candles to per-minute", () => {
+  const candles = closes([100, 110, 99], 5);
+  near(estimateVolPerMinute(candles, { estimator: "closeToClose" }), 0.14189560954670769 / Math.sqrt(5));
+  assert.throws(() => estimateVolPerMinute(candles, { estimator: "nope" }), /Unknown volatility estimator/);
+});
+
+test("computeVolatility scales every estimator to expiry", () => {
+  const result = computeVolatility(closes([100, 110, 99]), { minutesLeft: 16 });
+  assert.equal(result.minutesPerCandle, 1);
+  near(result.toExpiry.closeToClose, result.perMinute.closeToClose * 4);
+  assert.deepEqual(Object.keys(result.perMinute), ["closeToClose", "parkinson", "garmanKlass", "ewma"]);
+});